@@ -4,12 +4,16 @@
  */
 class ReadingDeclarationApp {
     constructor() {
-        // 各マネージャーの初期化
-        this.storageManager = new StorageManager();
+        // 各マネージャーの初期化（IndexedDBが使える環境ではIndexedDBに保存）
+        this.storageManager = new StorageManager(
+            IndexedDBStorageAdapter.isSupported() ? new IndexedDBStorageAdapter() : null
+        );
         this.shareManager = new ShareManager();
         this.taskManager = new TaskManager(this.storageManager);
         this.notificationManager = new NotificationManager();
         this.inputValidator = new InputValidator();
+        this.exportManager = new ExportManager(this.inputValidator);
+        this.importManager = new ImportManager();
         
         // DOM要素の参照
         this.elements = {};
@@ -17,33 +21,125 @@ class ReadingDeclarationApp {
         // バリデーション状態
         this.validationState = {
             bookTitle: { isValid: false, errors: [] },
-            author: { isValid: true, errors: [] } // 任意項目なので初期状態は有効
+            author: { isValid: true, errors: [] }, // 任意項目なので初期状態は有効
+            totalPages: { isValid: true, errors: [] } // 任意項目なので初期状態は有効
         };
         
         // ユーザーが操作したフィールドを追跡
         this.interactedFields = new Set();
 
-        // 初期化
-        this.init();
+        // 読書セッションの経過時間表示用タイマー
+        this.sessionTimerId = null;
+
+        // 再描画後もメモパネルの開閉状態を維持するため、開いているタスクIDを保持
+        this.openNotePanels = new Set();
+
+        // フォームで入力中のタグと、タスクリストの絞り込みに使うタグ
+        this.formTags = [];
+        this.activeTagFilter = null;
+
+        // インライン編集中のタスクID
+        this.editingTaskId = null;
+
+        // 入力中のため反映を後回しにした、他のタブでの変更があるか
+        this.hasDeferredExternalChange = false;
+
+        // 初期化（ストレージの準備完了を待つ場合はthis.readyを使用）
+        this.ready = this.init().catch(error => this.handleInitError(error));
     }
 
     /**
      * アプリケーションの初期化
+     * @returns {Promise<void>}
      */
-    init() {
+    async init() {
         // DOM要素の取得
         this.initializeElements();
         
         // イベントリスナーの設定
         this.setupEventListeners();
+
+        // ストレージの準備が完了するまで保存を伴う操作を受け付けない
+        this.setStorageControlsEnabled(false);
+
+        // ストレージの初期化（IndexedDBの読み込みとローカルストレージからの移行）
+        this.storageManager.onPersistError = (error) => {
+            this.notificationManager.showStorageError('保存', error);
+        };
+        await this.storageManager.init();
+
+        this.start();
         
+        console.log('読書宣言アプリが初期化されました');
+    }
+
+    /**
+     * 初期化したストレージのデータを表示して操作の受け付けを開始
+     */
+    start() {
         // 初期データの読み込みと表示
         this.loadAndDisplayTasks();
+
+        // 他のタブでの変更を反映
+        this.storageManager.startSync(() => {
+            this.handleExternalTasksChange();
+        });
         
         // ストレージ情報の確認
         this.checkStorageStatus();
-        
-        console.log('読書宣言アプリが初期化されました');
+
+        this.setStorageControlsEnabled(true);
+    }
+
+    /**
+     * 初期化エラーの処理
+     * 保存先をローカルストレージに切り替えて起動を続ける
+     * @param {Error} error - 初期化のエラー
+     * @returns {Promise<void>}
+     */
+    async handleInitError(error) {
+        console.error('初期化エラー:', error);
+
+        try {
+            // 途中まで開始した変更の監視を止めてから起動し直す
+            this.storageManager.stopSync();
+            await this.storageManager.fallbackToLocalStorage();
+            this.start();
+
+            this.notificationManager.warning('データベースを利用できないため、ローカルストレージに保存します', {
+                details: error.message
+            });
+        } catch (fallbackError) {
+            console.error('ローカルストレージでの初期化エラー:', fallbackError);
+            this.notificationManager.critical('読書記録の読み込みでエラーが発生しました', {
+                details: fallbackError.message,
+                errorCode: 'INIT_ERROR',
+                retryHandler: () => window.location.reload()
+            });
+        }
+    }
+
+    /**
+     * 本の登録フォームとデータの管理の操作の有効・無効を切り替え
+     * 元から無効になっている操作の状態は変更しない
+     * @param {boolean} enabled - 有効にする場合true
+     */
+    setStorageControlsEnabled(enabled) {
+        const containers = [this.elements.bookForm, this.elements.dataSection].filter(Boolean);
+
+        containers.forEach(container => {
+            container.setAttribute('aria-busy', String(!enabled));
+
+            container.querySelectorAll('input, select, textarea, button').forEach(control => {
+                if (!enabled && !control.disabled) {
+                    control.disabled = true;
+                    control.dataset.waitingForStorage = 'true';
+                } else if (enabled && control.dataset.waitingForStorage) {
+                    control.disabled = false;
+                    delete control.dataset.waitingForStorage;
+                }
+            });
+        });
     }
 
     /**
@@ -55,14 +151,68 @@ class ReadingDeclarationApp {
             bookForm: document.getElementById('book-form'),
             bookTitleInput: document.getElementById('book-title'),
             authorInput: document.getElementById('author'),
+            totalPagesInput: document.getElementById('total-pages'),
+            bookStatusSelect: document.getElementById('book-status'),
+            tagInput: document.getElementById('tag-input'),
+            tagChips: document.getElementById('tag-chips'),
             
             // 文字カウンター
             bookTitleCounter: document.getElementById('book-title-counter'),
             authorCounter: document.getElementById('author-counter'),
             
             // タスクリスト関連
+            tagFilter: document.getElementById('tag-filter'),
+            wantToReadTasksList: document.getElementById('want-to-read-tasks'),
             activeTasksList: document.getElementById('active-tasks'),
+            pausedTasksList: document.getElementById('paused-tasks'),
             completedTasksList: document.getElementById('completed-tasks'),
+            abandonedTasksList: document.getElementById('abandoned-tasks'),
+            trashedTasksList: document.getElementById('trashed-tasks'),
+            emptyTrashButton: document.getElementById('empty-trash-button'),
+            
+            // 読了ダイアログ関連
+            completionDialog: document.getElementById('completion-dialog'),
+            completionForm: document.getElementById('completion-form'),
+            completionDialogBook: document.getElementById('completion-dialog-book'),
+            
+            // データ管理関連
+            dataSection: document.getElementById('data-section'),
+            exportJsonButton: document.getElementById('export-json-button'),
+            importJsonButton: document.getElementById('import-json-button'),
+            importJsonFile: document.getElementById('import-json-file'),
+            importDialog: document.getElementById('import-dialog'),
+            importForm: document.getElementById('import-form'),
+            importDialogSummary: document.getElementById('import-dialog-summary'),
+            exportCsvButton: document.getElementById('export-csv-button'),
+            exportMarkdownButton: document.getElementById('export-markdown-button'),
+            markdownScope: document.getElementById('markdown-scope'),
+            markdownLayout: document.getElementById('markdown-layout'),
+            exportIcsButton: document.getElementById('export-ics-button'),
+            icsReminder: document.getElementById('ics-reminder'),
+            icsReminderDays: document.getElementById('ics-reminder-days'),
+            csvColumnList: document.getElementById('csv-columns'),
+            sharePlatform: document.getElementById('share-platform'),
+            fediverseForm: document.getElementById('fediverse-form'),
+            fediverseSoftware: document.getElementById('fediverse-software'),
+            fediverseInstance: document.getElementById('fediverse-instance'),
+            fediverseMaxLength: document.getElementById('fediverse-max-length'),
+            clearFediverseButton: document.getElementById('clear-fediverse-button'),
+            shareTemplateForm: document.getElementById('share-template-form'),
+            resetShareTemplatesButton: document.getElementById('reset-share-templates-button'),
+            importGoodreadsButton: document.getElementById('import-goodreads-button'),
+            importGoodreadsFile: document.getElementById('import-goodreads-file'),
+            importBookmeterButton: document.getElementById('import-bookmeter-button'),
+            importBookmeterFile: document.getElementById('import-bookmeter-file'),
+            importKindleButton: document.getElementById('import-kindle-button'),
+            importKindleFile: document.getElementById('import-kindle-file'),
+            importCalibreButton: document.getElementById('import-calibre-button'),
+            importCalibreFile: document.getElementById('import-calibre-file'),
+            importPreviewDialog: document.getElementById('import-preview-dialog'),
+            importPreviewForm: document.getElementById('import-preview-form'),
+            importPreviewSummary: document.getElementById('import-preview-summary'),
+            importPreviewRows: document.getElementById('import-preview-rows'),
+            importPreviewStatusField: document.getElementById('import-preview-status-field'),
+            importPreviewStatus: document.getElementById('import-preview-status'),
             
             // メッセージ関連
             messageContainer: document.getElementById('message-container')
@@ -92,6 +242,122 @@ class ReadingDeclarationApp {
         // 入力フィールドのリアルタイムバリデーション
         this.setupInputValidation();
 
+        // タグ入力とタグ絞り込み
+        this.setupTagInput();
+
+        // ゴミ箱を空にする
+        if (this.elements.emptyTrashButton) {
+            this.elements.emptyTrashButton.addEventListener('click', () => {
+                this.emptyTrash();
+            });
+        }
+
+        // JSONエクスポート・インポート
+        if (this.elements.exportJsonButton) {
+            this.elements.exportJsonButton.addEventListener('click', () => {
+                this.exportLibrary();
+            });
+        }
+
+        this.setupFileImport(this.elements.importJsonButton, this.elements.importJsonFile, (file) => {
+            this.importLibrary(file);
+        });
+
+        // 他のサービスからの取り込み
+        this.setupFileImport(this.elements.importGoodreadsButton, this.elements.importGoodreadsFile, (file) => {
+            this.importFromService(file, 'Goodreads', (text) => this.importManager.parseGoodreadsCsv(text));
+        });
+        this.setupFileImport(this.elements.importBookmeterButton, this.elements.importBookmeterFile, (file) => {
+            this.importFromService(file, '読書メーター', (text) => this.importManager.parseBookmeter(text));
+        });
+        this.setupFileImport(this.elements.importKindleButton, this.elements.importKindleFile, (file) => {
+            this.importKindleClippings(file);
+        });
+        this.setupFileImport(this.elements.importCalibreButton, this.elements.importCalibreFile, (file, files) => {
+            this.importFromService(files, 'Calibre', (contents) => this.importManager.parseCalibre(contents), ['want-to-read', 'active']);
+        });
+
+        // CSVダウンロードと列設定
+        if (this.elements.exportCsvButton) {
+            this.elements.exportCsvButton.addEventListener('click', () => {
+                this.exportCsv();
+            });
+        }
+
+        // Markdown（Obsidian）の読書ノート
+        if (this.elements.exportMarkdownButton) {
+            this.elements.exportMarkdownButton.addEventListener('click', () => {
+                this.exportMarkdown();
+            });
+        }
+
+        // iCalendar（.ics）の読書期間
+        if (this.elements.exportIcsButton) {
+            this.elements.exportIcsButton.addEventListener('click', () => {
+                this.exportIcs();
+            });
+        }
+
+        if (this.elements.csvColumnList) {
+            this.renderCsvColumnSettings();
+            this.elements.csvColumnList.addEventListener('change', () => {
+                this.saveCsvColumnSettings();
+            });
+            this.elements.csvColumnList.addEventListener('click', (e) => {
+                const button = e.target.closest('button[data-csv-move]');
+                if (button) {
+                    this.moveCsvColumn(button);
+                }
+            });
+        }
+
+        // シェア先
+        if (this.elements.sharePlatform) {
+            this.renderSharePlatformSettings();
+            this.elements.sharePlatform.addEventListener('change', () => {
+                this.saveSharePlatform();
+            });
+        }
+
+        // Mastodon・Misskeyのインスタンス
+        if (this.elements.fediverseForm) {
+            this.renderFediverseSettings();
+            this.elements.fediverseSoftware.addEventListener('change', () => {
+                // 種類を切り替えたら標準の文字数の上限にする
+                const software = ShareManager.FEDIVERSE_SOFTWARE[this.elements.fediverseSoftware.value];
+                this.elements.fediverseMaxLength.value = software.defaultMaxLength;
+            });
+            this.elements.fediverseForm.addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.saveFediverseSettings();
+            });
+        }
+        if (this.elements.clearFediverseButton) {
+            this.elements.clearFediverseButton.addEventListener('click', () => {
+                this.clearFediverseSettings();
+            });
+        }
+
+        // シェアのテンプレート
+        if (this.elements.shareTemplateForm) {
+            this.renderShareTemplateSettings();
+            this.elements.shareTemplateForm.addEventListener('input', (e) => {
+                const type = e.target.dataset.templateType;
+                if (type) {
+                    this.updateShareTemplatePreview(type);
+                }
+            });
+            this.elements.shareTemplateForm.addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.saveShareTemplates();
+            });
+        }
+        if (this.elements.resetShareTemplatesButton) {
+            this.elements.resetShareTemplatesButton.addEventListener('click', () => {
+                this.resetShareTemplates();
+            });
+        }
+
         // キーボードショートカット
         document.addEventListener('keydown', (e) => {
             this.handleKeyboardShortcuts(e);
@@ -116,15 +382,95 @@ class ReadingDeclarationApp {
                 this.completeTask(taskId);
             } else if (action === 'delete') {
                 this.deleteTask(taskId);
+            } else if (action === 'update-progress') {
+                this.updateProgress(taskId, taskItem);
+            } else if (action === 'start-session') {
+                this.startReadingSession(taskId);
+            } else if (action === 'stop-session') {
+                this.stopReadingSession(taskId, taskItem);
+            } else if (action === 'add-note') {
+                this.addNote(taskId, taskItem);
+            } else if (action === 'delete-note') {
+                this.deleteNote(taskId, button.dataset.noteId);
+            } else if (action === 'share-quote') {
+                this.shareQuote(taskId, button.dataset.noteId);
+            } else if (action === 'restore') {
+                this.restoreTask(taskId);
+            } else if (action === 'purge') {
+                this.purgeTask(taskId);
+            } else if (action === 'edit') {
+                this.startEditTask(taskId);
+            } else if (action === 'save-edit') {
+                this.saveTaskEdit(taskId, taskItem);
+            } else if (action === 'cancel-edit') {
+                this.cancelEditTask();
+            } else if (action === 'filter-tag') {
+                this.setTagFilter(button.dataset.tag);
+            } else if (action === 'start') {
+                this.startTask(taskId);
+            } else if (['pause', 'resume', 'abandon', 'reopen', 'reread'].includes(action)) {
+                this.changeTaskStatus(taskId, action);
             }
         };
 
-        if (this.elements.activeTasksList) {
-            this.elements.activeTasksList.addEventListener('click', taskListClickHandler);
-        }
-        if (this.elements.completedTasksList) {
-            this.elements.completedTasksList.addEventListener('click', taskListClickHandler);
-        }
+        // メモパネルの開閉状態を記録（toggleイベントはバブリングしないためキャプチャで受け取る）
+        const notePanelToggleHandler = (event) => {
+            const panel = event.target;
+            if (!panel.classList || !panel.classList.contains('task-notes')) return;
+
+            const taskItem = panel.closest('.task-item[data-task-id]');
+            if (!taskItem) return;
+
+            if (panel.open) {
+                this.openNotePanels.add(taskItem.dataset.taskId);
+            } else {
+                this.openNotePanels.delete(taskItem.dataset.taskId);
+            }
+        };
+
+        // インライン編集フォームでのEnter（保存）とEscape（キャンセル）
+        const taskEditKeydownHandler = (event) => {
+            const input = event.target.closest('.task-edit-input');
+            if (!input) return;
+
+            const taskItem = input.closest('.task-item[data-task-id]');
+            if (!taskItem) return;
+
+            if (event.key === 'Enter') {
+                event.preventDefault();
+                this.saveTaskEdit(taskItem.dataset.taskId, taskItem);
+            } else if (event.key === 'Escape') {
+                event.preventDefault();
+                this.cancelEditTask();
+            }
+        };
+
+        // 入力欄からフォーカスが外れたら、後回しにした他のタブでの変更を反映
+        const taskListFocusOutHandler = () => {
+            setTimeout(() => this.applyDeferredExternalChange(), 0);
+        };
+
+        this.getTaskListElements().forEach(list => {
+            list.addEventListener('click', taskListClickHandler);
+            list.addEventListener('toggle', notePanelToggleHandler, true);
+            list.addEventListener('keydown', taskEditKeydownHandler);
+            list.addEventListener('focusout', taskListFocusOutHandler);
+        });
+    }
+
+    /**
+     * タスクリストの要素を取得
+     * @returns {Array<HTMLElement>} 存在するタスクリストの要素
+     */
+    getTaskListElements() {
+        return [
+            this.elements.wantToReadTasksList,
+            this.elements.activeTasksList,
+            this.elements.pausedTasksList,
+            this.elements.completedTasksList,
+            this.elements.abandonedTasksList,
+            this.elements.trashedTasksList
+        ].filter(Boolean);
     }
 
     /**
@@ -206,6 +552,144 @@ class ReadingDeclarationApp {
 
         setupFieldValidation(this.elements.bookTitleInput, 'bookTitle');
         setupFieldValidation(this.elements.authorInput, 'author');
+        setupFieldValidation(this.elements.totalPagesInput, 'totalPages');
+    }
+
+    /**
+     * タグ入力（チップ）とタグ絞り込みの設定
+     */
+    setupTagInput() {
+        const tagInput = this.elements.tagInput;
+        if (tagInput) {
+            tagInput.addEventListener('keydown', (e) => {
+                // Enterでフォームが送信されないようにタグ追加として扱う
+                if (e.key === 'Enter' || e.key === ',' || e.key === '、') {
+                    e.preventDefault();
+                    this.commitTagInput();
+                } else if (e.key === 'Backspace' && tagInput.value === '' && this.formTags.length > 0) {
+                    this.formTags.pop();
+                    this.renderFormTags();
+                }
+            });
+
+            tagInput.addEventListener('blur', () => {
+                this.commitTagInput();
+            });
+        }
+
+        if (this.elements.tagChips) {
+            this.elements.tagChips.addEventListener('click', (e) => {
+                const removeButton = e.target.closest('button[data-tag-index]');
+                if (!removeButton) return;
+
+                e.preventDefault();
+                this.formTags.splice(Number(removeButton.dataset.tagIndex), 1);
+                this.renderFormTags();
+                if (tagInput) tagInput.focus();
+            });
+        }
+
+        if (this.elements.tagFilter) {
+            this.elements.tagFilter.addEventListener('click', (e) => {
+                const filterButton = e.target.closest('button[data-tag-filter]');
+                if (!filterButton) return;
+
+                e.preventDefault();
+                this.setTagFilter(filterButton.dataset.tagFilter || null);
+            });
+        }
+    }
+
+    /**
+     * タグ入力欄の内容をタグとして確定
+     * @returns {boolean} タグが有効な場合true
+     */
+    commitTagInput() {
+        const tagInput = this.elements.tagInput;
+        if (!tagInput || tagInput.value.trim() === '') return true;
+
+        const nextTags = TaskValidator.normalizeTags([...this.formTags, ...TaskValidator.normalizeTags(tagInput.value)]);
+        const validation = TaskValidator.validateTags(nextTags);
+        if (!validation.isValid) {
+            this.notificationManager.showValidationErrors(validation.errors);
+            return false;
+        }
+
+        this.formTags = nextTags;
+        tagInput.value = '';
+        this.renderFormTags();
+        return true;
+    }
+
+    /**
+     * フォームのタグチップを描画
+     */
+    renderFormTags() {
+        if (!this.elements.tagChips) return;
+
+        this.elements.tagChips.innerHTML = this.formTags
+            .map((tag, index) => {
+                const sanitizedTag = this.inputValidator.sanitizeForOutput(tag);
+                return `
+                    <span class="tag-chip">
+                        ${sanitizedTag}
+                        <button type="button"
+                                class="tag-chip-remove"
+                                data-tag-index="${index}"
+                                aria-label="タグ「${sanitizedTag}」を削除">×</button>
+                    </span>
+                `;
+            })
+            .join('');
+    }
+
+    /**
+     * タスクリストの絞り込みタグを設定
+     * @param {string|null} tag - 絞り込むタグ（nullで解除）
+     */
+    setTagFilter(tag) {
+        // 選択中のタグを再度選んだ場合は解除
+        this.activeTagFilter = tag && tag !== this.activeTagFilter ? tag : null;
+        this.displayTasks();
+    }
+
+    /**
+     * タグ絞り込みバーの表示
+     */
+    displayTagFilter() {
+        const tagFilter = this.elements.tagFilter;
+        if (!tagFilter) return;
+
+        const tags = this.taskManager.getAllTags();
+
+        // 絞り込み中のタグが使われなくなった場合は解除
+        if (this.activeTagFilter && !tags.includes(this.activeTagFilter)) {
+            this.activeTagFilter = null;
+        }
+
+        tagFilter.hidden = tags.length === 0;
+        if (tags.length === 0) {
+            tagFilter.innerHTML = '';
+            return;
+        }
+
+        const createFilterButton = (tag, label) => {
+            const isSelected = (tag || null) === this.activeTagFilter;
+            return `
+                <button type="button"
+                        class="tag-filter-button ${isSelected ? 'selected' : ''}"
+                        data-tag-filter="${tag ? this.escapeHtml(tag) : ''}"
+                        aria-pressed="${isSelected}">
+                    ${label}
+                </button>
+            `;
+        };
+
+        tagFilter.innerHTML = `
+            <span class="tag-filter-label">🏷️ タグで絞り込み:</span>
+            ${createFilterButton(null, 'すべて')}
+            ${tags.map(tag => createFilterButton(tag, this.inputValidator.sanitizeForOutput(tag))).join('')}
+        `;
     }
 
     /**
@@ -258,7 +742,8 @@ class ReadingDeclarationApp {
         if (!submitButton) return;
 
         const isFormValid = this.validationState.bookTitle.isValid && 
-                           this.validationState.author.isValid;
+                           this.validationState.author.isValid &&
+                           this.validationState.totalPages.isValid;
         
         submitButton.disabled = !isFormValid;
         
@@ -279,7 +764,8 @@ class ReadingDeclarationApp {
             // フォームデータを取得
             const formData = {
                 bookTitle: this.elements.bookTitleInput.value,
-                author: this.elements.authorInput.value
+                author: this.elements.authorInput.value,
+                totalPages: this.elements.totalPagesInput ? this.elements.totalPagesInput.value : ''
             };
 
             // 包括的なバリデーション
@@ -299,9 +785,20 @@ class ReadingDeclarationApp {
 
             // サニタイズされたデータを使用
             const { bookTitle, author } = validationResult.sanitizedData;
+            const totalPages = validationResult.sanitizedData.totalPages
+                ? parseInt(validationResult.sanitizedData.totalPages, 10)
+                : null;
+            const status = this.elements.bookStatusSelect ? this.elements.bookStatusSelect.value : 'active';
+
+            // 入力途中のタグも確定してから送信
+            if (!this.commitTagInput()) {
+                this.elements.tagInput.focus();
+                return;
+            }
+            const tags = [...this.formTags];
 
             // タスクを作成
-            const task = this.taskManager.addTask(bookTitle, author);
+            const task = this.taskManager.addTask(bookTitle, author, { totalPages, status, tags });
             if (!task) {
                 this.notificationManager.error('タスクの作成に失敗しました', {
                     details: 'ローカルストレージへの保存でエラーが発生しました',
@@ -316,16 +813,25 @@ class ReadingDeclarationApp {
                 return;
             }
 
-            // Xにシェア
-            const shareResult = await this.shareManager.shareDeclaration(bookTitle, author);
-            
-            if (shareResult.success) {
-                this.notificationManager.success('読書宣言をシェアしました！', {
-                    details: `「${bookTitle}」の読書を開始しました`
+            if (task.status === 'want-to-read') {
+                // 読みたい本はシェアせずにリストへ追加
+                this.notificationManager.success('読みたい本に追加しました', {
+                    details: `「${bookTitle}」を読みたい本リストに追加しました`
                 });
             } else {
-                // エラータイプに応じたメッセージを表示
-                this.notificationManager.showShareError('読書宣言', shareResult);
+                // シェア先にシェア
+                const shareResult = await this.shareManager.shareDeclaration(bookTitle, author, {
+                    pages: task.totalPages
+                });
+                
+                if (shareResult.success) {
+                    this.notificationManager.success('読書宣言をシェアしました！', {
+                        details: `「${bookTitle}」の読書を開始しました`
+                    });
+                } else {
+                    // エラータイプに応じたメッセージを表示
+                    this.notificationManager.showShareError('読書宣言', shareResult);
+                }
             }
 
             // フォームをリセット
@@ -360,11 +866,16 @@ class ReadingDeclarationApp {
         // バリデーション状態を初期化
         this.validationState = {
             bookTitle: { isValid: false, errors: [] },
-            author: { isValid: true, errors: [] }
+            author: { isValid: true, errors: [] },
+            totalPages: { isValid: true, errors: [] }
         };
         
         // インタラクション状態もリセット
         this.interactedFields.clear();
+
+        // タグをリセット
+        this.formTags = [];
+        this.renderFormTags();
         
         // 文字カウンターをリセット
         this.updateCharacterCounter('bookTitle');
@@ -382,95 +893,184 @@ class ReadingDeclarationApp {
         this.displayTasks();
     }
 
+    /**
+     * 他のタブでタスクが変更された場合の処理
+     */
+    handleExternalTasksChange() {
+        this.taskManager.refresh();
+
+        // 編集中のタスクが他のタブで削除された場合は編集を終了
+        if (this.editingTaskId && !this.taskManager.getTask(this.editingTaskId)) {
+            this.editingTaskId = null;
+        }
+
+        // 再描画で入力中の内容が消えないよう、入力が終わるまで反映を後回しにする
+        if (this.hasTaskListInput()) {
+            this.hasDeferredExternalChange = true;
+            return;
+        }
+
+        this.displayTasks();
+    }
+
+    /**
+     * 後回しにした他のタブでの変更を、入力が終わっていれば反映
+     */
+    applyDeferredExternalChange() {
+        if (!this.hasDeferredExternalChange || this.hasTaskListInput()) return;
+
+        this.displayTasks();
+    }
+
+    /**
+     * タスクリスト内で入力中かどうか
+     * 編集中のタスクがある場合、入力欄にフォーカスがある場合、保存していない入力がある場合にtrue
+     * @returns {boolean} 入力中の場合true
+     */
+    hasTaskListInput() {
+        if (this.editingTaskId) return true;
+
+        const fields = this.getTaskListElements()
+            .flatMap(list => Array.from(list.querySelectorAll('input, textarea, select')));
+
+        return fields.some(field => {
+            if (field === document.activeElement) return true;
+            if (field.tagName === 'SELECT' || ['checkbox', 'radio', 'hidden'].includes(field.type)) return false;
+            return field.value !== field.defaultValue;
+        });
+    }
+
     /**
      * タスクリストの表示
      */
     displayTasks() {
+        this.hasDeferredExternalChange = false;
+
+        this.displayTagFilter();
+        this.displayWantToReadTasks();
         this.displayActiveTasks();
+        this.displayPausedTasks();
         this.displayCompletedTasks();
+        this.displayAbandonedTasks();
+        this.displayTrashedTasks();
+        this.updateSessionTimer();
+    }
+
+    /**
+     * 読みたい本の表示
+     */
+    displayWantToReadTasks() {
+        this.renderTaskList(
+            this.elements.wantToReadTasksList,
+            this.taskManager.getWantToReadTasks(),
+            '読みたい本はありません'
+        );
     }
 
     /**
      * アクティブなタスクの表示
      */
     displayActiveTasks() {
-        const activeTasks = this.taskManager.getActiveTasks();
-        const sortedTasks = this.taskManager.sortTasksByDate(activeTasks, 'desc');
-        
-        if (!this.elements.activeTasksList) return;
-
-        if (sortedTasks.length === 0) {
-            this.elements.activeTasksList.innerHTML = '<p class="no-tasks">読書中のタスクはありません</p>';
-            return;
-        }
+        this.renderTaskList(
+            this.elements.activeTasksList,
+            this.taskManager.getActiveTasks(),
+            '読書中のタスクはありません'
+        );
+    }
 
-        this.elements.activeTasksList.innerHTML = sortedTasks
-            .map(task => this.createTaskItemHTML(task))
-            .join('');
+    /**
+     * 中断中のタスクの表示
+     */
+    displayPausedTasks() {
+        this.renderTaskList(
+            this.elements.pausedTasksList,
+            this.taskManager.getPausedTasks(),
+            '中断中のタスクはありません'
+        );
     }
 
     /**
      * 完了済みタスクの表示
      */
     displayCompletedTasks() {
-        const completedTasks = this.taskManager.getCompletedTasks();
-        const sortedTasks = this.taskManager.sortTasksByDate(completedTasks, 'desc');
-        
-        if (!this.elements.completedTasksList) return;
+        this.renderTaskList(
+            this.elements.completedTasksList,
+            this.taskManager.getCompletedTasks(),
+            '完了したタスクはありません'
+        );
+    }
 
-        if (sortedTasks.length === 0) {
-            this.elements.completedTasksList.innerHTML = '<p class="no-tasks">完了したタスクはありません</p>';
+    /**
+     * 中止したタスクの表示
+     */
+    displayAbandonedTasks() {
+        this.renderTaskList(
+            this.elements.abandonedTasksList,
+            this.taskManager.getAbandonedTasks(),
+            '読むのをやめた本はありません'
+        );
+    }
+
+    /**
+     * ゴミ箱のタスクの表示
+     */
+    displayTrashedTasks() {
+        const listElement = this.elements.trashedTasksList;
+        if (!listElement) return;
+
+        // ゴミ箱は削除日時の新しい順に表示し、タグ絞り込みは適用しない
+        const trashedTasks = this.taskManager.getTrashedTasks()
+            .sort((a, b) => new Date(b.deletedAt) - new Date(a.deletedAt));
+
+        if (this.elements.emptyTrashButton) {
+            this.elements.emptyTrashButton.disabled = trashedTasks.length === 0;
+        }
+
+        if (trashedTasks.length === 0) {
+            listElement.innerHTML = '<p class="no-tasks">ゴミ箱は空です</p>';
             return;
         }
 
-        this.elements.completedTasksList.innerHTML = sortedTasks
-            .map(task => this.createTaskItemHTML(task))
+        listElement.innerHTML = trashedTasks
+            .map(task => this.createTrashedTaskItemHTML(task))
             .join('');
     }
 
     /**
-     * タスクアイテムのHTMLを生成
+     * ゴミ箱のタスクアイテムのHTMLを生成
      * @param {Object} task - タスクオブジェクト
      * @returns {string} 生成されたHTML
      */
-    createTaskItemHTML(task) {
-        const isCompleted = task.status === 'completed';
-        const createdDate = new Date(task.createdAt).toLocaleDateString('ja-JP');
-        const completedDate = task.completedAt ? new Date(task.completedAt).toLocaleDateString('ja-JP') : '';
-
-        // セキュリティ: すべてのユーザー入力をサニタイズ
+    createTrashedTaskItemHTML(task) {
         const sanitizedTitle = this.inputValidator.sanitizeForOutput(task.bookTitle);
         const sanitizedAuthor = task.author ? this.inputValidator.sanitizeForOutput(task.author) : '';
         const sanitizedId = this.escapeHtml(task.id);
 
         return `
-            <div class="task-item ${isCompleted ? 'completed' : ''}" 
+            <div class="task-item trashed" 
                  data-task-id="${sanitizedId}"
                  role="article"
-                 aria-label="${sanitizedTitle}の読書タスク"
+                 aria-label="${sanitizedTitle}（ゴミ箱）"
                  tabindex="0">
                 <div class="task-info">
                     <h4 id="task-title-${sanitizedId}">${sanitizedTitle}</h4>
                     ${sanitizedAuthor ? `<p class="author">著者: ${sanitizedAuthor}</p>` : ''}
                     <p class="date">
-                        開始: ${createdDate}
-                        ${completedDate ? ` | 完了: ${completedDate}` : ''}
+                        削除: ${new Date(task.deletedAt).toLocaleDateString('ja-JP')}
                     </p>
                 </div>
                 <div class="task-actions" role="group" aria-labelledby="task-title-${sanitizedId}">
-                    ${!isCompleted ? `
-                        <button class="btn btn-success btn-small" 
-                                data-action="complete"
-                                aria-label="${sanitizedTitle}の読了をシェア"
-                                tabindex="0">
-                            ✅ 読了をシェア
-                        </button>
-                    ` : ''}
+                    <button class="btn btn-primary btn-small" 
+                            data-action="restore"
+                            aria-label="${sanitizedTitle}を元に戻す"
+                            tabindex="0">
+                        ↩️ 元に戻す
+                    </button>
                     <button class="btn btn-danger btn-small" 
-                            data-action="delete"
-                            aria-label="${sanitizedTitle}のタスクを削除"
+                            data-action="purge"
+                            aria-label="${sanitizedTitle}を完全に削除"
                             tabindex="0">
-                        🗑️ 削除
+                        完全に削除
                     </button>
                 </div>
             </div>
@@ -478,117 +1078,2480 @@ class ReadingDeclarationApp {
     }
 
     /**
-     * タスクの完了処理
-     * @param {string} taskId - 完了するタスクのID
+     * タスクリストを描画
+     * @param {HTMLElement} listElement - 描画先のリスト要素
+     * @param {Array} tasks - 表示するタスクの配列
+     * @param {string} emptyMessage - タスクがない場合のメッセージ
      */
-    async completeTask(taskId) {
-        try {
-            const task = this.taskManager.getTask(taskId);
-            if (!task) {
-                this.notificationManager.error('タスクが見つかりません', {
-                    details: '指定されたタスクIDが存在しません',
-                    errorCode: 'TASK_NOT_FOUND'
-                });
-                return;
-            }
+    renderTaskList(listElement, tasks, emptyMessage) {
+        if (!listElement) return;
 
-            // タスクを完了状態に更新
-            const completedTask = this.taskManager.completeTask(taskId);
-            if (!completedTask) {
-                this.notificationManager.error('タスクの完了処理に失敗しました', {
-                    details: 'ローカルストレージの更新でエラーが発生しました',
-                    actions: [
-                        {
-                            label: '再試行',
-                            style: 'btn-primary',
-                            handler: () => this.completeTask(taskId)
-                        }
-                    ]
+        const filteredTasks = this.taskManager.filterTasksByTag(tasks, this.activeTagFilter);
+        const sortedTasks = this.taskManager.sortTasksByDate(filteredTasks, 'desc');
+
+        if (sortedTasks.length === 0) {
+            const message = this.activeTagFilter && tasks.length > 0
+                ? '選択したタグのタスクはありません'
+                : emptyMessage;
+            listElement.innerHTML = `<p class="no-tasks">${message}</p>`;
+            return;
+        }
+
+        listElement.innerHTML = sortedTasks
+            .map(task => this.createTaskItemHTML(task))
+            .join('');
+    }
+
+    /**
+     * タスクアイテムのHTMLを生成
+     * @param {Object} task - タスクオブジェクト
+     * @returns {string} 生成されたHTML
+     */
+    createTaskItemHTML(task) {
+        const isCompleted = task.status === 'completed';
+
+        // セキュリティ: すべてのユーザー入力をサニタイズ
+        const sanitizedTitle = this.inputValidator.sanitizeForOutput(task.bookTitle);
+        const sanitizedAuthor = task.author ? this.inputValidator.sanitizeForOutput(task.author) : '';
+        const sanitizedId = this.escapeHtml(task.id);
+
+        return `
+            <div class="task-item status-${this.escapeHtml(task.status)} ${isCompleted ? 'completed' : ''}" 
+                 data-task-id="${sanitizedId}"
+                 role="article"
+                 aria-label="${sanitizedTitle}の読書タスク"
+                 tabindex="0">
+                <div class="task-info">
+                    ${task.id === this.editingTaskId
+                        ? this.createTaskEditHTML(task, sanitizedId)
+                        : `<h4 id="task-title-${sanitizedId}">${sanitizedTitle}</h4>
+                    ${sanitizedAuthor ? `<p class="author">著者: ${sanitizedAuthor}</p>` : ''}
+                    ${this.createBookDetailsHTML(task)}`}
+                    <p class="date">
+                        ${this.createTaskDatesText(task)}
+                    </p>
+                    ${this.createTaskTagsHTML(task)}
+                    ${this.createReviewHTML(task)}
+                    ${this.createReadHistoryHTML(task)}
+                    ${this.createProgressHTML(task, sanitizedId, sanitizedTitle)}
+                    ${this.createSessionHTML(task, sanitizedId, sanitizedTitle)}
+                    ${this.createNotesHTML(task, sanitizedId, sanitizedTitle)}
+                </div>
+                <div class="task-actions" role="group" aria-labelledby="task-title-${sanitizedId}">
+                    ${this.createTaskActionsHTML(task, sanitizedTitle)}
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * シリーズ名と巻数の表示用テキストを生成
+     * @param {Object} task - タスクオブジェクト
+     * @returns {string} エスケープ済みのテキスト（シリーズがない場合は空文字）
+     */
+    formatSeries(task) {
+        if (!task.series) return '';
+
+        const series = this.inputValidator.sanitizeForOutput(task.series);
+        return task.seriesIndex !== null && task.seriesIndex !== undefined
+            ? `${series}（${task.seriesIndex}巻）`
+            : series;
+    }
+
+    /**
+     * シリーズ・ISBNのHTMLを生成
+     * @param {Object} task - タスクオブジェクト
+     * @returns {string} 生成されたHTML（どちらもない場合は空文字）
+     */
+    createBookDetailsHTML(task) {
+        const details = [];
+        if (task.series) {
+            details.push(`シリーズ: ${this.formatSeries(task)}`);
+        }
+        if (task.isbn) {
+            details.push(`ISBN: ${this.escapeHtml(task.isbn)}`);
+        }
+
+        return details.length > 0 ? `<p class="book-details">${details.join(' / ')}</p>` : '';
+    }
+
+    /**
+     * タイトル・著者のインライン編集フォームのHTMLを生成
+     * @param {Object} task - タスクオブジェクト
+     * @param {string} sanitizedId - エスケープ済みのタスクID
+     * @returns {string} 生成されたHTML
+     */
+    createTaskEditHTML(task, sanitizedId) {
+        const titleRule = this.inputValidator.validationRules.bookTitle;
+        const authorRule = this.inputValidator.validationRules.author;
+
+        return `
+            <div class="task-edit" role="group" aria-label="書籍情報の編集">
+                <h4 id="task-title-${sanitizedId}" class="sr-only">${this.inputValidator.sanitizeForOutput(task.bookTitle)}</h4>
+                <div class="form-group">
+                    <label for="task-edit-title-${sanitizedId}">書籍タイトル</label>
+                    <input type="text"
+                           id="task-edit-title-${sanitizedId}"
+                           class="task-edit-input"
+                           data-field="bookTitle"
+                           value="${this.escapeAttribute(TaskValidator.decodeInput(task.bookTitle))}"
+                           maxlength="${titleRule.maxLength}"
+                           required
+                           aria-required="true">
+                </div>
+                <div class="form-group">
+                    <label for="task-edit-author-${sanitizedId}">著者名</label>
+                    <input type="text"
+                           id="task-edit-author-${sanitizedId}"
+                           class="task-edit-input"
+                           data-field="author"
+                           value="${this.escapeAttribute(TaskValidator.decodeInput(task.author))}"
+                           maxlength="${authorRule.maxLength}">
+                </div>
+                <div class="task-edit-actions">
+                    <button class="btn btn-primary btn-small" data-action="save-edit" tabindex="0">
+                        💾 保存
+                    </button>
+                    <button class="btn btn-secondary btn-small" data-action="cancel-edit" tabindex="0">
+                        キャンセル
+                    </button>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * タスクのタグのHTMLを生成
+     * @param {Object} task - タスクオブジェクト
+     * @returns {string} 生成されたHTML
+     */
+    createTaskTagsHTML(task) {
+        if (!task.tags || task.tags.length === 0) {
+            return '';
+        }
+
+        return `
+            <div class="task-tags" aria-label="タグ">
+                ${task.tags.map(tag => {
+                    const sanitizedTag = this.inputValidator.sanitizeForOutput(tag);
+                    return `
+                        <button class="tag-chip ${tag === this.activeTagFilter ? 'selected' : ''}"
+                                data-action="filter-tag"
+                                data-tag="${this.escapeHtml(tag)}"
+                                aria-label="タグ「${sanitizedTag}」で絞り込み"
+                                tabindex="0">
+                            #${sanitizedTag}
+                        </button>
+                    `;
+                }).join('')}
+            </div>
+        `;
+    }
+
+    /**
+     * タスクの日付表示テキストを生成
+     * @param {Object} task - タスクオブジェクト
+     * @returns {string} 日付表示テキスト
+     */
+    createTaskDatesText(task) {
+        const formatDate = (date) => new Date(date).toLocaleDateString('ja-JP');
+
+        if (task.status === 'want-to-read') {
+            return `追加: ${formatDate(task.createdAt)}`;
+        }
+
+        const dates = [`開始: ${formatDate(task.startedAt || task.createdAt)}`];
+        if (task.status === 'paused' && task.pausedAt) {
+            dates.push(`中断: ${formatDate(task.pausedAt)}`);
+        }
+        if (task.status === 'abandoned' && task.abandonedAt) {
+            dates.push(`中止: ${formatDate(task.abandonedAt)}`);
+        }
+        if (task.completedAt) {
+            dates.push(`完了: ${formatDate(task.completedAt)}`);
+        }
+
+        return dates.join(' | ');
+    }
+
+    /**
+     * タスクのアクションボタンのHTMLを生成
+     * @param {Object} task - タスクオブジェクト
+     * @param {string} sanitizedTitle - エスケープ済みの書籍タイトル
+     * @returns {string} 生成されたHTML
+     */
+    createTaskActionsHTML(task, sanitizedTitle) {
+        const buttonDefinitions = {
+            start: { style: 'btn-primary', label: '▶️ 読み始める', ariaLabel: 'の読書宣言をシェア' },
+            complete: { style: 'btn-success', label: '✅ 読了をシェア', ariaLabel: 'の読了をシェア' },
+            pause: { style: 'btn-secondary', label: '⏸️ 中断', ariaLabel: 'の読書を中断' },
+            resume: { style: 'btn-primary', label: '▶️ 再開', ariaLabel: 'の読書を再開' },
+            abandon: { style: 'btn-secondary', label: '🚫 読むのをやめる', ariaLabel: 'の読書を中止' },
+            reopen: { style: 'btn-secondary', label: '↩️ 読書中に戻す', ariaLabel: 'を読書中に戻す' },
+            reread: { style: 'btn-primary', label: '🔁 再読する', ariaLabel: 'の再読を開始' },
+            edit: { style: 'btn-secondary', label: '✏️ 編集', ariaLabel: 'のタイトルと著者を編集' },
+            delete: { style: 'btn-danger', label: '🗑️ 削除', ariaLabel: 'のタスクを削除' }
+        };
+
+        const actionsByStatus = {
+            'want-to-read': ['start', 'edit', 'delete'],
+            active: ['complete', 'pause', 'abandon', 'edit', 'delete'],
+            paused: ['resume', 'complete', 'abandon', 'edit', 'delete'],
+            abandoned: ['resume', 'edit', 'delete'],
+            completed: ['reread', 'reopen', 'edit', 'delete']
+        };
+
+        // 編集中は編集フォーム側のボタンのみ表示
+        if (task.id === this.editingTaskId) {
+            return '';
+        }
+
+        return (actionsByStatus[task.status] || ['delete'])
+            .map(action => {
+                const definition = buttonDefinitions[action];
+                return `
+                    <button class="btn ${definition.style} btn-small" 
+                            data-action="${action}"
+                            aria-label="${sanitizedTitle}${definition.ariaLabel}"
+                            tabindex="0">
+                        ${definition.label}
+                    </button>
+                `;
+            })
+            .join('');
+    }
+
+    /**
+     * 評価と感想のHTMLを生成
+     * @param {Object} task - タスクオブジェクト
+     * @returns {string} 生成されたHTML
+     */
+    createReviewHTML(task) {
+        const ratingText = this.shareManager.formatRating(task.rating);
+        const sanitizedReview = task.review ? this.inputValidator.sanitizeForOutput(task.review) : '';
+
+        return `
+            ${ratingText ? `<p class="task-rating" aria-label="5段階中${task.rating}の評価">${ratingText}</p>` : ''}
+            ${sanitizedReview ? `<p class="task-review">${sanitizedReview}</p>` : ''}
+        `;
+    }
+
+    /**
+     * 過去の読書記録（再読前の記録）のHTMLを生成
+     * @param {Object} task - タスクオブジェクト
+     * @returns {string} 生成されたHTML
+     */
+    createReadHistoryHTML(task) {
+        if (!task.reads || task.reads.length === 0) {
+            return '';
+        }
+
+        const formatDate = (date) => date ? new Date(date).toLocaleDateString('ja-JP') : '-';
+        const readCount = Task.fromJSON(task).getCompletedReadCount();
+
+        return `
+            <details class="task-reads">
+                <summary>📖 過去の読書記録（読了${readCount}回）</summary>
+                <ol class="read-list">
+                    ${task.reads.map(read => {
+                        const ratingText = this.shareManager.formatRating(read.rating);
+                        return `
+                            <li class="read-item">
+                                ${formatDate(read.startedAt)} 〜 ${formatDate(read.completedAt)}
+                                ${ratingText ? `<span class="task-rating">${ratingText}</span>` : ''}
+                                ${read.review ? `<p class="task-review">${this.inputValidator.sanitizeForOutput(read.review)}</p>` : ''}
+                            </li>
+                        `;
+                    }).join('')}
+                </ol>
+            </details>
+        `;
+    }
+
+    /**
+     * 読書進捗のHTMLを生成
+     * @param {Object} task - タスクオブジェクト
+     * @param {string} sanitizedId - エスケープ済みのタスクID
+     * @param {string} sanitizedTitle - エスケープ済みの書籍タイトル
+     * @returns {string} 生成されたHTML
+     */
+    createProgressHTML(task, sanitizedId, sanitizedTitle) {
+        const isActive = task.status === 'active';
+        const totalPages = task.totalPages || null;
+        const currentPage = task.currentPage || 0;
+        const percentage = Task.fromJSON(task).getProgressPercentage();
+
+        const progressBar = totalPages ? `
+            <div class="task-progress">
+                <div class="progress-bar"
+                     role="progressbar"
+                     aria-valuemin="0"
+                     aria-valuemax="${totalPages}"
+                     aria-valuenow="${currentPage}"
+                     aria-label="${sanitizedTitle}の読書進捗">
+                    <div class="progress-bar-fill" style="width: ${percentage}%"></div>
+                </div>
+                <p class="progress-text">${currentPage}/${totalPages}ページ（${percentage}%）</p>
+            </div>
+        ` : '';
+
+        if (!isActive) {
+            return progressBar;
+        }
+
+        return `
+            ${progressBar}
+            <div class="progress-form">
+                <label for="progress-current-${sanitizedId}">現在のページ</label>
+                <input type="number"
+                       id="progress-current-${sanitizedId}"
+                       class="progress-input"
+                       data-field="currentPage"
+                       min="0"
+                       ${totalPages ? `max="${totalPages}"` : ''}
+                       inputmode="numeric"
+                       value="${currentPage}">
+                ${!totalPages ? `
+                    <label for="progress-total-${sanitizedId}">総ページ数</label>
+                    <input type="number"
+                           id="progress-total-${sanitizedId}"
+                           class="progress-input"
+                           data-field="totalPages"
+                           min="1"
+                           max="99999"
+                           inputmode="numeric"
+                           placeholder="任意">
+                ` : ''}
+                <button class="btn btn-secondary btn-small"
+                        data-action="update-progress"
+                        aria-label="${sanitizedTitle}の進捗を記録"
+                        tabindex="0">
+                    📄 進捗を記録
+                </button>
+            </div>
+        `;
+    }
+
+    /**
+     * 読書セッションのHTMLを生成
+     * @param {Object} task - タスクオブジェクト
+     * @param {string} sanitizedId - エスケープ済みのタスクID
+     * @param {string} sanitizedTitle - エスケープ済みの書籍タイトル
+     * @returns {string} 生成されたHTML
+     */
+    createSessionHTML(task, sanitizedId, sanitizedTitle) {
+        const taskModel = Task.fromJSON(task);
+        const runningSession = taskModel.getRunningSession();
+        const finishedCount = taskModel.sessions.filter(session => session.endedAt).length;
+        const totalTime = taskModel.getTotalReadingTime();
+
+        const summary = finishedCount > 0 ? `
+            <p class="session-summary">
+                累計読書時間: ${this.formatDuration(totalTime)}（${finishedCount}回）
+            </p>
+        ` : '';
+
+        if (task.status !== 'active') {
+            return summary;
+        }
+
+        if (!runningSession) {
+            return `
+                ${summary}
+                <div class="session-controls">
+                    <button class="btn btn-secondary btn-small"
+                            data-action="start-session"
+                            aria-label="${sanitizedTitle}の読書時間の計測を開始"
+                            tabindex="0">
+                        ⏱️ 読書を開始
+                    </button>
+                </div>
+            `;
+        }
+
+        const startedAt = new Date(runningSession.startedAt);
+
+        return `
+            ${summary}
+            <div class="session-controls running">
+                <p class="session-elapsed"
+                   data-started-at="${startedAt.getTime()}"
+                   aria-live="off">
+                    計測中: ${this.formatDuration(Date.now() - startedAt.getTime(), true)}
+                </p>
+                <label for="session-pages-${sanitizedId}">読んだページ数</label>
+                <input type="number"
+                       id="session-pages-${sanitizedId}"
+                       class="session-input"
+                       data-field="pagesRead"
+                       min="0"
+                       inputmode="numeric"
+                       value="0">
+                <label for="session-memo-${sanitizedId}">メモ</label>
+                <input type="text"
+                       id="session-memo-${sanitizedId}"
+                       class="session-input"
+                       data-field="memo"
+                       maxlength="200"
+                       placeholder="任意"
+                       autocomplete="off">
+                <button class="btn btn-primary btn-small"
+                        data-action="stop-session"
+                        aria-label="${sanitizedTitle}の読書時間の計測を終了"
+                        tabindex="0">
+                    ⏹️ 読書を終了
+                </button>
+            </div>
+        `;
+    }
+
+    /**
+     * メモ・引用パネルのHTMLを生成
+     * @param {Object} task - タスクオブジェクト
+     * @param {string} sanitizedId - エスケープ済みのタスクID
+     * @param {string} sanitizedTitle - エスケープ済みの書籍タイトル
+     * @returns {string} 生成されたHTML
+     */
+    createNotesHTML(task, sanitizedId, sanitizedTitle) {
+        const notes = this.taskManager.getNotes(task.id);
+        const isOpen = this.openNotePanels.has(task.id);
+
+        const notesListHTML = notes.length > 0
+            ? `
+                <ul class="note-list">
+                    ${notes.map(note => this.createNoteItemHTML(note, sanitizedTitle)).join('')}
+                </ul>
+            `
+            : '<p class="no-notes">メモ・引用はまだありません</p>';
+
+        return `
+            <details class="task-notes" ${isOpen ? 'open' : ''}>
+                <summary>📝 メモ・引用（${notes.length}件）</summary>
+                ${notesListHTML}
+                <div class="note-form">
+                    <label for="note-text-${sanitizedId}" class="sr-only">メモ・引用の本文</label>
+                    <textarea id="note-text-${sanitizedId}"
+                              class="note-input"
+                              data-field="text"
+                              rows="2"
+                              maxlength="500"
+                              placeholder="気になった一文やメモを入力"></textarea>
+                    <div class="note-form-row">
+                        <label for="note-type-${sanitizedId}">種類</label>
+                        <select id="note-type-${sanitizedId}" class="note-input" data-field="type">
+                            <option value="quote">引用</option>
+                            <option value="note">メモ</option>
+                        </select>
+                        <label for="note-page-${sanitizedId}">ページ</label>
+                        <input type="number"
+                               id="note-page-${sanitizedId}"
+                               class="note-input"
+                               data-field="page"
+                               min="1"
+                               inputmode="numeric"
+                               placeholder="任意">
+                        <button class="btn btn-secondary btn-small"
+                                data-action="add-note"
+                                aria-label="${sanitizedTitle}にメモ・引用を追加"
+                                tabindex="0">
+                            ➕ 追加
+                        </button>
+                    </div>
+                </div>
+            </details>
+        `;
+    }
+
+    /**
+     * メモ・引用アイテムのHTMLを生成
+     * @param {Object} note - メモオブジェクト
+     * @param {string} sanitizedTitle - エスケープ済みの書籍タイトル
+     * @returns {string} 生成されたHTML
+     */
+    createNoteItemHTML(note, sanitizedTitle) {
+        const isQuote = note.type === 'quote';
+        const sanitizedNoteId = this.escapeHtml(note.id);
+        const sanitizedText = this.inputValidator.sanitizeForOutput(note.text);
+        const createdDate = new Date(note.createdAt).toLocaleDateString('ja-JP');
+        const platformLabel = this.escapeHtml(this.shareManager.getPlatform(this.shareManager.getSharePlatform()).label);
+
+        return `
+            <li class="note-item ${isQuote ? 'quote' : ''}">
+                <p class="note-text">${isQuote ? `「${sanitizedText}」` : sanitizedText}</p>
+                <p class="note-meta">
+                    ${isQuote ? '💬 引用' : '📝 メモ'}
+                    ${note.page ? ` | p.${note.page}` : ''}
+                    | ${createdDate}
+                </p>
+                <div class="note-actions">
+                    ${isQuote ? `
+                        <button class="btn btn-primary btn-small"
+                                data-action="share-quote"
+                                data-note-id="${sanitizedNoteId}"
+                                aria-label="${sanitizedTitle}の引用を${platformLabel}でシェア"
+                                tabindex="0">
+                            📤 ${platformLabel}でシェア
+                        </button>
+                    ` : ''}
+                    <button class="btn btn-danger btn-small"
+                            data-action="delete-note"
+                            data-note-id="${sanitizedNoteId}"
+                            aria-label="${sanitizedTitle}のメモを削除"
+                            tabindex="0">
+                        🗑️ 削除
+                    </button>
+                </div>
+            </li>
+        `;
+    }
+
+    /**
+     * 計測中セッションの経過時間表示を更新するタイマーを管理
+     */
+    updateSessionTimer() {
+        if (this.sessionTimerId) {
+            clearInterval(this.sessionTimerId);
+            this.sessionTimerId = null;
+        }
+
+        if (!document.querySelector('.session-elapsed[data-started-at]')) {
+            return;
+        }
+
+        this.sessionTimerId = setInterval(() => {
+            document.querySelectorAll('.session-elapsed[data-started-at]').forEach(element => {
+                const startedAt = Number(element.dataset.startedAt);
+                element.textContent = `計測中: ${this.formatDuration(Date.now() - startedAt, true)}`;
+            });
+        }, 1000);
+    }
+
+    /**
+     * 読書セッションの開始処理
+     * @param {string} taskId - 対象タスクのID
+     */
+    startReadingSession(taskId) {
+        try {
+            const session = this.taskManager.startReadingSession(taskId);
+            if (!session) {
+                this.notificationManager.error('読書セッションの開始に失敗しました', {
+                    details: 'ローカルストレージの更新でエラーが発生しました',
+                    actions: [
+                        {
+                            label: '再試行',
+                            style: 'btn-primary',
+                            handler: () => this.startReadingSession(taskId)
+                        }
+                    ]
+                });
+                return;
+            }
+
+            this.notificationManager.info('読書時間の計測を開始しました');
+            this.displayTasks();
+
+        } catch (error) {
+            console.error('読書セッション開始エラー:', error);
+            this.notificationManager.critical('読書セッションの開始でエラーが発生しました', {
+                details: error.message,
+                errorCode: 'SESSION_START_ERROR',
+                retryHandler: () => this.startReadingSession(taskId)
+            });
+        }
+    }
+
+    /**
+     * 読書セッションの終了処理
+     * @param {string} taskId - 対象タスクのID
+     * @param {HTMLElement} taskItem - タスクアイテム要素
+     */
+    stopReadingSession(taskId, taskItem) {
+        try {
+            const pagesInput = taskItem.querySelector('.session-input[data-field="pagesRead"]');
+            const memoInput = taskItem.querySelector('.session-input[data-field="memo"]');
+            const pagesRead = pagesInput && pagesInput.value.trim() !== '' ? Number(pagesInput.value) : 0;
+            const memo = memoInput ? memoInput.value : '';
+
+            const validation = TaskValidator.validateSessionRecord(pagesRead, memo);
+            if (!validation.isValid) {
+                this.notificationManager.showValidationErrors(validation.errors);
+                if (pagesInput) pagesInput.focus();
+                return;
+            }
+
+            const session = this.taskManager.stopReadingSession(taskId, pagesRead, memo);
+            if (!session) {
+                this.notificationManager.error('読書セッションの終了に失敗しました', {
+                    details: 'ローカルストレージの更新でエラーが発生しました',
+                    actions: [
+                        {
+                            label: '再試行',
+                            style: 'btn-primary',
+                            handler: () => this.stopReadingSession(taskId, taskItem)
+                        }
+                    ]
+                });
+                return;
+            }
+
+            const duration = new Date(session.endedAt) - new Date(session.startedAt);
+            this.notificationManager.success('読書セッションを記録しました', {
+                details: `${this.formatDuration(duration)}・${session.pagesRead}ページ`
+            });
+            this.displayTasks();
+
+        } catch (error) {
+            console.error('読書セッション終了エラー:', error);
+            this.notificationManager.critical('読書セッションの終了でエラーが発生しました', {
+                details: error.message,
+                errorCode: 'SESSION_STOP_ERROR',
+                retryHandler: () => this.stopReadingSession(taskId, taskItem)
+            });
+        }
+    }
+
+    /**
+     * タスクのインライン編集を開始
+     * @param {string} taskId - 編集するタスクのID
+     */
+    startEditTask(taskId) {
+        this.editingTaskId = taskId;
+        this.displayTasks();
+
+        const titleInput = document.getElementById(`task-edit-title-${taskId}`);
+        if (titleInput) {
+            titleInput.focus();
+            titleInput.select();
+        }
+    }
+
+    /**
+     * タスクのインライン編集をキャンセル
+     */
+    cancelEditTask() {
+        const taskId = this.editingTaskId;
+        this.editingTaskId = null;
+        this.displayTasks();
+        this.focusTaskItem(taskId);
+    }
+
+    /**
+     * インライン編集の内容を保存
+     * @param {string} taskId - 編集するタスクのID
+     * @param {HTMLElement} taskItem - タスクアイテム要素
+     */
+    saveTaskEdit(taskId, taskItem) {
+        try {
+            const titleInput = taskItem.querySelector('.task-edit-input[data-field="bookTitle"]');
+            const authorInput = taskItem.querySelector('.task-edit-input[data-field="author"]');
+            if (!titleInput || !authorInput) return;
+
+            // 入力欄には保存時のエスケープを戻した文字を表示しているため、入力値のまま検証し、
+            // サニタイズは保存時（TaskManager.updateTaskInfo）の1回だけ行う
+            // 取り込んだ本の「'」「/」「&」などを含むタイトルも編集できるよう、許可文字の制限は行わない
+            const bookTitle = titleInput.value.trim();
+            const author = authorInput.value.trim();
+            const prepared = TaskValidator.prepareTaskData(bookTitle, author);
+            const titleResult = this.validateTaskEditField('bookTitle', bookTitle, prepared.validation.details.title);
+            const authorResult = this.validateTaskEditField('author', author, prepared.validation.details.author);
+
+            this.inputValidator.updateFieldUI(titleInput, titleResult);
+            this.inputValidator.updateFieldUI(authorInput, authorResult);
+
+            if (!titleResult.isValid || !authorResult.isValid) {
+                this.notificationManager.showValidationErrors([...titleResult.errors, ...authorResult.errors]);
+                const firstErrorField = titleResult.isValid ? authorInput : titleInput;
+                firstErrorField.focus();
+                return;
+            }
+
+            const updatedTask = this.taskManager.updateTaskInfo(taskId, bookTitle, author);
+            if (!updatedTask) {
+                this.notificationManager.error('タスクの更新に失敗しました', {
+                    details: 'ローカルストレージの更新でエラーが発生しました',
+                    actions: [
+                        {
+                            label: '再試行',
+                            style: 'btn-primary',
+                            handler: () => this.saveTaskEdit(taskId, taskItem)
+                        }
+                    ]
+                });
+                return;
+            }
+
+            this.notificationManager.success('書籍情報を更新しました', {
+                details: `「${bookTitle}」`
+            });
+
+            this.editingTaskId = null;
+            this.displayTasks();
+            this.focusTaskItem(taskId);
+
+        } catch (error) {
+            console.error('タスク編集エラー:', error);
+            this.notificationManager.critical('タスクの編集でエラーが発生しました', {
+                details: error.message,
+                errorCode: 'TASK_EDIT_ERROR',
+                retryHandler: () => this.saveTaskEdit(taskId, taskItem)
+            });
+        }
+    }
+
+    /**
+     * インライン編集の入力値を検証
+     * @param {string} fieldName - フィールド名（bookTitle / author）
+     * @param {string} value - 入力値
+     * @param {Object} taskValidation - TaskValidatorでの検証結果
+     * @returns {Object} 検証結果
+     */
+    validateTaskEditField(fieldName, value, taskValidation) {
+        const errors = [...taskValidation.errors];
+        if (value && this.inputValidator.containsXSS(value)) {
+            errors.push(this.inputValidator.getErrorMessage(fieldName, 'xss'));
+        }
+
+        return {
+            isValid: errors.length === 0,
+            errors: errors
+        };
+    }
+
+    /**
+     * 指定したタスクアイテムにフォーカスを戻す
+     * @param {string} taskId - タスクID
+     */
+    focusTaskItem(taskId) {
+        const taskItem = Array.from(document.querySelectorAll('.task-item[data-task-id]'))
+            .find(item => item.dataset.taskId === taskId);
+        if (taskItem) {
+            taskItem.focus();
+        }
+    }
+
+    /**
+     * メモ・引用の追加処理
+     * @param {string} taskId - 対象タスクのID
+     * @param {HTMLElement} taskItem - タスクアイテム要素
+     */
+    addNote(taskId, taskItem) {
+        try {
+            const textInput = taskItem.querySelector('.note-input[data-field="text"]');
+            const typeInput = taskItem.querySelector('.note-input[data-field="type"]');
+            const pageInput = taskItem.querySelector('.note-input[data-field="page"]');
+            if (!textInput) return;
+
+            const text = textInput.value.trim();
+            const type = typeInput ? typeInput.value : 'note';
+            const page = pageInput && pageInput.value.trim() !== '' ? Number(pageInput.value) : null;
+
+            const validation = TaskValidator.validateNote(text, page, type);
+            if (!validation.isValid) {
+                this.notificationManager.showValidationErrors(validation.errors);
+                textInput.focus();
+                return;
+            }
+
+            const note = this.taskManager.addNote(taskId, text, { page, type });
+            if (!note) {
+                this.notificationManager.error('メモの追加に失敗しました', {
+                    details: 'ローカルストレージの更新でエラーが発生しました'
+                });
+                return;
+            }
+
+            this.notificationManager.success(type === 'quote' ? '引用を追加しました' : 'メモを追加しました');
+
+            this.openNotePanels.add(taskId);
+            this.displayTasks();
+
+        } catch (error) {
+            console.error('メモ追加エラー:', error);
+            this.notificationManager.critical('メモの追加でエラーが発生しました', {
+                details: error.message,
+                errorCode: 'NOTE_ADD_ERROR',
+                retryHandler: () => this.addNote(taskId, taskItem)
+            });
+        }
+    }
+
+    /**
+     * メモ・引用の削除処理
+     * @param {string} taskId - 対象タスクのID
+     * @param {string} noteId - 削除するメモのID
+     */
+    deleteNote(taskId, noteId) {
+        try {
+            const deleted = this.taskManager.deleteNote(taskId, noteId);
+            if (!deleted) {
+                this.notificationManager.error('メモの削除に失敗しました', {
+                    details: 'ローカルストレージの更新でエラーが発生しました'
+                });
+                return;
+            }
+
+            this.notificationManager.success('メモを削除しました');
+            this.displayTasks();
+
+        } catch (error) {
+            console.error('メモ削除エラー:', error);
+            this.notificationManager.critical('メモの削除でエラーが発生しました', {
+                details: error.message,
+                errorCode: 'NOTE_DELETE_ERROR',
+                retryHandler: () => this.deleteNote(taskId, noteId)
+            });
+        }
+    }
+
+    /**
+     * 引用のシェア処理
+     * @param {string} taskId - 対象タスクのID
+     * @param {string} noteId - シェアする引用のID
+     */
+    async shareQuote(taskId, noteId) {
+        try {
+            const task = this.taskManager.getTask(taskId);
+            const note = task ? this.taskManager.getNotes(taskId).find(n => n.id === noteId) : null;
+            if (!note) {
+                this.notificationManager.error('引用が見つかりません', {
+                    errorCode: 'NOTE_NOT_FOUND'
+                });
+                return;
+            }
+
+            const shareResult = await this.shareManager.shareQuote(note.text, task.bookTitle, task.author, note.page);
+
+            if (shareResult.success) {
+                this.notificationManager.success('引用をシェアしました！', {
+                    details: `「${task.bookTitle}」より`
+                });
+            } else {
+                this.notificationManager.showShareError('引用', shareResult);
+            }
+
+        } catch (error) {
+            console.error('引用シェアエラー:', error);
+            this.notificationManager.critical('引用のシェアでエラーが発生しました', {
+                details: error.message,
+                errorCode: 'QUOTE_SHARE_ERROR',
+                retryHandler: () => this.shareQuote(taskId, noteId)
+            });
+        }
+    }
+
+    /**
+     * 経過時間を表示用の文字列に変換
+     * @param {number} milliseconds - 経過時間（ミリ秒）
+     * @param {boolean} withSeconds - 秒まで表示する場合true
+     * @returns {string} 表示用の文字列
+     */
+    formatDuration(milliseconds, withSeconds = false) {
+        const totalSeconds = Math.max(0, Math.floor(milliseconds / 1000));
+        const hours = Math.floor(totalSeconds / 3600);
+        const minutes = Math.floor((totalSeconds % 3600) / 60);
+        const seconds = totalSeconds % 60;
+
+        if (withSeconds) {
+            const pad = (value) => String(value).padStart(2, '0');
+            return `${hours > 0 ? `${hours}:` : ''}${pad(minutes)}:${pad(seconds)}`;
+        }
+
+        return hours > 0 ? `${hours}時間${minutes}分` : `${minutes}分`;
+    }
+
+    /**
+     * 読書進捗の記録処理
+     * @param {string} taskId - 対象タスクのID
+     * @param {HTMLElement} taskItem - タスクアイテム要素
+     */
+    updateProgress(taskId, taskItem) {
+        try {
+            const currentPageInput = taskItem.querySelector('.progress-input[data-field="currentPage"]');
+            const totalPagesInput = taskItem.querySelector('.progress-input[data-field="totalPages"]');
+            if (!currentPageInput) return;
+
+            // 総ページ数が入力されていれば先に設定
+            if (totalPagesInput && totalPagesInput.value.trim() !== '') {
+                const totalPages = Number(totalPagesInput.value);
+                const validation = TaskValidator.validateTotalPages(totalPages);
+                if (!validation.isValid) {
+                    this.notificationManager.showValidationErrors(validation.errors);
+                    totalPagesInput.focus();
+                    return;
+                }
+
+                if (!this.taskManager.setTotalPages(taskId, totalPages)) {
+                    this.notificationManager.error('総ページ数の設定に失敗しました', {
+                        details: 'ローカルストレージの更新でエラーが発生しました'
+                    });
+                    return;
+                }
+            }
+
+            const task = this.taskManager.getTask(taskId);
+            const currentPage = Number(currentPageInput.value);
+            const validation = TaskValidator.validateCurrentPage(currentPage, task ? task.totalPages : null);
+            if (!validation.isValid) {
+                this.notificationManager.showValidationErrors(validation.errors);
+                currentPageInput.focus();
+                return;
+            }
+
+            const updatedTask = this.taskManager.updateProgress(taskId, currentPage);
+            if (!updatedTask) {
+                this.notificationManager.error('進捗の記録に失敗しました', {
+                    details: 'ローカルストレージの更新でエラーが発生しました',
+                    actions: [
+                        {
+                            label: '再試行',
+                            style: 'btn-primary',
+                            handler: () => this.updateProgress(taskId, taskItem)
+                        }
+                    ]
+                });
+                return;
+            }
+
+            this.notificationManager.success('進捗を記録しました', {
+                details: `「${updatedTask.bookTitle}」: ${updatedTask.currentPage}ページまで読みました`
+            });
+
+            this.displayTasks();
+
+        } catch (error) {
+            console.error('進捗記録エラー:', error);
+            this.notificationManager.critical('進捗の記録でエラーが発生しました', {
+                details: error.message,
+                errorCode: 'TASK_PROGRESS_ERROR',
+                retryHandler: () => this.updateProgress(taskId, taskItem)
+            });
+        }
+    }
+
+    /**
+     * タスクの完了処理
+     * @param {string} taskId - 完了するタスクのID
+     */
+    async completeTask(taskId) {
+        try {
+            const task = this.taskManager.getTask(taskId);
+            if (!task) {
+                this.notificationManager.error('タスクが見つかりません', {
+                    details: '指定されたタスクIDが存在しません',
+                    errorCode: 'TASK_NOT_FOUND'
+                });
+                return;
+            }
+
+            // 評価と感想を入力
+            const reviewResult = await this.openCompletionDialog(task);
+            if (!reviewResult) return;
+
+            // 取り消し用に完了前の状態を保持
+            const previousTaskData = { ...task };
+
+            // タスクを完了状態に更新
+            const completedTask = this.taskManager.completeTask(taskId, {
+                rating: reviewResult.rating,
+                review: reviewResult.review
+            });
+            if (!completedTask) {
+                this.notificationManager.error('タスクの完了処理に失敗しました', {
+                    details: 'ローカルストレージの更新でエラーが発生しました',
+                    actions: [
+                        {
+                            label: '再試行',
+                            style: 'btn-primary',
+                            handler: () => this.completeTask(taskId)
+                        }
+                    ]
+                });
+                return;
+            }
+
+            // 読了報告をシェア（評価と感想はシェアを選んだ場合のみ）
+            const shareOptions = {
+                days: Task.fromJSON(completedTask).getReadingDays(),
+                pages: completedTask.totalPages
+            };
+            if (reviewResult.includeInShare) {
+                shareOptions.rating = reviewResult.rating;
+                shareOptions.review = reviewResult.review;
+            }
+            const shareResult = await this.shareManager.shareCompletion(task.bookTitle, task.author, shareOptions);
+
+            // 誤操作に備えて完了を取り消せるようにする
+            const undoAction = {
+                label: '元に戻す',
+                style: 'btn-primary',
+                ariaLabel: `「${task.bookTitle}」の完了を取り消す`,
+                handler: () => this.undoCompletion(previousTaskData)
+            };
+            
+            if (shareResult.success) {
+                this.notificationManager.success('読了報告をシェアしました！', {
+                    details: `「${task.bookTitle}」を読み終わりました`,
+                    duration: 8000,
+                    actions: [undoAction]
+                });
+            } else {
+                // エラータイプに応じたメッセージを表示
+                this.notificationManager.showShareError('読了報告', shareResult);
+                this.notificationManager.info(`「${task.bookTitle}」を読了済みにしました`, {
+                    duration: 8000,
+                    actions: [undoAction]
+                });
+            }
+
+            // タスクリストを更新
+            this.displayTasks();
+
+            // フォーカスを適切な場所に移動
+            this.manageFocusAfterTaskUpdate();
+
+        } catch (error) {
+            console.error('タスク完了エラー:', error);
+            this.notificationManager.critical('タスク完了処理でエラーが発生しました', {
+                details: error.message,
+                errorCode: 'TASK_COMPLETE_ERROR',
+                retryHandler: () => this.completeTask(taskId)
+            });
+        }
+    }
+
+    /**
+     * 読みたい本の読書開始処理
+     * @param {string} taskId - 開始するタスクのID
+     */
+    async startTask(taskId) {
+        try {
+            const startedTask = this.taskManager.startTask(taskId);
+            if (!startedTask) {
+                this.notificationManager.error('読書の開始に失敗しました', {
+                    details: 'ローカルストレージの更新でエラーが発生しました',
+                    actions: [
+                        {
+                            label: '再試行',
+                            style: 'btn-primary',
+                            handler: () => this.startTask(taskId)
+                        }
+                    ]
+                });
+                return;
+            }
+
+            // 読書宣言をシェア
+            const shareResult = await this.shareManager.shareDeclaration(startedTask.bookTitle, startedTask.author, {
+                pages: startedTask.totalPages
+            });
+            
+            if (shareResult.success) {
+                this.notificationManager.success('読書宣言をシェアしました！', {
+                    details: `「${startedTask.bookTitle}」の読書を開始しました`
+                });
+            } else {
+                this.notificationManager.showShareError('読書宣言', shareResult);
+            }
+
+            this.displayTasks();
+            this.manageFocusAfterTaskUpdate();
+
+        } catch (error) {
+            console.error('読書開始エラー:', error);
+            this.notificationManager.critical('読書の開始でエラーが発生しました', {
+                details: error.message,
+                errorCode: 'TASK_START_ERROR',
+                retryHandler: () => this.startTask(taskId)
+            });
+        }
+    }
+
+    /**
+     * 中断・再開・中止によるステータス変更処理
+     * @param {string} taskId - 対象タスクのID
+     * @param {string} action - アクション（'pause', 'resume', 'abandon', 'reopen', 'reread'）
+     */
+    changeTaskStatus(taskId, action) {
+        const transitions = {
+            pause: { method: 'pauseTask', label: '中断' },
+            resume: { method: 'resumeTask', label: '再開' },
+            abandon: { method: 'abandonTask', label: '中止' },
+            reopen: { method: 'reopenTask', label: '再開', successMessage: '読書中に戻しました' },
+            reread: { method: 'startRereadTask', label: '再読開始', successMessage: '再読を開始しました' }
+        };
+        const transition = transitions[action];
+        if (!transition) return;
+
+        try {
+            const updatedTask = this.taskManager[transition.method](taskId);
+            if (!updatedTask) {
+                this.notificationManager.error(`読書の${transition.label}に失敗しました`, {
+                    details: 'ローカルストレージの更新でエラーが発生しました',
+                    actions: [
+                        {
+                            label: '再試行',
+                            style: 'btn-primary',
+                            handler: () => this.changeTaskStatus(taskId, action)
+                        }
+                    ]
+                });
+                return;
+            }
+
+            this.notificationManager.success(transition.successMessage || `読書を${transition.label}しました`, {
+                details: `「${updatedTask.bookTitle}」`
+            });
+
+            this.displayTasks();
+            this.manageFocusAfterTaskUpdate();
+
+        } catch (error) {
+            console.error('ステータス変更エラー:', error);
+            this.notificationManager.critical('ステータスの変更でエラーが発生しました', {
+                details: error.message,
+                errorCode: 'TASK_STATUS_ERROR',
+                retryHandler: () => this.changeTaskStatus(taskId, action)
+            });
+        }
+    }
+
+    /**
+     * 評価と感想を入力する読了ダイアログを表示
+     * @param {Object} task - 完了するタスク
+     * @returns {Promise<Object|null>} 入力結果、キャンセル時はnull
+     */
+    openCompletionDialog(task) {
+        const dialog = this.elements.completionDialog;
+        const form = this.elements.completionForm;
+
+        // ダイアログがない環境では評価なしで完了する
+        if (!dialog || !form) {
+            return Promise.resolve({ rating: null, review: '', includeInShare: false });
+        }
+
+        form.reset();
+        if (this.elements.completionDialogBook) {
+            this.elements.completionDialogBook.textContent = `「${task.bookTitle}」`;
+        }
+
+        const previousFocus = document.activeElement;
+        dialog.hidden = false;
+
+        return new Promise((resolve) => {
+            const close = (result) => {
+                dialog.hidden = true;
+                form.removeEventListener('submit', handleSubmit);
+                dialog.removeEventListener('click', handleClick);
+                dialog.removeEventListener('keydown', handleKeydown);
+
+                if (previousFocus && typeof previousFocus.focus === 'function') {
+                    previousFocus.focus();
+                }
+                resolve(result);
+            };
+
+            const handleSubmit = (event) => {
+                event.preventDefault();
+
+                const ratingValue = form.elements.rating.value;
+                const rating = ratingValue ? parseInt(ratingValue, 10) : null;
+                const review = form.elements.review.value.trim();
+
+                const validation = TaskValidator.validateReview(rating, review);
+                if (!validation.isValid) {
+                    this.notificationManager.showValidationErrors(validation.errors);
+                    form.elements.review.focus();
+                    return;
+                }
+
+                close({
+                    rating: rating,
+                    review: review,
+                    includeInShare: form.elements.includeInShare.checked
+                });
+            };
+
+            const handleClick = (event) => {
+                // 背景クリックまたはキャンセルボタンで閉じる
+                if (event.target === dialog || event.target.closest('[data-dialog-action="cancel"]')) {
+                    close(null);
+                }
+            };
+
+            const handleKeydown = (event) => {
+                if (event.key === 'Escape') {
+                    event.stopPropagation();
+                    close(null);
+                }
+            };
+
+            form.addEventListener('submit', handleSubmit);
+            dialog.addEventListener('click', handleClick);
+            dialog.addEventListener('keydown', handleKeydown);
+
+            const firstRating = form.querySelector('input[name="rating"]');
+            if (firstRating) {
+                firstRating.focus();
+            }
+        });
+    }
+
+    /**
+     * タスクの削除処理
+     * @param {string} taskId - 削除するタスクのID
+     */
+    deleteTask(taskId) {
+        try {
+            const task = this.taskManager.getTask(taskId);
+            if (!task) {
+                this.notificationManager.error('タスクが見つかりません', {
+                    details: '指定されたタスクIDが存在しません',
+                    errorCode: 'TASK_NOT_FOUND'
+                });
+                return;
+            }
+
+            // 確認ダイアログの代わりにゴミ箱へ移動し、通知から元に戻せるようにする
+            const deleted = this.taskManager.trashTask(taskId);
+            if (deleted) {
+                this.notificationManager.success(`「${task.bookTitle}」をゴミ箱に移動しました`, {
+                    duration: 8000,
+                    actions: [
+                        {
+                            label: '元に戻す',
+                            style: 'btn-primary',
+                            ariaLabel: `「${task.bookTitle}」の削除を取り消す`,
+                            handler: () => this.restoreTask(taskId)
+                        }
+                    ]
+                });
+                this.displayTasks();
+                
+                // フォーカスを適切な場所に移動
+                this.manageFocusAfterTaskUpdate();
+            } else {
+                this.notificationManager.error('タスクの削除に失敗しました', {
+                    details: 'ローカルストレージからの削除でエラーが発生しました',
+                    actions: [
+                        {
+                            label: '再試行',
+                            style: 'btn-primary',
+                            handler: () => this.deleteTask(taskId)
+                        }
+                    ]
+                });
+            }
+
+        } catch (error) {
+            console.error('タスク削除エラー:', error);
+            this.notificationManager.critical('タスク削除処理でエラーが発生しました', {
+                details: error.message,
+                errorCode: 'TASK_DELETE_ERROR',
+                retryHandler: () => this.deleteTask(taskId)
+            });
+        }
+    }
+
+
+
+    /**
+     * ゴミ箱のタスクを元に戻す
+     * @param {string} taskId - 元に戻すタスクのID
+     */
+    restoreTask(taskId) {
+        try {
+            const task = this.taskManager.getTask(taskId);
+            const restored = this.taskManager.restoreTask(taskId);
+            if (!restored) {
+                this.notificationManager.error('タスクを元に戻せませんでした', {
+                    details: 'ローカルストレージの更新でエラーが発生しました',
+                    actions: [
+                        {
+                            label: '再試行',
+                            style: 'btn-primary',
+                            handler: () => this.restoreTask(taskId)
+                        }
+                    ]
+                });
+                return;
+            }
+
+            this.notificationManager.success('タスクを元に戻しました', {
+                details: `「${task.bookTitle}」`
+            });
+            this.displayTasks();
+
+        } catch (error) {
+            console.error('タスク復元エラー:', error);
+            this.notificationManager.critical('タスクの復元でエラーが発生しました', {
+                details: error.message,
+                errorCode: 'TASK_RESTORE_ERROR',
+                retryHandler: () => this.restoreTask(taskId)
+            });
+        }
+    }
+
+    /**
+     * 完了したタスクを完了前の状態に戻す
+     * @param {Object} previousTaskData - 完了前のタスクデータ
+     */
+    undoCompletion(previousTaskData) {
+        try {
+            const reverted = this.taskManager.revertTask(previousTaskData);
+            if (!reverted) {
+                this.notificationManager.error('完了を取り消せませんでした', {
+                    details: 'ローカルストレージの更新でエラーが発生しました',
+                    actions: [
+                        {
+                            label: '再試行',
+                            style: 'btn-primary',
+                            handler: () => this.undoCompletion(previousTaskData)
+                        }
+                    ]
+                });
+                return;
+            }
+
+            this.notificationManager.success('完了を取り消しました', {
+                details: `「${reverted.bookTitle}」を完了前の状態に戻しました`
+            });
+            this.displayTasks();
+
+        } catch (error) {
+            console.error('完了取り消しエラー:', error);
+            this.notificationManager.critical('完了の取り消しでエラーが発生しました', {
+                details: error.message,
+                errorCode: 'TASK_UNDO_ERROR',
+                retryHandler: () => this.undoCompletion(previousTaskData)
+            });
+        }
+    }
+
+    /**
+     * ゴミ箱のタスクを完全に削除
+     * @param {string} taskId - 削除するタスクのID
+     */
+    purgeTask(taskId) {
+        try {
+            const task = this.taskManager.getTask(taskId);
+            if (!task) return;
+
+            // 完全削除は元に戻せないため確認する
+            const confirmed = confirm(`「${task.bookTitle}」を完全に削除しますか？この操作は元に戻せません。`);
+            if (!confirmed) return;
+
+            const deleted = this.taskManager.deleteTask(taskId);
+            if (!deleted) {
+                this.notificationManager.error('タスクの削除に失敗しました', {
+                    details: 'ローカルストレージからの削除でエラーが発生しました',
+                    actions: [
+                        {
+                            label: '再試行',
+                            style: 'btn-primary',
+                            handler: () => this.purgeTask(taskId)
+                        }
+                    ]
+                });
+                return;
+            }
+
+            this.notificationManager.success('タスクを完全に削除しました', {
+                details: `「${task.bookTitle}」を削除しました`
+            });
+            this.displayTasks();
+
+        } catch (error) {
+            console.error('タスク完全削除エラー:', error);
+            this.notificationManager.critical('タスクの完全削除でエラーが発生しました', {
+                details: error.message,
+                errorCode: 'TASK_PURGE_ERROR',
+                retryHandler: () => this.purgeTask(taskId)
+            });
+        }
+    }
+
+    /**
+     * ゴミ箱を空にする
+     */
+    emptyTrash() {
+        try {
+            const count = this.taskManager.getTrashedTasks().length;
+            if (count === 0) return;
+
+            const confirmed = confirm(`ゴミ箱の${count}件のタスクを完全に削除しますか？この操作は元に戻せません。`);
+            if (!confirmed) return;
+
+            if (!this.taskManager.emptyTrash()) {
+                this.notificationManager.error('ゴミ箱を空にできませんでした', {
+                    details: 'ローカルストレージからの削除でエラーが発生しました',
+                    actions: [
+                        {
+                            label: '再試行',
+                            style: 'btn-primary',
+                            handler: () => this.emptyTrash()
+                        }
+                    ]
+                });
+                this.displayTasks();
+                return;
+            }
+
+            this.notificationManager.success('ゴミ箱を空にしました', {
+                details: `${count}件のタスクを削除しました`
+            });
+            this.displayTasks();
+
+        } catch (error) {
+            console.error('ゴミ箱削除エラー:', error);
+            this.notificationManager.critical('ゴミ箱を空にする処理でエラーが発生しました', {
+                details: error.message,
+                errorCode: 'TRASH_EMPTY_ERROR',
+                retryHandler: () => this.emptyTrash()
+            });
+        }
+    }
+
+    /**
+     * 全ての読書記録をJSONファイルとしてダウンロード
+     */
+    exportLibrary() {
+        try {
+            const library = this.storageManager.exportLibrary();
+            const date = new Date().toISOString().slice(0, 10);
+
+            this.downloadFile(
+                JSON.stringify(library, null, 2),
+                `reading-library-${date}.json`,
+                'application/json'
+            );
+
+            this.notificationManager.success('読書記録をエクスポートしました', {
+                details: `${library.tasks.length}件のタスクを保存しました`
+            });
+
+        } catch (error) {
+            console.error('エクスポートエラー:', error);
+            this.notificationManager.error('読書記録のエクスポートに失敗しました', {
+                details: error.message,
+                actions: [
+                    {
+                        label: '再試行',
+                        style: 'btn-primary',
+                        handler: () => this.exportLibrary()
+                    }
+                ]
+            });
+        }
+    }
+
+    /**
+     * ゴミ箱以外のタスクをCSVファイルとしてダウンロード
+     */
+    exportCsv() {
+        try {
+            const tasks = this.taskManager.sortTasksByDate(this.taskManager.getAllTasks(), 'asc');
+            const csv = this.exportManager.generateCsv(tasks);
+            const date = new Date().toISOString().slice(0, 10);
+
+            this.downloadFile(csv, `reading-log-${date}.csv`, 'text/csv;charset=utf-8');
+
+            this.notificationManager.success('CSVをダウンロードしました', {
+                details: `${tasks.length}件のタスクを出力しました`
+            });
+
+        } catch (error) {
+            console.error('CSV出力エラー:', error);
+            this.notificationManager.error('CSVの作成に失敗しました', {
+                details: error.message,
+                actions: [
+                    {
+                        label: '再試行',
+                        style: 'btn-primary',
+                        handler: () => this.exportCsv()
+                    }
+                ]
+            });
+        }
+    }
+
+    /**
+     * 読書ノートをMarkdown（YAMLフロントマター付き）でダウンロード
+     * 本ごとのファイルはzipにまとめ、1つのファイルの場合は.mdのままダウンロードする
+     */
+    exportMarkdown() {
+        try {
+            const scope = this.elements.markdownScope ? this.elements.markdownScope.value : 'completed';
+            const layout = this.elements.markdownLayout ? this.elements.markdownLayout.value : 'files';
+            const tasks = scope === 'all'
+                ? this.taskManager.getAllTasks()
+                : this.taskManager.getCompletedTasks();
+
+            if (tasks.length === 0) {
+                this.notificationManager.warning(scope === 'all' ? '書き出す本がありません' : '読了した本がありません');
+                return;
+            }
+
+            const sortedTasks = this.taskManager.sortTasksByDate(tasks, 'asc');
+            const date = new Date().toISOString().slice(0, 10);
+
+            if (layout === 'combined') {
+                const markdown = this.exportManager.generateCombinedMarkdown(sortedTasks);
+                this.downloadFile(markdown, `reading-notes-${date}.md`, 'text/markdown;charset=utf-8');
+            } else {
+                const zip = this.exportManager.createZip(this.exportManager.createMarkdownFiles(sortedTasks));
+                this.downloadFile(new Blob([zip], { type: 'application/zip' }), `reading-notes-${date}.zip`, 'application/zip');
+            }
+
+            this.notificationManager.success('読書ノートをダウンロードしました', {
+                details: `${sortedTasks.length}冊の読書ノートを出力しました`
+            });
+
+        } catch (error) {
+            console.error('Markdown出力エラー:', error);
+            this.notificationManager.error('読書ノートの作成に失敗しました', {
+                details: error.message,
+                actions: [
+                    {
+                        label: '再試行',
+                        style: 'btn-primary',
+                        handler: () => this.exportMarkdown()
+                    }
+                ]
+            });
+        }
+    }
+
+    /**
+     * 読書期間をiCalendar（.ics）ファイルとしてダウンロード
+     * リマインダーを選択した場合は、読了していない本に読了目標日のアラームを付ける
+     */
+    exportIcs() {
+        try {
+            let reminderDays = null;
+            if (this.elements.icsReminder && this.elements.icsReminder.checked) {
+                reminderDays = parseInt(this.elements.icsReminderDays.value, 10);
+                if (!Number.isInteger(reminderDays) || reminderDays < 1 || reminderDays > 365) {
+                    this.notificationManager.warning('読了目標の日数は1〜365日で入力してください');
+                    this.elements.icsReminderDays.focus();
+                    return;
+                }
+            }
+
+            const tasks = this.taskManager.sortTasksByDate(this.taskManager.getAllTasks(), 'asc')
+                .filter(task => task.status !== 'want-to-read');
+
+            if (tasks.length === 0) {
+                this.notificationManager.warning('読み始めた本がありません');
+                return;
+            }
+
+            const ics = this.exportManager.generateIcs(tasks, { reminderDays });
+            const date = new Date().toISOString().slice(0, 10);
+
+            this.downloadFile(ics, `reading-calendar-${date}.ics`, 'text/calendar;charset=utf-8');
+
+            this.notificationManager.success('カレンダーをダウンロードしました', {
+                details: `${tasks.length}冊の読書期間を出力しました`
+            });
+
+        } catch (error) {
+            console.error('iCalendar出力エラー:', error);
+            this.notificationManager.error('カレンダーの作成に失敗しました', {
+                details: error.message,
+                actions: [
+                    {
+                        label: '再試行',
+                        style: 'btn-primary',
+                        handler: () => this.exportIcs()
+                    }
+                ]
+            });
+        }
+    }
+
+    /**
+     * CSVの列設定を表示（出力する列を設定順に並べ、その後に出力しない列を並べる）
+     */
+    renderCsvColumnSettings() {
+        const list = this.elements.csvColumnList;
+        if (!list) return;
+
+        const selectedKeys = this.exportManager.getCsvColumns();
+        const columns = ExportManager.CSV_COLUMNS;
+        const orderedColumns = [
+            ...selectedKeys.map(key => columns.find(column => column.key === key)),
+            ...columns.filter(column => !selectedKeys.includes(column.key))
+        ];
+
+        list.innerHTML = orderedColumns.map(column => `
+            <li class="csv-column-item" data-csv-column="${column.key}">
+                <label>
+                    <input type="checkbox" value="${column.key}" ${selectedKeys.includes(column.key) ? 'checked' : ''}>
+                    ${column.label}
+                </label>
+                <button type="button" 
+                        class="btn btn-secondary btn-small" 
+                        data-csv-move="up"
+                        aria-label="「${column.label}」を前の列へ移動">↑</button>
+                <button type="button" 
+                        class="btn btn-secondary btn-small" 
+                        data-csv-move="down"
+                        aria-label="「${column.label}」を後ろの列へ移動">↓</button>
+            </li>
+        `).join('');
+    }
+
+    /**
+     * CSVの列を1つ前または後ろへ移動して保存
+     * @param {HTMLElement} button - 押された移動ボタン
+     */
+    moveCsvColumn(button) {
+        const item = button.closest('.csv-column-item');
+        if (!item) return;
+
+        if (button.dataset.csvMove === 'up' && item.previousElementSibling) {
+            item.parentNode.insertBefore(item, item.previousElementSibling);
+        } else if (button.dataset.csvMove === 'down' && item.nextElementSibling) {
+            item.parentNode.insertBefore(item.nextElementSibling, item);
+        } else {
+            return;
+        }
+
+        button.focus();
+        this.saveCsvColumnSettings();
+    }
+
+    /**
+     * 表示中の並び順とチェック状態からCSVの列設定を保存
+     */
+    saveCsvColumnSettings() {
+        const list = this.elements.csvColumnList;
+        if (!list) return;
+
+        const columnKeys = Array.from(list.querySelectorAll('input[type="checkbox"]:checked'))
+            .map(input => input.value);
+
+        if (columnKeys.length === 0) {
+            this.notificationManager.warning('出力する列を1つ以上選択してください');
+            this.renderCsvColumnSettings();
+            return;
+        }
+
+        if (!this.exportManager.saveCsvColumns(columnKeys)) {
+            this.notificationManager.showStorageError('CSVの列設定の保存', new Error('ストレージに保存できませんでした'));
+        }
+    }
+
+    /**
+     * シェア先の選択肢を表示
+     */
+    renderSharePlatformSettings() {
+        const select = this.elements.sharePlatform;
+        if (!select) return;
+
+        select.innerHTML = '';
+        for (const platform of this.shareManager.getAvailablePlatforms()) {
+            const option = document.createElement('option');
+            option.value = platform.id;
+            option.textContent = `${platform.label} - ${platform.maxLength}文字まで`;
+            select.appendChild(option);
+        }
+        select.value = this.shareManager.getSharePlatform();
+    }
+
+    /**
+     * 選択されたシェア先を保存
+     */
+    saveSharePlatform() {
+        const select = this.elements.sharePlatform;
+        if (!select) return;
+
+        if (!this.shareManager.saveSharePlatform(select.value)) {
+            this.notificationManager.showStorageError('シェア先の保存', new Error('ストレージに保存できませんでした'));
+            select.value = this.shareManager.getSharePlatform();
+            return;
+        }
+
+        this.refreshSharePlatform();
+        this.notificationManager.success(`シェア先を${this.shareManager.getPlatform(select.value).label}にしました`);
+    }
+
+    /**
+     * シェア先の変更に合わせて、文字数の上限とシェアボタンの表示を切り替える
+     */
+    refreshSharePlatform() {
+        this.renderSharePlatformSettings();
+        for (const type of Object.keys(ShareManager.DEFAULT_TEMPLATES)) {
+            this.updateShareTemplatePreview(type);
+        }
+        this.displayTasks();
+    }
+
+    /**
+     * Mastodon・Misskeyのインスタンスの入力欄に保存されている設定を表示
+     */
+    renderFediverseSettings() {
+        const { fediverseSoftware, fediverseInstance, fediverseMaxLength } = this.elements;
+        if (!fediverseSoftware || !fediverseInstance || !fediverseMaxLength) return;
+
+        const settings = this.shareManager.getFediverseSettings();
+        fediverseSoftware.value = settings ? settings.software : 'mastodon';
+        fediverseInstance.value = settings ? settings.instanceUrl : '';
+        fediverseMaxLength.value = settings
+            ? settings.maxLength
+            : ShareManager.FEDIVERSE_SOFTWARE[fediverseSoftware.value].defaultMaxLength;
+    }
+
+    /**
+     * 入力されたMastodon・Misskeyのインスタンスを保存し、シェア先にする
+     */
+    saveFediverseSettings() {
+        const { fediverseSoftware, fediverseInstance, fediverseMaxLength } = this.elements;
+        if (!fediverseSoftware || !fediverseInstance || !fediverseMaxLength) return;
+
+        const settings = {
+            software: fediverseSoftware.value,
+            instanceUrl: fediverseInstance.value,
+            maxLength: Number(fediverseMaxLength.value)
+        };
+        const validation = this.shareManager.validateFediverseSettings(settings);
+        if (!validation.isValid) {
+            this.notificationManager.error('インスタンスを保存できませんでした', {
+                details: validation.errors.join('\n')
+            });
+            fediverseInstance.focus();
+            return;
+        }
+
+        if (!this.shareManager.saveFediverseSettings(settings) || !this.shareManager.saveSharePlatform('fediverse')) {
+            this.notificationManager.showStorageError('インスタンスの設定の保存', new Error('ストレージに保存できませんでした'));
+            return;
+        }
+
+        this.renderFediverseSettings();
+        this.refreshSharePlatform();
+        this.notificationManager.success(`シェア先を${this.shareManager.getPlatform('fediverse').label}にしました`);
+    }
+
+    /**
+     * Mastodon・Misskeyのインスタンスの設定を削除
+     */
+    clearFediverseSettings() {
+        if (!this.shareManager.getFediverseSettings()) {
+            this.notificationManager.info('インスタンスは設定されていません');
+            return;
+        }
+
+        if (!this.shareManager.clearFediverseSettings()) {
+            this.notificationManager.showStorageError('インスタンスの設定の削除', new Error('ストレージを変更できませんでした'));
+            return;
+        }
+
+        this.renderFediverseSettings();
+        this.refreshSharePlatform();
+        this.notificationManager.success('インスタンスの設定を削除しました', {
+            details: `シェア先は${this.shareManager.getPlatform(this.shareManager.getSharePlatform()).label}です`
+        });
+    }
+
+    /**
+     * シェアのテンプレートの入力欄に保存されているテンプレートを表示
+     */
+    renderShareTemplateSettings() {
+        const templates = this.shareManager.getTemplates();
+
+        for (const type of Object.keys(templates)) {
+            const textarea = document.getElementById(`${type}-template`);
+            if (!textarea) continue;
+            textarea.value = templates[type];
+            this.updateShareTemplatePreview(type);
+        }
+    }
+
+    /**
+     * シェアのテンプレートのプレビューと文字数を更新
+     * @param {string} type - テンプレートの種類（declaration / completion）
+     */
+    updateShareTemplatePreview(type) {
+        const textarea = document.getElementById(`${type}-template`);
+        const preview = document.getElementById(`${type}-template-preview`);
+        const counter = document.getElementById(`${type}-template-count`);
+        const errorElement = document.getElementById(`${type}-template-error`);
+        if (!textarea || !preview) return;
+
+        const template = this.shareManager.normalizeTemplate(textarea.value);
+        const validation = this.shareManager.validateTemplate(template);
+
+        textarea.setAttribute('aria-invalid', validation.isValid ? 'false' : 'true');
+        if (errorElement) {
+            errorElement.textContent = validation.errors.join('、');
+        }
+
+        if (!template) {
+            preview.textContent = '';
+            if (counter) counter.textContent = '';
+            return;
+        }
+
+        // サンプルの書籍で、選択されているシェア先に合わせて差し込んだ結果を表示
+        const platform = this.shareManager.getSharePlatform();
+        const sample = {
+            bookTitle: 'サンプルの本',
+            author: '読書 太郎',
+            pages: 320
+        };
+        const text = type === 'declaration'
+            ? this.shareManager.generateDeclarationText(sample.bookTitle, sample.author, {
+                pages: sample.pages,
+                template,
+                platform
+            })
+            : this.shareManager.generateCompletionText(sample.bookTitle, sample.author, {
+                rating: 4,
+                review: 'とても面白かった',
+                days: 12,
+                pages: sample.pages,
+                template,
+                platform
+            });
+        preview.textContent = text;
+
+        if (counter) {
+            // 長すぎる場合は投稿時に短縮されるため、短縮前の文字数で上限超過を知らせる
+            const maxLength = this.shareManager.getPlatform(platform).maxLength;
+            const renderedLength = this.shareManager.getTextLength(
+                this.shareManager.renderTemplate(template, {
+                    title: sample.bookTitle,
+                    author: sample.author,
+                    pages: sample.pages,
+                    rating: type === 'declaration' ? '' : this.shareManager.formatRating(4),
+                    review: type === 'declaration' ? '' : 'とても面白かった',
+                    days: type === 'declaration' ? '' : 12
+                }),
+                platform
+            );
+            const isOver = renderedLength > maxLength;
+            counter.textContent = isOver
+                ? `${renderedLength} / ${maxLength}（投稿時に短縮されます）`
+                : `${renderedLength} / ${maxLength}`;
+            counter.classList.toggle('over-limit', isOver);
+        }
+    }
+
+    /**
+     * 入力されたシェアのテンプレートを保存
+     */
+    saveShareTemplates() {
+        const templates = {};
+        const errors = [];
+        let firstInvalid = null;
+
+        for (const type of Object.keys(ShareManager.DEFAULT_TEMPLATES)) {
+            const textarea = document.getElementById(`${type}-template`);
+            if (!textarea) return;
+
+            templates[type] = this.shareManager.normalizeTemplate(textarea.value);
+            const validation = this.shareManager.validateTemplate(templates[type]);
+            if (!validation.isValid) {
+                const label = textarea.labels && textarea.labels[0] ? textarea.labels[0].textContent : type;
+                errors.push(`${label}: ${validation.errors.join('、')}`);
+                firstInvalid = firstInvalid || textarea;
+            }
+            this.updateShareTemplatePreview(type);
+        }
+
+        if (errors.length > 0) {
+            this.notificationManager.error('テンプレートを保存できませんでした', {
+                details: errors.join('\n')
+            });
+            firstInvalid.focus();
+            return;
+        }
+
+        if (!this.shareManager.saveTemplates(templates)) {
+            this.notificationManager.showStorageError('シェアのテンプレートの保存', new Error('ストレージに保存できませんでした'));
+            return;
+        }
+
+        this.renderShareTemplateSettings();
+        this.notificationManager.success('シェアのテンプレートを保存しました');
+    }
+
+    /**
+     * シェアのテンプレートを初期設定に戻す
+     */
+    resetShareTemplates() {
+        if (!this.shareManager.resetTemplates()) {
+            this.notificationManager.showStorageError('シェアのテンプレートの初期化', new Error('ストレージを変更できませんでした'));
+            return;
+        }
+
+        this.renderShareTemplateSettings();
+        this.notificationManager.success('シェアのテンプレートを初期設定に戻しました');
+    }
+
+    /**
+     * ボタンでファイル選択を開き、選択されたファイルを処理する
+     * @param {HTMLElement} button - ファイル選択を開くボタン
+     * @param {HTMLInputElement} fileInput - ファイル入力要素
+     * @param {Function} handler - 選択されたファイル（複数選択の場合は第2引数に全てのファイル）を受け取る処理
+     */
+    setupFileImport(button, fileInput, handler) {
+        if (!button || !fileInput) return;
+
+        button.addEventListener('click', () => {
+            fileInput.click();
+        });
+        fileInput.addEventListener('change', (e) => {
+            const files = Array.from(e.target.files);
+            // 同じファイルを続けて選択できるように選択状態をリセット
+            e.target.value = '';
+            if (files.length > 0) {
+                handler(files[0], files);
+            }
+        });
+    }
+
+    /**
+     * 他のサービスのエクスポートファイルを解析し、確認ダイアログで選択した本を取り込む
+     * @param {File|Array<File>} file - 選択されたファイル（複数の場合は配列）
+     * @param {string} serviceName - サービス名（通知に使用）
+     * @param {Function} parse - ファイルの内容（配列の場合は { name, text } の配列）を受け取り { tasks, rejected } を返す解析処理
+     * @param {Array<string>|null} statuses - ダイアログで登録先として選べるステータス（省略時はファイルのステータスのまま）
+     */
+    async importFromService(file, serviceName, parse, statuses = null) {
+        let parsed;
+        try {
+            if (Array.isArray(file)) {
+                const contents = await Promise.all(file.map(async item => ({ name: item.name, text: await item.text() })));
+                parsed = parse(contents);
+            } else {
+                parsed = parse(await file.text());
+            }
+        } catch (error) {
+            console.error(`${serviceName}ファイル読み込みエラー:`, error);
+            this.notificationManager.error(`${serviceName}のファイルを読み込めませんでした`, {
+                details: error.message
+            });
+            return;
+        }
+
+        try {
+            const { tasks, rejected } = parsed;
+            if (tasks.length === 0 && rejected.length === 0) {
+                this.notificationManager.warning('取り込める本が見つかりませんでした');
+                return;
+            }
+
+            // 登録済みの本、またはファイル内で先に出てきた本と重複する本は初期状態で選択しない
+            const entries = [];
+            for (const task of tasks) {
+                let remark = '';
+                if (this.taskManager.findTaskByBook(task.bookTitle, task.author)) {
+                    remark = '登録済みの本と重複';
+                } else if (this.taskManager.findTaskByBook(task.bookTitle, task.author, entries.map(entry => entry.task))) {
+                    remark = 'ファイル内で重複';
+                }
+                entries.push({ task, remark, selected: !remark });
+            }
+
+            const duplicateCount = entries.filter(entry => !entry.selected).length;
+            const summary = [`${entries.length}冊の本が見つかりました。`];
+            if (duplicateCount > 0) {
+                summary.push(`重複する${duplicateCount}冊はチェックを外しています。`);
+            }
+
+            const selectedEntries = await this.openImportPreviewDialog(entries, rejected, summary.join(''), statuses);
+            if (!selectedEntries) return;
+
+            // 登録先を選んだ場合は、読書を開始した状態または読みたい本に変更する
+            const selectedTasks = selectedEntries.map(entry => {
+                if (!entry.status || entry.status === entry.task.status) {
+                    return entry.task;
+                }
+
+                const task = Task.fromJSON(entry.task);
+                if (entry.status === 'active') {
+                    task.start();
+                } else {
+                    task.markAsWantToRead();
+                }
+                return task.toJSON();
+            });
+
+            if (selectedTasks.length === 0) {
+                this.notificationManager.info('取り込む本が選択されていません');
+                return;
+            }
+
+            const result = this.taskManager.importTasks(selectedTasks, 'merge');
+            if (!result) {
+                this.notificationManager.error(`${serviceName}からの取り込みに失敗しました`, {
+                    details: 'ストレージへの保存でエラーが発生しました',
+                    actions: [
+                        {
+                            label: '再試行',
+                            style: 'btn-primary',
+                            handler: () => this.importFromService(file, serviceName, parse, statuses)
+                        }
+                    ]
                 });
                 return;
             }
 
-            // 読了報告をシェア
-            const shareResult = await this.shareManager.shareCompletion(task.bookTitle, task.author);
-            
-            if (shareResult.success) {
-                this.notificationManager.success('読了報告をシェアしました！', {
-                    details: `「${task.bookTitle}」を読み終わりました`
+            const details = [`${result.imported}冊を追加しました`];
+            if (rejected.length > 0) {
+                details.push(`${rejected.length}件は取り込めませんでした`);
+            }
+
+            this.notificationManager.success(`${serviceName}から取り込みました`, {
+                details: details.join('、')
+            });
+            this.displayTasks();
+
+        } catch (error) {
+            console.error(`${serviceName}取り込みエラー:`, error);
+            this.notificationManager.critical(`${serviceName}からの取り込みでエラーが発生しました`, {
+                details: error.message,
+                errorCode: 'SERVICE_IMPORT_ERROR',
+                retryHandler: () => this.importFromService(file, serviceName, parse, statuses)
+            });
+        }
+    }
+
+    /**
+     * KindleのMy Clippings.txtからハイライトとメモを取り込む
+     * 登録済みの本には追加し、登録されていない本は読書中のタスクとして新しく登録する
+     * @param {File} file - 選択されたファイル
+     */
+    async importKindleClippings(file) {
+        let parsed;
+        try {
+            parsed = this.importManager.parseKindleClippings(await file.text());
+        } catch (error) {
+            console.error('Kindleファイル読み込みエラー:', error);
+            this.notificationManager.error('My Clippings.txtを読み込めませんでした', {
+                details: error.message
+            });
+            return;
+        }
+
+        try {
+            const { books, rejected } = parsed;
+            if (books.length === 0 && rejected.length === 0) {
+                this.notificationManager.warning('ハイライト・メモが見つかりませんでした');
+                return;
+            }
+
+            const describeClippings = (clippings) => {
+                const quoteCount = clippings.filter(clipping => clipping.type === 'quote').length;
+                return `ハイライト${quoteCount}件・メモ${clippings.length - quoteCount}件`;
+            };
+
+            const entries = books.map(book => {
+                const existingTask = this.taskManager.findTaskByBook(book.task.bookTitle, book.task.author);
+                return {
+                    task: existingTask || book.task,
+                    clippings: book.clippings,
+                    isNew: !existingTask,
+                    remark: existingTask
+                        ? `登録済みのタスクに${describeClippings(book.clippings)}を追加`
+                        : `新しく登録して${describeClippings(book.clippings)}を追加`,
+                    selected: true
+                };
+            });
+
+            const summary = `${books.length}冊の本のハイライト・メモが見つかりました。同じ本文のメモが既にある場合は追加しません。`;
+            const selectedEntries = await this.openImportPreviewDialog(entries, rejected, summary);
+            if (!selectedEntries) return;
+
+            if (selectedEntries.length === 0) {
+                this.notificationManager.info('取り込む本が選択されていません');
+                return;
+            }
+
+            // 登録されていない本を先にまとめて登録してから、本ごとにメモを追加
+            const newTasks = selectedEntries.filter(entry => entry.isNew).map(entry => entry.task);
+            if (newTasks.length > 0 && !this.taskManager.importTasks(newTasks, 'merge')) {
+                this.notificationManager.error('Kindleのハイライトの取り込みに失敗しました', {
+                    details: 'タスクの登録でエラーが発生しました',
+                    actions: [
+                        {
+                            label: '再試行',
+                            style: 'btn-primary',
+                            handler: () => this.importKindleClippings(file)
+                        }
+                    ]
                 });
-            } else {
-                // エラータイプに応じたメッセージを表示
-                this.notificationManager.showShareError('読了報告', shareResult);
+                return;
+            }
+
+            let addedCount = 0;
+            let skippedCount = 0;
+            const failedTitles = [];
+            for (const entry of selectedEntries) {
+                const result = this.taskManager.importNotes(entry.task.id, entry.clippings);
+                if (result) {
+                    addedCount += result.added;
+                    skippedCount += result.skipped;
+                } else {
+                    failedTitles.push(entry.task.bookTitle);
+                }
             }
 
-            // タスクリストを更新
             this.displayTasks();
 
-            // フォーカスを適切な場所に移動
-            this.manageFocusAfterTaskUpdate();
+            if (failedTitles.length > 0) {
+                this.notificationManager.error('一部の本のハイライトを保存できませんでした', {
+                    details: failedTitles.map(title => `「${title}」`).join('、'),
+                    actions: [
+                        {
+                            label: '再試行',
+                            style: 'btn-primary',
+                            handler: () => this.importKindleClippings(file)
+                        }
+                    ]
+                });
+                return;
+            }
+
+            const details = [`${addedCount}件のハイライト・メモを追加しました`];
+            if (newTasks.length > 0) {
+                details.push(`${newTasks.length}冊を新しく登録しました`);
+            }
+            if (skippedCount > 0) {
+                details.push(`取り込み済みの${skippedCount}件はスキップしました`);
+            }
+
+            this.notificationManager.success('Kindleのハイライトを取り込みました', {
+                details: details.join('、')
+            });
 
         } catch (error) {
-            console.error('タスク完了エラー:', error);
-            this.notificationManager.critical('タスク完了処理でエラーが発生しました', {
+            console.error('Kindle取り込みエラー:', error);
+            this.notificationManager.critical('Kindleのハイライトの取り込みでエラーが発生しました', {
                 details: error.message,
-                errorCode: 'TASK_COMPLETE_ERROR',
-                retryHandler: () => this.completeTask(taskId)
+                errorCode: 'KINDLE_IMPORT_ERROR',
+                retryHandler: () => this.importKindleClippings(file)
             });
         }
     }
 
     /**
-     * タスクの削除処理
-     * @param {string} taskId - 削除するタスクのID
+     * 取り込む本の一覧を表示し、取り込む本を選択するダイアログを表示
+     * 取り込めない行は理由とともに一覧の最後に表示する
+     * @param {Array<Object>} entries - { task, remark, selected } の配列（remarkは備考、selectedは初期状態で選択するか）
+     * @param {Array<Object>} rejected - { row, bookTitle, reason } の配列
+     * @param {string} summary - 一覧の上に表示する説明
+     * @param {Array<string>|null} statuses - 登録先として選べるステータス（指定した場合は選択欄を表示）
+     * @returns {Promise<Array<Object>|null>} 選択されたentriesの要素の配列（登録先を選んだ場合はstatusを追加）、キャンセル時はnull
      */
-    deleteTask(taskId) {
+    openImportPreviewDialog(entries, rejected, summary, statuses = null) {
+        const dialog = this.elements.importPreviewDialog;
+        const form = this.elements.importPreviewForm;
+
+        // ダイアログがない環境では初期状態で選択される本のみ取り込む
+        if (!dialog || !form || !this.elements.importPreviewRows) {
+            return Promise.resolve(entries.filter(entry => entry.selected));
+        }
+
+        const output = (text) => this.inputValidator.sanitizeForOutput(text || '');
+        const formatDate = (date) => ExportManager.formatDate(date) || '-';
+
+        const entryRows = entries.map((entry, index) => `
+            <tr class="${entry.selected ? '' : 'duplicate'}">
+                <td>
+                    <input type="checkbox" 
+                           name="selected" 
+                           value="${index}" 
+                           aria-label="「${output(entry.task.bookTitle)}」を取り込む"
+                           ${entry.selected ? 'checked' : ''}>
+                </td>
+                <td>${output(entry.task.bookTitle)}</td>
+                <td>${output(entry.task.author) || '-'}</td>
+                <td>${this.formatSeries(entry.task) || '-'}</td>
+                <td class="import-preview-status-cell">${Task.STATUS_LABELS[entry.task.status]}</td>
+                <td>${formatDate(entry.task.startedAt)}</td>
+                <td>${formatDate(entry.task.completedAt)}</td>
+                <td>${output(entry.remark)}</td>
+            </tr>
+        `);
+        const rejectedRows = rejected.map(item => `
+            <tr class="rejected">
+                <td>-</td>
+                <td>${output(item.bookTitle) || '-'}</td>
+                <td colspan="5">${item.row === null ? output(item.fileName) : `${item.row}行目`}</td>
+                <td>取り込めません: ${output(item.reason)}</td>
+            </tr>
+        `);
+        this.elements.importPreviewRows.innerHTML = [...entryRows, ...rejectedRows].join('');
+
+        if (this.elements.importPreviewSummary) {
+            const rejectedSummary = rejected.length > 0
+                ? `取り込めない${rejected.length}件は一覧の最後に理由を表示しています。`
+                : '';
+            this.elements.importPreviewSummary.textContent = summary + rejectedSummary;
+        }
+
+        // 登録先の選択欄（変更すると一覧のステータスにも反映する）
+        const statusField = this.elements.importPreviewStatusField;
+        const statusSelect = this.elements.importPreviewStatus;
+        const useStatus = Boolean(statuses && statusField && statusSelect);
+        if (statusField) {
+            statusField.hidden = !useStatus;
+        }
+        if (useStatus) {
+            statusSelect.innerHTML = statuses
+                .map(status => `<option value="${status}">${Task.STATUS_LABELS[status]}として登録</option>`)
+                .join('');
+        }
+
+        const handleStatusChange = () => {
+            this.elements.importPreviewRows.querySelectorAll('.import-preview-status-cell').forEach(cell => {
+                cell.textContent = Task.STATUS_LABELS[statusSelect.value];
+            });
+        };
+
+        const previousFocus = document.activeElement;
+        dialog.hidden = false;
+
+        return new Promise((resolve) => {
+            const close = (result) => {
+                dialog.hidden = true;
+                form.removeEventListener('submit', handleSubmit);
+                if (useStatus) {
+                    statusSelect.removeEventListener('change', handleStatusChange);
+                }
+                dialog.removeEventListener('click', handleClick);
+                dialog.removeEventListener('keydown', handleKeydown);
+
+                if (previousFocus && typeof previousFocus.focus === 'function') {
+                    previousFocus.focus();
+                }
+                resolve(result);
+            };
+
+            const handleSubmit = (event) => {
+                event.preventDefault();
+
+                const selectedEntries = Array.from(form.querySelectorAll('input[name="selected"]:checked'))
+                    .map(input => entries[parseInt(input.value, 10)]);
+                close(useStatus
+                    ? selectedEntries.map(entry => ({ ...entry, status: statusSelect.value }))
+                    : selectedEntries);
+            };
+
+            const handleClick = (event) => {
+                // 背景クリックまたはキャンセルボタンで閉じる
+                if (event.target === dialog || event.target.closest('[data-dialog-action="cancel"]')) {
+                    close(null);
+                }
+            };
+
+            const handleKeydown = (event) => {
+                if (event.key === 'Escape') {
+                    event.stopPropagation();
+                    close(null);
+                }
+            };
+
+            form.addEventListener('submit', handleSubmit);
+            dialog.addEventListener('click', handleClick);
+            dialog.addEventListener('keydown', handleKeydown);
+            if (useStatus) {
+                statusSelect.addEventListener('change', handleStatusChange);
+                handleStatusChange();
+            }
+
+            const submitButton = form.querySelector('button[type="submit"]');
+            if (submitButton) {
+                submitButton.focus();
+            }
+        });
+    }
+
+    /**
+     * 選択されたJSONファイルから読書記録をインポート
+     * @param {File} file - 選択されたファイル
+     */
+    async importLibrary(file) {
+        let parsed;
         try {
-            const task = this.taskManager.getTask(taskId);
-            if (!task) {
-                this.notificationManager.error('タスクが見つかりません', {
-                    details: '指定されたタスクIDが存在しません',
-                    errorCode: 'TASK_NOT_FOUND'
+            const text = await file.text();
+            parsed = this.storageManager.parseLibraryImport(JSON.parse(text));
+        } catch (error) {
+            console.error('インポートファイル読み込みエラー:', error);
+            this.notificationManager.error('インポートファイルを読み込めませんでした', {
+                details: error instanceof SyntaxError ? 'JSONファイルの形式が正しくありません' : error.message
+            });
+            return;
+        }
+
+        try {
+            const { tasks, rejected } = parsed;
+            if (tasks.length === 0) {
+                this.notificationManager.warning('インポートできるタスクがありません', {
+                    details: rejected.length > 0
+                        ? `${rejected.length}件のデータが不正なため読み込めませんでした\n${this.formatRejectedTasks(rejected)}`
+                        : ''
                 });
                 return;
             }
 
-            // 確認ダイアログ
-            const confirmed = confirm(`「${task.bookTitle}」を削除しますか？`);
-            if (!confirmed) return;
+            const duplicateCount = tasks.filter(task => this.taskManager.getTask(task.id)).length;
+            const mode = await this.openImportDialog(tasks.length, duplicateCount, rejected);
+            if (!mode) return;
 
-            // タスクを削除
-            const deleted = this.taskManager.deleteTask(taskId);
-            if (deleted) {
-                this.notificationManager.success('タスクを削除しました', {
-                    details: `「${task.bookTitle}」を削除しました`
-                });
-                this.displayTasks();
-                
-                // フォーカスを適切な場所に移動
-                this.manageFocusAfterTaskUpdate();
-            } else {
-                this.notificationManager.error('タスクの削除に失敗しました', {
-                    details: 'ローカルストレージからの削除でエラーが発生しました',
+            const result = this.taskManager.importTasks(tasks, mode);
+            if (!result) {
+                this.notificationManager.error('読書記録のインポートに失敗しました', {
+                    details: 'ストレージへの保存でエラーが発生しました',
                     actions: [
                         {
                             label: '再試行',
                             style: 'btn-primary',
-                            handler: () => this.deleteTask(taskId)
+                            handler: () => this.importLibrary(file)
                         }
                     ]
                 });
+                return;
+            }
+
+            const details = [`${result.imported}件のタスクを追加しました`];
+            if (result.skipped > 0) {
+                details.push(`登録済みの${result.skipped}件はスキップしました`);
+            }
+            if (rejected.length > 0) {
+                details.push(`不正な${rejected.length}件は読み込みませんでした`);
             }
 
+            this.notificationManager.success('読書記録をインポートしました', {
+                details: details.join('、')
+            });
+            this.displayTasks();
+
         } catch (error) {
-            console.error('タスク削除エラー:', error);
-            this.notificationManager.critical('タスク削除処理でエラーが発生しました', {
+            console.error('インポートエラー:', error);
+            this.notificationManager.critical('読書記録のインポートでエラーが発生しました', {
                 details: error.message,
-                errorCode: 'TASK_DELETE_ERROR',
-                retryHandler: () => this.deleteTask(taskId)
+                errorCode: 'LIBRARY_IMPORT_ERROR',
+                retryHandler: () => this.importLibrary(file)
             });
         }
     }
 
+    /**
+     * 読み込めないタスクの位置と理由を表示用にまとめる
+     * @param {Array<Object>} rejected - { index, bookTitle, reason } の配列
+     * @param {number} limit - 理由を表示する件数
+     * @returns {string} 表示用のテキスト
+     */
+    formatRejectedTasks(rejected, limit = 3) {
+        const lines = rejected.slice(0, limit).map(item => {
+            const title = item.bookTitle ? `「${TaskValidator.decodeInput(item.bookTitle)}」` : '';
+            return `${item.index + 1}件目${title}: ${item.reason}`;
+        });
+        if (rejected.length > limit) {
+            lines.push(`ほか${rejected.length - limit}件`);
+        }
+        return lines.join('、');
+    }
+
+    /**
+     * インポート方法（統合・置き換え）を選択するダイアログを表示
+     * @param {number} taskCount - インポートできるタスクの件数
+     * @param {number} duplicateCount - 登録済みのタスクと同じIDの件数
+     * @param {Array<Object>} rejected - 不正なため読み込めないタスク（{ index, bookTitle, reason } の配列）
+     * @returns {Promise<string|null>} 'merge' または 'replace'、キャンセル時はnull
+     */
+    openImportDialog(taskCount, duplicateCount, rejected) {
+        const dialog = this.elements.importDialog;
+        const form = this.elements.importForm;
+
+        // ダイアログがない環境では統合する
+        if (!dialog || !form) {
+            return Promise.resolve('merge');
+        }
+
+        form.reset();
+        if (this.elements.importDialogSummary) {
+            const summary = [`${taskCount}件のタスクをインポートできます。`];
+            if (duplicateCount > 0) {
+                summary.push(`うち${duplicateCount}件は登録済みです（統合では登録済みのタスクを残します）。`);
+            }
+            if (rejected.length > 0) {
+                summary.push(`不正な${rejected.length}件は読み込みません（${this.formatRejectedTasks(rejected)}）。`);
+            }
+            this.elements.importDialogSummary.textContent = summary.join('');
+        }
+
+        const previousFocus = document.activeElement;
+        dialog.hidden = false;
+
+        return new Promise((resolve) => {
+            const close = (result) => {
+                dialog.hidden = true;
+                form.removeEventListener('submit', handleSubmit);
+                dialog.removeEventListener('click', handleClick);
+                dialog.removeEventListener('keydown', handleKeydown);
+
+                if (previousFocus && typeof previousFocus.focus === 'function') {
+                    previousFocus.focus();
+                }
+                resolve(result);
+            };
+
+            const handleSubmit = (event) => {
+                event.preventDefault();
+                close(form.elements.mode.value === 'replace' ? 'replace' : 'merge');
+            };
+
+            const handleClick = (event) => {
+                // 背景クリックまたはキャンセルボタンで閉じる
+                if (event.target === dialog || event.target.closest('[data-dialog-action="cancel"]')) {
+                    close(null);
+                }
+            };
+
+            const handleKeydown = (event) => {
+                if (event.key === 'Escape') {
+                    event.stopPropagation();
+                    close(null);
+                }
+            };
+
+            form.addEventListener('submit', handleSubmit);
+            dialog.addEventListener('click', handleClick);
+            dialog.addEventListener('keydown', handleKeydown);
+
+            const firstMode = form.querySelector('input[name="mode"]');
+            if (firstMode) {
+                firstMode.focus();
+            }
+        });
+    }
 
+    /**
+     * テキストをファイルとしてダウンロード
+     * @param {string|Blob} content - ファイルの内容
+     * @param {string} fileName - ファイル名
+     * @param {string} mimeType - MIMEタイプ
+     */
+    downloadFile(content, fileName, mimeType) {
+        const blob = content instanceof Blob ? content : new Blob([content], { type: mimeType });
+        const url = URL.createObjectURL(blob);
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        link.hidden = true;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+
+        // ダウンロード開始後にURLを解放
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    }
 
     /**
      * キーボードショートカットの処理
@@ -626,8 +3589,10 @@ class ReadingDeclarationApp {
      * @param {KeyboardEvent} e - キーボードイベント
      */
     handleTaskListNavigation(e) {
-        const focusableElements = document.querySelectorAll('.task-item .btn, .task-item');
-        const currentIndex = Array.from(focusableElements).indexOf(document.activeElement);
+        // 閉じているメモパネル内のボタンはフォーカスできないため除外
+        const focusableElements = Array.from(document.querySelectorAll('.task-item .btn, .task-item'))
+            .filter(element => !element.closest('.task-notes:not([open])'));
+        const currentIndex = focusableElements.indexOf(document.activeElement);
         
         if (currentIndex === -1) return;
 
@@ -697,6 +3662,15 @@ class ReadingDeclarationApp {
         div.textContent = text;
         return div.innerHTML;
     }
+
+    /**
+     * 属性値用のHTMLエスケープ（ダブルクォートも含める）
+     * @param {string} text - エスケープするテキスト
+     * @returns {string} エスケープされたテキスト
+     */
+    escapeAttribute(text) {
+        return this.escapeHtml(text).replace(/"/g, '&quot;');
+    }
 }
 
 // アプリケーションの初期化
@@ -0,0 +1,599 @@
+/**
+ * ExportManager - 読書記録のファイル出力を管理するクラス
+ * CSV形式への変換と、出力する列の設定機能を提供
+ */
+class ExportManager {
+    /**
+     * @param {InputValidator} inputValidator - CSVの値のエスケープに使用するバリデーター
+     */
+    constructor(inputValidator) {
+        this.inputValidator = inputValidator;
+        this.csvColumnsStorageKey = 'reading-csv-columns';
+    }
+
+    /**
+     * CSVに出力できる列の定義
+     * @returns {Array<Object>} { key, label, value(task) } の配列
+     */
+    static get CSV_COLUMNS() {
+        const formatDate = (date) => ExportManager.formatDate(date);
+
+        return [
+            { key: 'bookTitle', label: 'タイトル', value: (task) => task.bookTitle },
+            { key: 'author', label: '著者', value: (task) => task.author || '' },
+            { key: 'status', label: 'ステータス', value: (task) => Task.STATUS_LABELS[task.status] || task.status },
+            { key: 'startedAt', label: '開始日', value: (task) => formatDate(task.startedAt) },
+            { key: 'completedAt', label: '読了日', value: (task) => formatDate(task.completedAt) },
+            { key: 'createdAt', label: '登録日', value: (task) => formatDate(task.createdAt) },
+            { key: 'totalPages', label: '総ページ数', value: (task) => task.totalPages ? String(task.totalPages) : '' },
+            { key: 'currentPage', label: '現在のページ', value: (task) => String(task.currentPage || 0) },
+            { key: 'rating', label: '評価', value: (task) => task.rating ? String(task.rating) : '' },
+            { key: 'tags', label: 'タグ', value: (task) => (task.tags || []).join(', ') },
+            { key: 'series', label: 'シリーズ', value: (task) => task.series || '' },
+            { key: 'seriesIndex', label: '巻数', value: (task) => task.series && typeof task.seriesIndex === 'number' ? String(task.seriesIndex) : '' },
+            { key: 'isbn', label: 'ISBN', value: (task) => task.isbn || '' }
+        ];
+    }
+
+    /**
+     * 初期設定で出力する列
+     * @returns {Array<string>} 列のキーの配列
+     */
+    static get DEFAULT_CSV_COLUMNS() {
+        return ['bookTitle', 'author', 'status', 'startedAt', 'completedAt'];
+    }
+
+    /**
+     * 日付をYYYY-MM-DD形式（ローカル時刻）に変換
+     * @param {Date|string|null} date - 変換する日付
+     * @returns {string} 変換した日付、日付がない場合は空文字
+     */
+    static formatDate(date) {
+        if (!date) return '';
+
+        const d = new Date(date);
+        if (isNaN(d.getTime())) return '';
+
+        const month = String(d.getMonth() + 1).padStart(2, '0');
+        const day = String(d.getDate()).padStart(2, '0');
+        return `${d.getFullYear()}-${month}-${day}`;
+    }
+
+    /**
+     * 保存されているCSVの列設定を取得
+     * @returns {Array<string>} 出力する列のキー（出力順）
+     */
+    getCsvColumns() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(this.csvColumnsStorageKey));
+            const validKeys = ExportManager.CSV_COLUMNS.map(column => column.key);
+
+            if (Array.isArray(stored)) {
+                const columns = stored.filter(key => validKeys.includes(key));
+                if (columns.length > 0) {
+                    return [...new Set(columns)];
+                }
+            }
+        } catch (error) {
+            console.error('CSVの列設定の読み込みに失敗しました:', error);
+        }
+
+        return ExportManager.DEFAULT_CSV_COLUMNS;
+    }
+
+    /**
+     * CSVの列設定を保存
+     * @param {Array<string>} columnKeys - 出力する列のキー（出力順）
+     * @returns {boolean} 保存成功時true
+     */
+    saveCsvColumns(columnKeys) {
+        try {
+            const validKeys = ExportManager.CSV_COLUMNS.map(column => column.key);
+
+            if (!Array.isArray(columnKeys) || columnKeys.length === 0) {
+                throw new Error('出力する列を1つ以上選択してください');
+            }
+
+            if (columnKeys.some(key => !validKeys.includes(key))) {
+                throw new Error('不明な列が含まれています');
+            }
+
+            localStorage.setItem(this.csvColumnsStorageKey, JSON.stringify([...new Set(columnKeys)]));
+            return true;
+        } catch (error) {
+            console.error('CSVの列設定の保存に失敗しました:', error);
+            return false;
+        }
+    }
+
+    /**
+     * タスクの一覧をCSV形式に変換
+     * Excelで日本語が文字化けしないようにUTF-8のBOMを付け、改行はCRLFとする
+     * @param {Array<Object>} tasks - 出力するタスクの配列
+     * @param {Array<string>} columnKeys - 出力する列のキー（省略時は保存されている設定）
+     * @returns {string} CSV文字列
+     */
+    generateCsv(tasks, columnKeys = this.getCsvColumns()) {
+        const columns = columnKeys
+            .map(key => ExportManager.CSV_COLUMNS.find(column => column.key === key))
+            .filter(Boolean);
+
+        if (columns.length === 0) {
+            throw new Error('出力する列がありません');
+        }
+
+        const toRow = (values) => values
+            .map(value => this.inputValidator.sanitizeForCsv(value))
+            .join(',');
+
+        const lines = [toRow(columns.map(column => column.label))];
+        for (const task of tasks) {
+            lines.push(toRow(columns.map(column => column.value(task))));
+        }
+
+        return '\uFEFF' + lines.join('\r\n') + '\r\n';
+    }
+
+    /**
+     * 保存時にエスケープした文字（TaskValidator.sanitizeInput）を元に戻す
+     * @param {string} text - 保存されているテキスト
+     * @returns {string} 元のテキスト
+     */
+    static decodeText(text) {
+        return TaskValidator.decodeInput(text);
+    }
+
+    /**
+     * Markdownの本文に出力するテキストを作成（HTMLタグとして解釈されないよう「<」をエスケープ）
+     * @param {string} text - 保存されているテキスト
+     * @returns {string} Markdown用のテキスト
+     */
+    static toMarkdownText(text) {
+        return ExportManager.decodeText(text).replace(/</g, '&lt;');
+    }
+
+    /**
+     * YAMLのダブルクォート文字列を作成
+     * @param {string} text - 保存されているテキスト
+     * @returns {string} YAMLの文字列
+     */
+    static toYamlString(text) {
+        const escaped = ExportManager.decodeText(text)
+            .replace(/\\/g, '\\\\')
+            .replace(/"/g, '\\"')
+            .replace(/\r?\n/g, '\\n');
+        return `"${escaped}"`;
+    }
+
+    /**
+     * 書籍タイトルからファイル名を作成（Obsidianで使えない文字を除去）
+     * @param {string} bookTitle - 書籍タイトル
+     * @returns {string} 拡張子なしのファイル名
+     */
+    static toFileName(bookTitle) {
+        const name = ExportManager.decodeText(bookTitle)
+            .replace(/[\\/:*?"<>|#^\[\]]/g, ' ')
+            .replace(/\s+/g, ' ')
+            .trim()
+            .replace(/^\.+/, '');
+        return name || '無題';
+    }
+
+    /**
+     * タスクのメタデータ（YAMLの各行）を作成
+     * @param {Object} task - タスク
+     * @returns {Array<string>} YAMLの行
+     */
+    createYamlLines(task) {
+        const formatDate = ExportManager.formatDate;
+        const lines = [
+            `title: ${ExportManager.toYamlString(task.bookTitle)}`,
+            `author: ${ExportManager.toYamlString(task.author)}`,
+            `status: ${task.status}`
+        ];
+
+        if (task.series) {
+            lines.push(`series: ${ExportManager.toYamlString(task.series)}`);
+            if (typeof task.seriesIndex === 'number') {
+                lines.push(`series_index: ${task.seriesIndex}`);
+            }
+        }
+        if (task.isbn) {
+            lines.push(`isbn: "${task.isbn}"`);
+        }
+
+        lines.push(`created: ${formatDate(task.createdAt)}`);
+        if (task.startedAt) {
+            lines.push(`started: ${formatDate(task.startedAt)}`);
+        }
+        if (task.completedAt) {
+            lines.push(`completed: ${formatDate(task.completedAt)}`);
+        }
+        if (task.rating) {
+            lines.push(`rating: ${task.rating}`);
+        }
+
+        // Obsidianのタグは空白を含められないため「-」に置き換える
+        const tags = (task.tags || []).map(tag => ExportManager.decodeText(tag).replace(/\s+/g, '-'));
+        if (tags.length > 0) {
+            lines.push('tags:', ...tags.map(tag => `  - ${ExportManager.toYamlString(tag)}`));
+        } else {
+            lines.push('tags: []');
+        }
+
+        return lines;
+    }
+
+    /**
+     * タスクの感想・引用・メモ・過去の読書記録をMarkdownの各行にする
+     * @param {Object} task - タスク
+     * @param {string} headingLevel - 見出しの「#」（本ごとのファイルでは「##」）
+     * @returns {Array<string>} Markdownの行
+     */
+    createMarkdownSections(task, headingLevel) {
+        const formatDate = ExportManager.formatDate;
+        const lines = [];
+        const notes = task.notes || [];
+        const quotes = notes.filter(note => note.type === 'quote');
+        const memos = notes.filter(note => note.type !== 'quote');
+        const describe = (note) => [note.page ? `p.${note.page}` : '', formatDate(note.createdAt)]
+            .filter(Boolean)
+            .join('・');
+
+        if (task.rating || task.review) {
+            lines.push(`${headingLevel} 感想`, '');
+            if (task.rating) {
+                lines.push(`評価: ${'★'.repeat(task.rating)}${'☆'.repeat(5 - task.rating)}`, '');
+            }
+            if (task.review) {
+                lines.push(ExportManager.toMarkdownText(task.review), '');
+            }
+        }
+
+        if (quotes.length > 0) {
+            lines.push(`${headingLevel} 引用`, '');
+            for (const quote of quotes) {
+                const text = ExportManager.toMarkdownText(quote.text).split(/\r?\n/);
+                lines.push(...text.map(line => `> ${line}`), `> — ${describe(quote)}`, '');
+            }
+        }
+
+        if (memos.length > 0) {
+            lines.push(`${headingLevel} メモ`, '');
+            for (const memo of memos) {
+                const [firstLine, ...rest] = ExportManager.toMarkdownText(memo.text).split(/\r?\n/);
+                lines.push(`- ${firstLine}（${describe(memo)}）`, ...rest.map(line => `  ${line}`));
+            }
+            lines.push('');
+        }
+
+        if ((task.reads || []).length > 0) {
+            lines.push(`${headingLevel} 過去の読書`, '');
+            for (const read of task.reads) {
+                const period = `${formatDate(read.startedAt)} 〜 ${formatDate(read.completedAt)}`;
+                lines.push(`- ${period}${read.rating ? ` ${'★'.repeat(read.rating)}` : ''}`);
+            }
+            lines.push('');
+        }
+
+        return lines;
+    }
+
+    /**
+     * 1冊分の読書ノートをMarkdown（YAMLフロントマター付き）で作成
+     * @param {Object} task - タスク
+     * @returns {string} Markdown文字列
+     */
+    generateMarkdown(task) {
+        const lines = [
+            '---',
+            ...this.createYamlLines(task),
+            '---',
+            '',
+            `# ${ExportManager.toMarkdownText(task.bookTitle)}`,
+            ''
+        ];
+
+        if (task.author) {
+            lines.push(`著者: ${ExportManager.toMarkdownText(task.author)}`, '');
+        }
+
+        lines.push(...this.createMarkdownSections(task, '##'));
+
+        return lines.join('\n').replace(/\n+$/, '\n');
+    }
+
+    /**
+     * 複数の本の読書ノートを1つのMarkdownにまとめる
+     * 本ごとのメタデータはYAMLのコードブロックとして見出しの下に出力する
+     * @param {Array<Object>} tasks - タスクの配列
+     * @param {Date} exportedAt - 出力日時
+     * @returns {string} Markdown文字列
+     */
+    generateCombinedMarkdown(tasks, exportedAt = new Date()) {
+        const lines = [
+            '---',
+            'title: "読書ノート"',
+            `exported: ${ExportManager.formatDate(exportedAt)}`,
+            `books: ${tasks.length}`,
+            '---',
+            '',
+            '# 読書ノート',
+            ''
+        ];
+
+        for (const task of tasks) {
+            lines.push(
+                `## ${ExportManager.toMarkdownText(task.bookTitle)}`,
+                '',
+                '```yaml',
+                ...this.createYamlLines(task),
+                '```',
+                '',
+                ...this.createMarkdownSections(task, '###')
+            );
+        }
+
+        return lines.join('\n').replace(/\n+$/, '\n');
+    }
+
+    /**
+     * 本ごとのMarkdownファイルを作成（同じファイル名は「(2)」などの番号を付けて区別する）
+     * @param {Array<Object>} tasks - タスクの配列
+     * @returns {Array<Object>} { name, content } の配列
+     */
+    createMarkdownFiles(tasks) {
+        const usedNames = new Set();
+
+        return tasks.map(task => {
+            const baseName = ExportManager.toFileName(task.bookTitle);
+            let name = `${baseName}.md`;
+            for (let count = 2; usedNames.has(name.toLowerCase()); count++) {
+                name = `${baseName} (${count}).md`;
+            }
+            usedNames.add(name.toLowerCase());
+
+            return { name, content: this.generateMarkdown(task) };
+        });
+    }
+
+    /**
+     * iCalendarの日付（YYYYMMDD、ローカル時刻）に変換
+     * @param {Date} date - 変換する日付
+     * @returns {string} 変換した日付
+     */
+    static formatIcsDate(date) {
+        return ExportManager.formatDate(date).replace(/-/g, '');
+    }
+
+    /**
+     * iCalendarの日時（UTC）に変換
+     * @param {Date} date - 変換する日時
+     * @returns {string} YYYYMMDDTHHMMSSZ形式の日時
+     */
+    static formatIcsDateTime(date) {
+        return new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+    }
+
+    /**
+     * iCalendarのテキスト値をエスケープ
+     * @param {string} text - 保存されているテキスト
+     * @returns {string} エスケープしたテキスト
+     */
+    static escapeIcsText(text) {
+        return ExportManager.decodeText(text)
+            .replace(/\\/g, '\\\\')
+            .replace(/;/g, '\\;')
+            .replace(/,/g, '\\,')
+            .replace(/\r?\n/g, '\\n');
+    }
+
+    /**
+     * iCalendarの行を75バイトごとに折り返す（続きの行は空白で始める）
+     * @param {string} line - 1行分のテキスト
+     * @returns {string} 折り返したテキスト（CRLF区切り）
+     */
+    static foldIcsLine(line) {
+        const encoder = new TextEncoder();
+        const lines = [];
+        let current = '';
+        let currentBytes = 0;
+
+        // サロゲートペアを分割しないよう、コードポイント単位で数える
+        for (const char of line) {
+            const bytes = encoder.encode(char).length;
+            const limit = lines.length === 0 ? 75 : 74;
+            if (currentBytes + bytes > limit) {
+                lines.push(current);
+                current = '';
+                currentBytes = 0;
+            }
+            current += char;
+            currentBytes += bytes;
+        }
+        lines.push(current);
+
+        return lines.join('\r\n ');
+    }
+
+    /**
+     * 読書期間の終了日を取得
+     * 読了・中止・中断した本はその日、読書中の本は今日までとする
+     * @param {Object} task - タスク
+     * @param {Date} now - 現在日時
+     * @returns {Date} 終了日
+     */
+    static getReadingEndDate(task, now) {
+        const end = task.completedAt || task.abandonedAt || task.pausedAt;
+        return end ? new Date(end) : now;
+    }
+
+    /**
+     * 読書期間をiCalendar（.ics）形式に変換
+     * 1冊を1つの終日の予定（VEVENT）とし、読みたい本とゴミ箱の本は出力しない
+     * @param {Array<Object>} tasks - 出力するタスクの配列
+     * @param {Object} options - 出力オプション
+     * @param {number|null} options.reminderDays - 読了目標の日数（指定した場合、読了していない本に開始日からの日数でアラームを付ける）
+     * @param {Date} options.now - 現在日時（今日までの予定と作成日時に使用）
+     * @returns {string} iCalendar文字列
+     */
+    generateIcs(tasks, options = {}) {
+        const now = options.now || new Date();
+        const reminderDays = options.reminderDays || null;
+        const dtStamp = ExportManager.formatIcsDateTime(now);
+
+        const lines = [
+            'BEGIN:VCALENDAR',
+            'VERSION:2.0',
+            'PRODID:-//Reading Declaration//Reading Calendar//JA',
+            'CALSCALE:GREGORIAN',
+            'METHOD:PUBLISH',
+            'X-WR-CALNAME:読書記録'
+        ];
+
+        for (const task of tasks) {
+            if (task.status === 'want-to-read' || task.deletedAt) continue;
+
+            // 読みたい本として登録していた期間を含めないよう、登録日ではなく読み始めた日からとする
+            const start = new Date(task.startedAt || task.createdAt);
+            const end = ExportManager.getReadingEndDate(task, now);
+            // 終日の予定の終了日は翌日（含まない）を指定する
+            const endExclusive = new Date(Math.max(end, start));
+            endExclusive.setDate(endExclusive.getDate() + 1);
+
+            const description = [
+                task.author ? `著者: ${ExportManager.decodeText(task.author)}` : '',
+                `ステータス: ${Task.STATUS_LABELS[task.status] || task.status}`,
+                task.totalPages ? `ページ: ${task.currentPage || 0}/${task.totalPages}` : '',
+                task.rating ? `評価: ${'★'.repeat(task.rating)}` : ''
+            ].filter(Boolean).join('\n');
+
+            lines.push(
+                'BEGIN:VEVENT',
+                `UID:${task.id}@reading-declaration`,
+                `DTSTAMP:${dtStamp}`,
+                `DTSTART;VALUE=DATE:${ExportManager.formatIcsDate(start)}`,
+                `DTEND;VALUE=DATE:${ExportManager.formatIcsDate(endExclusive)}`,
+                `SUMMARY:${ExportManager.escapeIcsText(`📚 ${task.bookTitle}`)}`,
+                `DESCRIPTION:${ExportManager.escapeIcsText(description)}`,
+                'TRANSP:TRANSPARENT'
+            );
+
+            if ((task.tags || []).length > 0) {
+                lines.push(`CATEGORIES:${task.tags.map(tag => ExportManager.escapeIcsText(tag)).join(',')}`);
+            }
+
+            // 読了していない本は、開始日から目標日数後の9時にアラームを付ける
+            if (reminderDays && ['active', 'paused'].includes(task.status)) {
+                const deadline = new Date(start.getFullYear(), start.getMonth(), start.getDate() + reminderDays, 9, 0, 0);
+                lines.push(
+                    'BEGIN:VALARM',
+                    'ACTION:DISPLAY',
+                    `DESCRIPTION:${ExportManager.escapeIcsText(`「${task.bookTitle}」の読了目標日です`)}`,
+                    `TRIGGER;VALUE=DATE-TIME:${ExportManager.formatIcsDateTime(deadline)}`,
+                    'END:VALARM'
+                );
+            }
+
+            lines.push('END:VEVENT');
+        }
+
+        lines.push('END:VCALENDAR');
+
+        return lines.map(line => ExportManager.foldIcsLine(line)).join('\r\n') + '\r\n';
+    }
+
+    /**
+     * CRC-32を計算
+     * @param {Uint8Array} bytes - データ
+     * @returns {number} CRC-32の値
+     */
+    static crc32(bytes) {
+        let crc = 0xFFFFFFFF;
+        for (let i = 0; i < bytes.length; i++) {
+            crc ^= bytes[i];
+            for (let bit = 0; bit < 8; bit++) {
+                crc = (crc >>> 1) ^ (0xEDB88320 & -(crc & 1));
+            }
+        }
+        return (crc ^ 0xFFFFFFFF) >>> 0;
+    }
+
+    /**
+     * ファイルを無圧縮（STORE）のzipにまとめる
+     * ファイル名はUTF-8として記録する
+     * @param {Array<Object>} files - { name, content } の配列（contentは文字列）
+     * @param {Date} modifiedAt - zip内のファイルの更新日時
+     * @returns {Uint8Array} zipファイルのデータ
+     */
+    createZip(files, modifiedAt = new Date()) {
+        const encoder = new TextEncoder();
+        const dosTime = (modifiedAt.getHours() << 11) | (modifiedAt.getMinutes() << 5) | (modifiedAt.getSeconds() >> 1);
+        const dosDate = ((modifiedAt.getFullYear() - 1980) << 9) | ((modifiedAt.getMonth() + 1) << 5) | modifiedAt.getDate();
+        const utf8Flag = 0x0800;
+
+        const localParts = [];
+        const centralParts = [];
+        let offset = 0;
+
+        for (const file of files) {
+            const name = encoder.encode(file.name);
+            const data = encoder.encode(file.content);
+            const crc = ExportManager.crc32(data);
+
+            const local = new DataView(new ArrayBuffer(30));
+            local.setUint32(0, 0x04034b50, true);
+            local.setUint16(4, 20, true);
+            local.setUint16(6, utf8Flag, true);
+            local.setUint16(8, 0, true);
+            local.setUint16(10, dosTime, true);
+            local.setUint16(12, dosDate, true);
+            local.setUint32(14, crc, true);
+            local.setUint32(18, data.length, true);
+            local.setUint32(22, data.length, true);
+            local.setUint16(26, name.length, true);
+            local.setUint16(28, 0, true);
+
+            const central = new DataView(new ArrayBuffer(46));
+            central.setUint32(0, 0x02014b50, true);
+            central.setUint16(4, 20, true);
+            central.setUint16(6, 20, true);
+            central.setUint16(8, utf8Flag, true);
+            central.setUint16(10, 0, true);
+            central.setUint16(12, dosTime, true);
+            central.setUint16(14, dosDate, true);
+            central.setUint32(16, crc, true);
+            central.setUint32(20, data.length, true);
+            central.setUint32(24, data.length, true);
+            central.setUint16(28, name.length, true);
+            central.setUint32(42, offset, true);
+
+            localParts.push(new Uint8Array(local.buffer), name, data);
+            centralParts.push(new Uint8Array(central.buffer), name);
+            offset += 30 + name.length + data.length;
+        }
+
+        const centralSize = centralParts.reduce((size, part) => size + part.length, 0);
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, 0x06054b50, true);
+        end.setUint16(8, files.length, true);
+        end.setUint16(10, files.length, true);
+        end.setUint32(12, centralSize, true);
+        end.setUint32(16, offset, true);
+
+        const parts = [...localParts, ...centralParts, new Uint8Array(end.buffer)];
+        const zip = new Uint8Array(offset + centralSize + 22);
+        let position = 0;
+        for (const part of parts) {
+            zip.set(part, position);
+            position += part.length;
+        }
+
+        return zip;
+    }
+}
+
+// Node.js環境でグローバルに公開
+if (typeof global !== 'undefined') {
+    global.ExportManager = ExportManager;
+}
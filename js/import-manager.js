@@ -0,0 +1,703 @@
+/**
+ * ImportManager - 他の読書記録サービスからの取り込みを管理するクラス
+ * エクスポートファイルの解析と、Taskへの変換機能を提供
+ */
+class ImportManager {
+    /**
+     * Goodreadsの「Exclusive Shelf」とステータスの対応
+     * @returns {Object} シェルフ名をキーとしたステータス
+     */
+    static get GOODREADS_SHELVES() {
+        return {
+            'read': 'completed',
+            'currently-reading': 'active',
+            'to-read': 'want-to-read'
+        };
+    }
+
+    /**
+     * 読書メーターのCSVの列名の候補（項目ごと）
+     * @returns {Object} 項目名をキーとした列名の配列
+     */
+    static get BOOKMETER_CSV_COLUMNS() {
+        return {
+            bookTitle: ['タイトル', '書籍名', '書名', '本のタイトル'],
+            author: ['著者', '著者名'],
+            completedAt: ['読了日', '読んだ日'],
+            addedAt: ['登録日'],
+            totalPages: ['ページ数'],
+            review: ['感想', 'レビュー']
+        };
+    }
+
+    /**
+     * CalibreのカタログCSVの列名（項目ごと）
+     * @returns {Object} 項目名をキーとした列名
+     */
+    static get CALIBRE_CSV_COLUMNS() {
+        return {
+            bookTitle: 'title',
+            authors: 'authors',
+            series: 'series',
+            seriesIndex: 'series_index',
+            tags: 'tags',
+            isbn: 'isbn',
+            identifiers: 'identifiers',
+            addedAt: 'timestamp'
+        };
+    }
+
+    /**
+     * CSV文字列を行と列に分割（RFC 4180形式、ダブルクォート内の改行・カンマに対応）
+     * @param {string} text - CSV文字列
+     * @returns {Array<Array<string>>} 行ごとの値の配列
+     */
+    parseCsv(text) {
+        const rows = [];
+        let row = [];
+        let value = '';
+        let inQuotes = false;
+
+        // 先頭のBOMを除去
+        const input = text.replace(/^\uFEFF/, '');
+
+        for (let i = 0; i < input.length; i++) {
+            const char = input[i];
+
+            if (inQuotes) {
+                if (char === '"' && input[i + 1] === '"') {
+                    value += '"';
+                    i++;
+                } else if (char === '"') {
+                    inQuotes = false;
+                } else {
+                    value += char;
+                }
+            } else if (char === '"') {
+                inQuotes = true;
+            } else if (char === ',') {
+                row.push(value);
+                value = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && input[i + 1] === '\n') {
+                    i++;
+                }
+                row.push(value);
+                rows.push(row);
+                row = [];
+                value = '';
+            } else {
+                value += char;
+            }
+        }
+
+        // 末尾に改行がない場合の最終行
+        if (value !== '' || row.length > 0) {
+            row.push(value);
+            rows.push(row);
+        }
+
+        // 空行を除外
+        return rows.filter(r => r.some(cell => cell.trim() !== ''));
+    }
+
+    /**
+     * ヘッダー行付きのCSVをオブジェクトの配列に変換
+     * @param {string} text - CSV文字列
+     * @returns {Array<Object>} ヘッダー名をキーとしたオブジェクトの配列
+     */
+    parseCsvRecords(text) {
+        const [header, ...rows] = this.parseCsv(text);
+        if (!header) {
+            return [];
+        }
+
+        const keys = header.map(key => key.trim());
+        return rows.map(row => {
+            const record = {};
+            keys.forEach((key, index) => {
+                record[key] = (row[index] || '').trim();
+            });
+            return record;
+        });
+    }
+
+    /**
+     * 日付文字列を解析（YYYY/MM/DD・YYYY-MM-DD・YYYY年M月D日はローカル時刻の日付として扱う）
+     * @param {string} value - 日付文字列
+     * @returns {Date|null} 解析した日付、空または不正な場合はnull
+     */
+    static parseDate(value) {
+        if (!value || typeof value !== 'string') return null;
+
+        const match = value.trim().match(/^(\d{4})\s*[\/\-.年]\s*(\d{1,2})\s*[\/\-.月]\s*(\d{1,2})\s*日?$/);
+        const date = match
+            ? new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]))
+            : new Date(value.trim());
+
+        return isNaN(date.getTime()) ? null : date;
+    }
+
+    /**
+     * GoodreadsのエクスポートCSVを解析してタスクに変換
+     * @param {string} text - goodreads_library_export.csvの内容
+     * @returns {Object} { tasks: 変換したタスク, rejected: [{ row, bookTitle, reason }] }
+     * @throws {Error} GoodreadsのCSVではない場合
+     */
+    parseGoodreadsCsv(text) {
+        const records = this.parseCsvRecords(text);
+        if (records.length > 0 && !('Title' in records[0] && 'Exclusive Shelf' in records[0])) {
+            throw new Error('GoodreadsのエクスポートCSVではありません（Title・Exclusive Shelf列が必要です）');
+        }
+
+        const tasks = [];
+        const rejected = [];
+
+        records.forEach((record, index) => {
+            // ヘッダー行を1行目として、ファイル上の行番号で報告する
+            const row = index + 2;
+            const status = ImportManager.GOODREADS_SHELVES[record['Exclusive Shelf']];
+
+            if (!status) {
+                rejected.push({
+                    row,
+                    bookTitle: record['Title'] || '',
+                    reason: `未対応のシェルフです: ${record['Exclusive Shelf'] || '（空）'}`
+                });
+                return;
+            }
+
+            const shelves = (record['Bookshelves'] || '').split(',')
+                .map(shelf => shelf.trim())
+                .filter(shelf => shelf && !(shelf in ImportManager.GOODREADS_SHELVES));
+
+            this.addImportedTask(tasks, rejected, row, {
+                bookTitle: record['Title'],
+                author: record['Author'],
+                status: status,
+                addedAt: ImportManager.parseDate(record['Date Added']),
+                completedAt: ImportManager.parseDate(record['Date Read']),
+                totalPages: parseInt(record['Number of Pages'], 10) || null,
+                // Goodreadsでは0が未評価
+                rating: parseInt(record['My Rating'], 10) || null,
+                tags: shelves
+            });
+        });
+
+        return { tasks, rejected };
+    }
+
+    /**
+     * 読書メーターのエクスポートを解析して読了済みのタスクに変換
+     * CSV形式と、月ごとの「読書メーターまとめ」のテキスト形式に対応する
+     * @param {string} text - エクスポートしたファイルの内容
+     * @returns {Object} { tasks: 変換したタスク, rejected: [{ row, bookTitle, reason }] }
+     * @throws {Error} 読書メーターのファイルではない場合
+     */
+    parseBookmeter(text) {
+        // 「■タイトル」で始まる行があればまとめのテキスト形式とみなす
+        if (/^■/m.test(text)) {
+            return this.parseBookmeterText(text);
+        }
+        return this.parseBookmeterCsv(text);
+    }
+
+    /**
+     * 読書メーターのCSVを解析（列名は日本語の候補から判定）
+     * @param {string} text - CSVの内容
+     * @returns {Object} { tasks, rejected }
+     * @throws {Error} タイトル列がない場合
+     */
+    parseBookmeterCsv(text) {
+        const records = this.parseCsvRecords(text);
+        if (records.length === 0) {
+            return { tasks: [], rejected: [] };
+        }
+
+        // 項目ごとに、ファイルに含まれる列名を特定
+        const headers = Object.keys(records[0]);
+        const columns = {};
+        for (const [field, candidates] of Object.entries(ImportManager.BOOKMETER_CSV_COLUMNS)) {
+            columns[field] = candidates.find(name => headers.includes(name)) || null;
+        }
+
+        if (!columns.bookTitle) {
+            throw new Error('読書メーターのCSVではありません（タイトル列が必要です）');
+        }
+
+        const value = (record, field) => columns[field] ? record[columns[field]] : '';
+        const tasks = [];
+        const rejected = [];
+
+        records.forEach((record, index) => {
+            // ヘッダー行を1行目として、ファイル上の行番号で報告する
+            this.addImportedTask(tasks, rejected, index + 2, {
+                bookTitle: value(record, 'bookTitle'),
+                author: value(record, 'author'),
+                status: 'completed',
+                addedAt: ImportManager.parseDate(value(record, 'addedAt')),
+                completedAt: ImportManager.parseDate(value(record, 'completedAt')),
+                totalPages: parseInt(value(record, 'totalPages'), 10) || null,
+                review: value(record, 'review')
+            });
+        });
+
+        return { tasks, rejected };
+    }
+
+    /**
+     * 読書メーターまとめのテキストを解析
+     * 「YYYY年M月の読書メーター」の見出しで年月を判定し、「■タイトル」から次の本までを1冊として扱う
+     * @param {string} text - まとめのテキスト
+     * @returns {Object} { tasks, rejected }
+     */
+    parseBookmeterText(text) {
+        const lines = text.replace(/^\uFEFF/, '').split(/\r\n|\r|\n/);
+        const books = [];
+        let year = null;
+        let current = null;
+
+        lines.forEach((rawLine, index) => {
+            const line = rawLine.trim();
+
+            const heading = line.match(/(\d{4})年(\d{1,2})月の読書メーター/);
+            if (heading) {
+                year = Number(heading[1]);
+                current = null;
+                return;
+            }
+
+            if (line.startsWith('■')) {
+                current = { row: index + 1, bookTitle: line.slice(1).trim(), author: '', completedAt: null, review: [] };
+                books.push(current);
+                return;
+            }
+
+            if (!current || !line || /^https?:\/\//.test(line)) return;
+
+            // 「読了日：MM月DD日 著者：著者名」「読了日：YYYY年MM月DD日」「読了日：日付不明」
+            const completed = line.match(/^読了日[：:]\s*(?:日付不明|(?:(\d{4})年)?(\d{1,2})月(\d{1,2})日)(?:\s*著者[：:]\s*(.*))?$/);
+            if (completed) {
+                const completedYear = completed[1] ? Number(completed[1]) : year;
+                if (completed[2] && completedYear) {
+                    current.completedAt = new Date(completedYear, Number(completed[2]) - 1, Number(completed[3]));
+                }
+                current.author = (completed[4] || '').trim();
+                return;
+            }
+
+            current.review.push(line);
+        });
+
+        const tasks = [];
+        const rejected = [];
+        for (const book of books) {
+            this.addImportedTask(tasks, rejected, book.row, {
+                bookTitle: book.bookTitle,
+                author: book.author,
+                status: 'completed',
+                addedAt: null,
+                completedAt: book.completedAt,
+                review: book.review.join(' ')
+            });
+        }
+
+        return { tasks, rejected };
+    }
+
+    /**
+     * Calibreのエクスポートファイルを解析してタスクに変換
+     * カタログのCSVと、本ごとのmetadata.opfを複数まとめて受け付ける
+     * Calibreには読書状況がないため、全て読みたい本として作成する
+     * @param {Array<Object>} files - { name, text } の配列（ファイル名と内容）
+     * @returns {Object} { tasks, rejected: [{ row, fileName, bookTitle, reason }] }
+     * @throws {Error} CSVにtitle列がない場合
+     */
+    parseCalibre(files) {
+        const tasks = [];
+        const rejected = [];
+
+        for (const file of files) {
+            if (/\.opf$/i.test(file.name) || /<package[\s>]/.test(file.text)) {
+                const record = this.parseCalibreOpf(file.text);
+                if (!record) {
+                    rejected.push({ row: null, fileName: file.name, bookTitle: '', reason: 'metadata.opfの形式が正しくありません' });
+                    continue;
+                }
+
+                const result = this.createTask(record);
+                if (result.error) {
+                    rejected.push({ row: null, fileName: file.name, bookTitle: record.bookTitle, reason: result.error });
+                } else {
+                    tasks.push(result.task);
+                }
+            } else {
+                const parsed = this.parseCalibreCsv(file.text);
+                tasks.push(...parsed.tasks);
+                rejected.push(...parsed.rejected.map(item => ({ ...item, fileName: file.name })));
+            }
+        }
+
+        return { tasks, rejected };
+    }
+
+    /**
+     * CalibreのカタログCSV（「本を変換」→「カタログを作成」でCSV形式）を解析
+     * @param {string} text - CSVの内容
+     * @returns {Object} { tasks, rejected }
+     * @throws {Error} title列がない場合
+     */
+    parseCalibreCsv(text) {
+        const records = this.parseCsvRecords(text);
+        const columns = ImportManager.CALIBRE_CSV_COLUMNS;
+        if (records.length > 0 && !(columns.bookTitle in records[0])) {
+            throw new Error('CalibreのカタログCSVではありません（title列が必要です）');
+        }
+
+        const tasks = [];
+        const rejected = [];
+        const value = (record, field) => record[columns[field]] || '';
+
+        records.forEach((record, index) => {
+            // identifiersは「isbn:978...,amazon:...」の形式
+            const identifierIsbn = value(record, 'identifiers')
+                .split(',')
+                .map(identifier => identifier.trim())
+                .find(identifier => /^isbn:/i.test(identifier)) || '';
+
+            // ヘッダー行を1行目として、ファイル上の行番号で報告する
+            this.addImportedTask(tasks, rejected, index + 2, {
+                bookTitle: value(record, 'bookTitle'),
+                author: value(record, 'authors').split('&').map(author => author.trim()).filter(Boolean).join('、'),
+                status: 'want-to-read',
+                addedAt: ImportManager.parseDate(value(record, 'addedAt')),
+                series: value(record, 'series'),
+                seriesIndex: value(record, 'series') ? parseFloat(value(record, 'seriesIndex')) : null,
+                isbn: value(record, 'isbn') || identifierIsbn,
+                tags: TaskValidator.normalizeTags(value(record, 'tags'))
+            });
+        });
+
+        return { tasks, rejected };
+    }
+
+    /**
+     * Calibreのmetadata.opf（OPF 2.0・3.0）から書籍情報を取り出す
+     * @param {string} text - metadata.opfの内容
+     * @returns {Object|null} createTaskに渡す書籍情報、metadata要素がない場合はnull
+     */
+    parseCalibreOpf(text) {
+        const metadataMatch = text.match(/<(?:opf:)?metadata[\s>][\s\S]*?<\/(?:opf:)?metadata>/);
+        if (!metadataMatch) return null;
+
+        const metadata = metadataMatch[0];
+        const decode = (value) => value
+            .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1')
+            .replace(/&#x([0-9a-f]+);/gi, (match, hex) => String.fromCodePoint(parseInt(hex, 16)))
+            .replace(/&#(\d+);/g, (match, dec) => String.fromCodePoint(parseInt(dec, 10)))
+            .replace(/&lt;/g, '<')
+            .replace(/&gt;/g, '>')
+            .replace(/&quot;/g, '"')
+            .replace(/&apos;/g, "'")
+            .replace(/&amp;/g, '&')
+            .trim();
+        const parseAttributes = (source) => {
+            const attributes = {};
+            for (const match of source.matchAll(/([\w:-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g)) {
+                attributes[match[1]] = decode(match[2] !== undefined ? match[2] : match[3]);
+            }
+            return attributes;
+        };
+
+        // dc:title・dc:creatorなどのDublin Core要素
+        const elements = [];
+        for (const match of metadata.matchAll(/<dc:(\w+)([^>]*)>([\s\S]*?)<\/dc:\1>/g)) {
+            elements.push({ name: match[1], attributes: parseAttributes(match[2]), value: decode(match[3]) });
+        }
+
+        // calibre:seriesなどのmeta要素（name/content形式とproperty形式）
+        const metas = {};
+        for (const match of metadata.matchAll(/<meta\b([^>]*?)(?:\/>|>([\s\S]*?)<\/meta>)/g)) {
+            const attributes = parseAttributes(match[1]);
+            if (attributes.name) {
+                metas[attributes.name] = attributes.content || '';
+            } else if (attributes.property) {
+                metas[attributes.property] = decode(match[2] || '');
+            }
+        }
+
+        const values = (name) => elements.filter(element => element.name === name);
+
+        // 役割の指定がない作成者と、著者（aut）のみを著者とする
+        const authors = values('creator')
+            .filter(element => {
+                const role = element.attributes['opf:role'] || element.attributes.role;
+                return !role || role === 'aut';
+            })
+            .map(element => element.value)
+            .filter(Boolean);
+
+        const isbnElement = values('identifier').find(element => {
+            const scheme = element.attributes['opf:scheme'] || element.attributes.scheme || '';
+            return /^isbn$/i.test(scheme) || /^(urn:)?isbn:/i.test(element.value);
+        });
+
+        const series = metas['calibre:series'] || metas['belongs-to-collection'] || '';
+        const seriesIndex = metas['calibre:series_index'] || metas['group-position'] || '';
+        const addedAt = metas['calibre:timestamp'] || '';
+
+        return {
+            bookTitle: values('title').map(element => element.value)[0] || '',
+            author: authors.join('、'),
+            status: 'want-to-read',
+            addedAt: addedAt ? ImportManager.parseDate(addedAt) : null,
+            series: series,
+            seriesIndex: series && seriesIndex ? parseFloat(seriesIndex) : null,
+            isbn: isbnElement ? isbnElement.value : '',
+            tags: TaskValidator.normalizeTags(values('subject').map(element => element.value))
+        };
+    }
+
+    /**
+     * Kindleの「My Clippings.txt」を解析し、ハイライトとメモを本ごとにまとめる
+     * 本ごとに新規登録用のタスク（読書中、最初のハイライトの日時を開始日とする）を作成する
+     * @param {string} text - My Clippings.txtの内容
+     * @returns {Object} { books: [{ task, clippings: [{ type, text, page, createdAt }] }], rejected: [{ row, bookTitle, reason }] }
+     */
+    parseKindleClippings(text) {
+        const lines = text.split(/\r\n|\r|\n/);
+        const groups = new Map();
+        const rejected = [];
+
+        // 「==========」で区切られた1件ごとに処理
+        let start = 0;
+        for (let i = 0; i <= lines.length; i++) {
+            if (i < lines.length && lines[i].trim() !== '==========') continue;
+
+            const entryLines = lines.slice(start, i);
+            const offset = entryLines.findIndex(line => line.replace(/^\uFEFF/, '').trim() !== '');
+            if (offset !== -1) {
+                this.addKindleClipping(groups, rejected, entryLines.slice(offset), start + offset + 1);
+            }
+            start = i + 1;
+        }
+
+        const books = [];
+        for (const group of groups.values()) {
+            const dates = group.clippings
+                .map(clipping => clipping.createdAt)
+                .filter(Boolean)
+                .sort((a, b) => a - b);
+
+            const result = this.createTask({
+                bookTitle: group.bookTitle,
+                author: group.author,
+                status: 'active',
+                addedAt: dates[0] || null
+            });
+
+            if (result.error) {
+                rejected.push({ row: group.row, bookTitle: group.bookTitle, reason: result.error });
+            } else {
+                books.push({ task: result.task, clippings: group.clippings });
+            }
+        }
+
+        rejected.sort((a, b) => a.row - b.row);
+
+        return { books, rejected };
+    }
+
+    /**
+     * My Clippings.txtの1件を解析して本ごとのグループに追加
+     * 1行目が「タイトル (著者)」、2行目が種類・ページ・日時、空行の後が本文
+     * @param {Map} groups - タイトルと著者をキーとした本ごとのグループ
+     * @param {Array<Object>} rejected - 取り込めなかった行の追加先
+     * @param {Array<string>} entryLines - 1件分の行
+     * @param {number} row - 1行目のファイル上の行番号
+     */
+    addKindleClipping(groups, rejected, entryLines, row) {
+        const header = entryLines[0].replace(/^\uFEFF/, '').trim();
+        const meta = (entryLines[1] || '').trim();
+        const body = entryLines.slice(2).join('\n').trim();
+
+        const titleMatch = header.match(/^(.*?)\s*[(（]([^()（）]*)[)）]$/);
+        const bookTitle = titleMatch ? titleMatch[1].trim() : header;
+        const author = titleMatch ? titleMatch[2].trim() : '';
+
+        // ブックマークなど本文のない種類は取り込まない
+        let type = null;
+        if (/Highlight|ハイライト/i.test(meta)) {
+            type = 'quote';
+        } else if (/Note|メモ/i.test(meta)) {
+            type = 'note';
+        } else {
+            return;
+        }
+
+        if (!body) {
+            rejected.push({ row, bookTitle, reason: '本文がありません' });
+            return;
+        }
+
+        const pageMatch = meta.match(/(\d+)\s*ページ|ページ\s*(\d+)|page\s+(\d+)/i);
+        const page = pageMatch ? parseInt(pageMatch[1] || pageMatch[2] || pageMatch[3], 10) : null;
+
+        const validation = TaskValidator.validateNote(body, page, type);
+        if (!validation.isValid) {
+            rejected.push({ row, bookTitle, reason: validation.errors.join(', ') });
+            return;
+        }
+
+        const key = `${bookTitle}\n${author}`;
+        if (!groups.has(key)) {
+            groups.set(key, { row, bookTitle, author, clippings: [] });
+        }
+
+        const group = groups.get(key);
+        // ハイライトの範囲を変更すると同じ本文が再度記録されるため、重複は1件にまとめる
+        if (group.clippings.some(clipping => clipping.type === type && clipping.text === body)) {
+            return;
+        }
+
+        group.clippings.push({
+            type,
+            text: body,
+            page,
+            createdAt: ImportManager.parseKindleDate(meta)
+        });
+    }
+
+    /**
+     * My Clippings.txtの日時（「Added on Monday, January 2, 2023 10:00:00 PM」「作成日: 2023年1月2日月曜日 22:00:00」）を解析
+     * @param {string} meta - 種類・ページ・日時の行
+     * @returns {Date|null} 解析した日時、解析できない場合はnull
+     */
+    static parseKindleDate(meta) {
+        const japanese = meta.match(/(\d{4})年(\d{1,2})月(\d{1,2})日\D*?(\d{1,2}):(\d{2})(?::(\d{2}))?/);
+        if (japanese) {
+            return new Date(
+                Number(japanese[1]), Number(japanese[2]) - 1, Number(japanese[3]),
+                Number(japanese[4]), Number(japanese[5]), Number(japanese[6] || 0)
+            );
+        }
+
+        const english = meta.match(/Added on\s+(?:[A-Za-z]+,\s*)?(.+)$/);
+        if (english) {
+            const date = new Date(english[1].trim());
+            return isNaN(date.getTime()) ? null : date;
+        }
+
+        return null;
+    }
+
+    /**
+     * 書籍情報からタスクを作成し、成功したタスクと取り込めなかった行に振り分ける
+     * @param {Array<Object>} tasks - 作成したタスクの追加先
+     * @param {Array<Object>} rejected - 取り込めなかった行の追加先
+     * @param {number} row - ファイル上の行番号
+     * @param {Object} record - createTaskに渡す書籍情報
+     */
+    addImportedTask(tasks, rejected, row, record) {
+        const result = this.createTask(record);
+
+        if (result.error) {
+            rejected.push({ row, bookTitle: record.bookTitle || '', reason: result.error });
+        } else {
+            tasks.push(result.task);
+        }
+    }
+
+    /**
+     * 取り込んだ書籍情報からタスクを作成
+     * タイトルと著者は手入力と同じくTaskValidator.prepareTaskDataで検証する
+     * @param {Object} record - 書籍情報
+     * @param {string} record.bookTitle - 書籍タイトル
+     * @param {string} record.author - 著者名
+     * @param {string} record.status - ステータス
+     * @param {Date|null} record.addedAt - 登録日（不明な場合は読了日または現在日時）
+     * @param {Date|null} record.completedAt - 読了日（読了の場合）
+     * @param {number|null} record.totalPages - 総ページ数
+     * @param {number|null} record.rating - 評価
+     * @param {string} record.review - 感想（読了の場合）
+     * @param {Array<string>} record.tags - タグ
+     * @param {string} record.series - シリーズ名
+     * @param {number|null} record.seriesIndex - シリーズ内の巻数
+     * @param {string} record.isbn - ISBN（ハイフンありでも可）
+     * @returns {Object} { task } または { error }
+     */
+    createTask(record) {
+        const prepared = TaskValidator.prepareTaskData(record.bookTitle || '', record.author || '');
+        if (!prepared.validation.isValid) {
+            return { error: prepared.validation.errors.join(', ') };
+        }
+
+        // 保存時の検証と同じく、記号をエスケープした後の文字数で確認する
+        const review = record.status === 'completed' ? (record.review || '').trim() : '';
+        const sanitizedReview = TaskValidator.sanitizeInput(review);
+        const reviewValidation = TaskValidator.validateReview(null, sanitizedReview);
+        if (!reviewValidation.isValid) {
+            return {
+                error: review.length <= 500
+                    ? '記号（\' " < > /）は保存時に複数文字として数えるため、感想が500文字を超えます'
+                    : reviewValidation.errors.join(', ')
+            };
+        }
+
+        const status = record.status;
+        const completedAt = status === 'completed'
+            ? (record.completedAt || record.addedAt || new Date())
+            : null;
+        const createdAt = record.addedAt || completedAt || new Date();
+
+        // 読了日より後に登録した本は、読了日を開始日とみなす
+        let startedAt = null;
+        if (status !== 'want-to-read') {
+            startedAt = completedAt && completedAt < createdAt ? completedAt : createdAt;
+        }
+
+        const totalPages = TaskValidator.validateTotalPages(record.totalPages).isValid
+            ? record.totalPages || null
+            : null;
+        const rating = TaskValidator.validateReview(record.rating).isValid
+            ? record.rating || null
+            : null;
+
+        // 長すぎるタグや上限を超えるタグは取り込まない
+        const tags = TaskValidator.normalizeTags(record.tags || [])
+            .map(tag => TaskValidator.sanitizeInput(tag))
+            .filter(tag => tag.length <= 20)
+            .slice(0, 10);
+
+        // 長すぎるシリーズ名や正しくないISBNは取り込まない
+        const series = TaskValidator.sanitizeInput(record.series || '');
+        const seriesIndex = typeof record.seriesIndex === 'number' && !isNaN(record.seriesIndex)
+            ? record.seriesIndex
+            : null;
+        const seriesValid = TaskValidator.validateSeries(series, seriesIndex).isValid;
+
+        const task = Task.fromJSON({
+            ...new Task(prepared.data.bookTitle, prepared.data.author).toJSON(),
+            series: seriesValid ? series : '',
+            seriesIndex: seriesValid && series ? seriesIndex : null,
+            isbn: TaskValidator.normalizeIsbn(record.isbn || ''),
+            status: status,
+            createdAt: createdAt,
+            startedAt: startedAt,
+            completedAt: completedAt,
+            totalPages: totalPages,
+            // 読了した本は最後まで読んだものとする
+            currentPage: status === 'completed' && totalPages ? totalPages : 0,
+            rating: status === 'completed' ? rating : null,
+            review: sanitizedReview,
+            tags: tags
+        });
+
+        return { task: task.toJSON() };
+    }
+}
+
+// Node.js環境でグローバルに公開
+if (typeof global !== 'undefined') {
+    global.ImportManager = ImportManager;
+}
@@ -18,6 +18,13 @@ class InputValidator {
                 maxLength: 50,
                 pattern: null,
                 sanitize: true
+            },
+            totalPages: {
+                required: false,
+                minLength: 0,
+                maxLength: 5,
+                pattern: /^[1-9][0-9]*$/,
+                sanitize: true
             }
         };
         
@@ -267,7 +274,8 @@ class InputValidator {
     getFieldDisplayName(fieldName) {
         const displayNames = {
             bookTitle: '書籍タイトル',
-            author: '著者名'
+            author: '著者名',
+            totalPages: '総ページ数'
         };
         
         return displayNames[fieldName] || fieldName;
@@ -420,7 +428,9 @@ class InputValidator {
 
     /**
      * CSVエクスポート用にサニタイズ
-     * @param {string} input - サニタイズする文字列
+     * 保存時のエスケープ（TaskValidator.sanitizeInput）を元の文字に戻してから、
+     * 数式として解釈される先頭文字の無効化とRFC 4180のクォートのみを行う（HTMLエスケープはしない）
+     * @param {string} input - 保存されているテキスト
      * @returns {string} CSV用にサニタイズされた文字列
      */
     sanitizeForCsv(input) {
@@ -428,10 +438,10 @@ class InputValidator {
             return '';
         }
 
-        let sanitized = this.sanitizeInput(input);
+        let sanitized = TaskValidator.decodeInput(input);
 
         // CSVインジェクション対策
-        if (sanitized.match(/^[=+\-@]/)) {
+        if (sanitized.match(/^[=+\-@\t\r]/)) {
             sanitized = "'" + sanitized;
         }
 
@@ -439,7 +449,7 @@ class InputValidator {
         sanitized = sanitized.replace(/"/g, '""');
 
         // 必要に応じてダブルクォートで囲む
-        if (sanitized.includes(',') || sanitized.includes('\n') || sanitized.includes('"')) {
+        if (/[,"\r\n]/.test(sanitized)) {
             sanitized = '"' + sanitized + '"';
         }
 
@@ -346,6 +346,11 @@ class NotificationManager {
     showShareError(shareType, shareResult) {
         const { errorType, error, manualOption } = shareResult;
         
+        // 共有シートを閉じた場合はエラーとして扱わない
+        if (errorType === 'SHARE_CANCELLED') {
+            return this.info(`${shareType}のシェアをキャンセルしました`);
+        }
+        
         let message = '';
         let actions = [];
         
@@ -381,7 +386,7 @@ class NotificationManager {
                 label: '手動投稿用テキストを表示',
                 style: 'btn-info',
                 handler: () => {
-                    this.showManualPostText(manualOption.text);
+                    this.showManualPostText(manualOption.text, manualOption.platformLabel, manualOption.composeUrl);
                 }
             });
         }
@@ -396,11 +401,13 @@ class NotificationManager {
     /**
      * 手動投稿用テキストを表示
      * @param {string} text - 投稿テキスト
+     * @param {string} platformLabel - シェア先のサービス名
+     * @param {string} composeUrl - シェア先の投稿画面のURL
      */
-    showManualPostText(text) {
+    showManualPostText(text, platformLabel = 'X', composeUrl = 'https://x.com/compose/post') {
         return this.info('手動投稿用テキスト', {
             persistent: true,
-            details: `以下のテキストをコピーしてXに投稿してください:\n\n${text}`,
+            details: `以下のテキストをコピーして${platformLabel}に投稿してください:\n\n${text}`,
             actions: [
                 {
                     label: 'テキストをコピー',
@@ -415,10 +422,10 @@ class NotificationManager {
                     }
                 },
                 {
-                    label: 'Xを開く',
+                    label: `${platformLabel}を開く`,
                     style: 'btn-secondary',
                     handler: () => {
-                        window.open('https://x.com/compose/post', '_blank');
+                        window.open(composeUrl, '_blank');
                     }
                 }
             ]
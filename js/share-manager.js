@@ -1,107 +1,750 @@
 /**
- * ShareManager - Xシェア機能の管理を行うクラス
- * 読書宣言と読了メッセージのテキスト生成、XシェアURL生成とポップアップ機能を提供
+ * ShareManager - X・Bluesky・Fediverse（Mastodon・Misskey）へのシェア機能の管理を行うクラス
+ * 読書宣言と読了メッセージのテキスト生成、シェアURL生成とポップアップ機能を提供
  */
 class ShareManager {
     constructor() {
-        this.xShareBaseUrl = 'https://x.com/intent/post';
-        this.maxTweetLength = 280;
+        this.xShareBaseUrl = ShareManager.PLATFORMS.x.shareBaseUrl;
+        // Xの文字数（getWeightedLengthで数えた重み付きの文字数）の上限
+        this.maxTweetLength = ShareManager.PLATFORMS.x.maxLength;
+        this.templatesStorageKey = 'reading-share-templates';
+        this.platformStorageKey = 'reading-share-platform';
+        this.fediverseStorageKey = 'reading-share-fediverse';
+    }
+
+    /**
+     * シェア先のサービス
+     * lengthUnitは文字数の数え方（weighted: Xの重み付きの文字数、grapheme: 書記素の数）
+     * urlLengthはURLを長さに関わらず数える文字数（nullの場合はURLの書記素の数）
+     * maxUrlLengthは生成するシェアURLの長さの上限
+     * Fediverseのシェア先（fediverse）はgetFediverseSettingsの設定から作成する
+     * @returns {Object} サービスIDをキーとした設定
+     */
+    static get PLATFORMS() {
+        return {
+            x: {
+                label: 'X',
+                shareBaseUrl: 'https://x.com/intent/post',
+                composeUrl: 'https://x.com/compose/post',
+                windowName: 'xshare',
+                maxLength: 280,
+                maxUrlLength: 2048,
+                lengthUnit: 'weighted',
+                ellipsis: '...'
+            },
+            bluesky: {
+                label: 'Bluesky',
+                shareBaseUrl: 'https://bsky.app/intent/compose',
+                composeUrl: 'https://bsky.app/',
+                windowName: 'blueskyshare',
+                maxLength: 300,
+                // 日本語300文字はURLエンコードすると2700文字になるため長めに許容する
+                maxUrlLength: 8192,
+                lengthUnit: 'grapheme',
+                urlLength: null,
+                ellipsis: '…'
+            }
+        };
+    }
+
+    /**
+     * Fediverseのソフトウェアごとの設定
+     * 投稿画面はどちらも インスタンスのURL + /share?text= で開く
+     * @returns {Object} ソフトウェアIDをキーとした設定
+     */
+    static get FEDIVERSE_SOFTWARE() {
+        return {
+            mastodon: {
+                label: 'Mastodon',
+                defaultMaxLength: 500,
+                // MastodonはURLを長さに関わらず23文字と数える
+                urlLength: 23
+            },
+            misskey: {
+                label: 'Misskey',
+                defaultMaxLength: 3000,
+                urlLength: null
+            }
+        };
+    }
+
+    /**
+     * シェア先の設定を取得
+     * @param {string} platform - サービスID
+     * @returns {Object} シェア先の設定（idを含む）
+     */
+    getPlatform(platform) {
+        if (platform === 'fediverse') {
+            return this.createFediversePlatform(this.getFediverseSettings());
+        }
+
+        const config = ShareManager.PLATFORMS[platform];
+        if (!config) {
+            throw new Error(`対応していないシェア先です: ${platform}`);
+        }
+        return { id: platform, ...config };
+    }
+
+    /**
+     * 選択できるシェア先を取得（Fediverseはインスタンスを設定済みの場合のみ）
+     * @returns {Array<Object>} シェア先の設定の配列
+     */
+    getAvailablePlatforms() {
+        const platforms = Object.keys(ShareManager.PLATFORMS).map(id => this.getPlatform(id));
+        const fediverseSettings = this.getFediverseSettings();
+        if (fediverseSettings) {
+            platforms.push(this.createFediversePlatform(fediverseSettings));
+        }
+        return platforms;
+    }
+
+    /**
+     * Fediverseの設定からシェア先の設定を作成
+     * @param {Object|null} settings - { software, instanceUrl, maxLength }
+     * @returns {Object} シェア先の設定
+     */
+    createFediversePlatform(settings) {
+        if (!settings) {
+            throw new Error('Fediverseのインスタンスが設定されていません');
+        }
+
+        const software = ShareManager.FEDIVERSE_SOFTWARE[settings.software];
+        return {
+            id: 'fediverse',
+            label: `${software.label}（${new URL(settings.instanceUrl).host}）`,
+            shareBaseUrl: `${settings.instanceUrl}/share`,
+            composeUrl: `${settings.instanceUrl}/share`,
+            windowName: 'fediverseshare',
+            maxLength: settings.maxLength,
+            maxUrlLength: 8192,
+            lengthUnit: 'grapheme',
+            urlLength: software.urlLength,
+            ellipsis: '…'
+        };
+    }
+
+    /**
+     * インスタンスのURLを正規化（スキームを省略した場合はhttps）
+     * @param {string} instanceUrl - 入力されたインスタンスのURLまたはドメイン
+     * @returns {string} オリジン（https://example.com の形式）。不正な場合は空文字
+     */
+    normalizeInstanceUrl(instanceUrl) {
+        if (typeof instanceUrl !== 'string' || !instanceUrl.trim()) {
+            return '';
+        }
+
+        const trimmed = instanceUrl.trim();
+        try {
+            const url = new URL(/^[a-z][a-z0-9+.-]*:\/\//i.test(trimmed) ? trimmed : `https://${trimmed}`);
+            if (url.protocol !== 'https:' || url.username || url.password || !url.hostname.includes('.')) {
+                return '';
+            }
+            return url.origin;
+        } catch (error) {
+            return '';
+        }
+    }
+
+    /**
+     * Fediverseの設定をバリデーション
+     * @param {Object} settings - { software, instanceUrl, maxLength }
+     * @returns {Object} バリデーション結果
+     */
+    validateFediverseSettings(settings) {
+        const errors = [];
+
+        if (!settings || !(settings.software in ShareManager.FEDIVERSE_SOFTWARE)) {
+            errors.push('MastodonまたはMisskeyを選択してください');
+        }
+
+        if (!settings || !this.normalizeInstanceUrl(settings.instanceUrl)) {
+            errors.push('インスタンスのURLを https://example.com の形式で入力してください');
+        }
+
+        if (!settings || !Number.isInteger(settings.maxLength) || settings.maxLength < 100 || settings.maxLength > 100000) {
+            errors.push('文字数の上限は100〜100000の整数で入力してください');
+        }
+
+        return {
+            isValid: errors.length === 0,
+            errors: errors
+        };
+    }
+
+    /**
+     * 保存されているFediverseの設定を取得
+     * @returns {Object|null} { software, instanceUrl, maxLength }（設定されていない場合はnull）
+     */
+    getFediverseSettings() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(this.fediverseStorageKey));
+            if (stored && this.validateFediverseSettings(stored).isValid) {
+                return {
+                    software: stored.software,
+                    instanceUrl: this.normalizeInstanceUrl(stored.instanceUrl),
+                    maxLength: stored.maxLength
+                };
+            }
+        } catch (error) {
+            console.error('Fediverseの設定の読み込みに失敗しました:', error);
+        }
+        return null;
+    }
+
+    /**
+     * Fediverseの設定を保存
+     * @param {Object} settings - { software, instanceUrl, maxLength }
+     * @returns {boolean} 保存成功時true
+     */
+    saveFediverseSettings(settings) {
+        try {
+            const validation = this.validateFediverseSettings(settings);
+            if (!validation.isValid) {
+                throw new Error(validation.errors.join(', '));
+            }
+
+            localStorage.setItem(this.fediverseStorageKey, JSON.stringify({
+                software: settings.software,
+                instanceUrl: this.normalizeInstanceUrl(settings.instanceUrl),
+                maxLength: settings.maxLength
+            }));
+            return true;
+        } catch (error) {
+            console.error('Fediverseの設定の保存に失敗しました:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Fediverseの設定を削除（シェア先がFediverseの場合はXに戻る）
+     * @returns {boolean} 成功時true
+     */
+    clearFediverseSettings() {
+        try {
+            localStorage.removeItem(this.fediverseStorageKey);
+            return true;
+        } catch (error) {
+            console.error('Fediverseの設定の削除に失敗しました:', error);
+            return false;
+        }
+    }
+
+    /**
+     * 保存されているシェア先を取得（保存されていない場合、または設定が削除されている場合はX）
+     * @returns {string} サービスID
+     */
+    getSharePlatform() {
+        try {
+            const stored = localStorage.getItem(this.platformStorageKey);
+            if (stored && stored in ShareManager.PLATFORMS) {
+                return stored;
+            }
+            if (stored === 'fediverse' && this.getFediverseSettings()) {
+                return stored;
+            }
+        } catch (error) {
+            console.error('シェア先の読み込みに失敗しました:', error);
+        }
+        return 'x';
+    }
+
+    /**
+     * シェア先を保存
+     * @param {string} platform - サービスID
+     * @returns {boolean} 保存成功時true
+     */
+    saveSharePlatform(platform) {
+        try {
+            this.getPlatform(platform);
+            localStorage.setItem(this.platformStorageKey, platform);
+            return true;
+        } catch (error) {
+            console.error('シェア先の保存に失敗しました:', error);
+            return false;
+        }
+    }
+
+    /**
+     * テンプレートで使える差し込み項目
+     * 読書宣言では{days}・{rating}・{review}は空になる
+     * @returns {Object} 項目名をキーとした説明
+     */
+    static get TEMPLATE_PLACEHOLDERS() {
+        return {
+            title: '書籍タイトル',
+            author: '著者名',
+            days: '読了までの日数',
+            pages: '総ページ数',
+            rating: '評価（★）',
+            review: '感想'
+        };
+    }
+
+    /**
+     * 初期設定のテンプレート
+     * 差し込み項目が全て空になる行は出力しない（著者名がない場合の「著者:」の行など）
+     * @returns {Object} { declaration, completion }
+     */
+    static get DEFAULT_TEMPLATES() {
+        return {
+            declaration: '# 読書宣言\n\n「{title}」\n著者: {author}\n\n読書開始！📚',
+            completion: '📖 読了報告\n\n「{title}」\n著者: {author}\n\n読み終わりました！✨\n評価: {rating}\n感想: {review}\n\n#読書記録'
+        };
+    }
+
+    /**
+     * テンプレートをバリデーション
+     * @param {string} template - テンプレート
+     * @returns {Object} バリデーション結果
+     */
+    validateTemplate(template) {
+        const errors = [];
+
+        if (typeof template !== 'string' || template.trim().length === 0) {
+            errors.push('テンプレートを入力してください');
+        } else {
+            if (template.length > 500) {
+                errors.push('テンプレートは500文字以内で入力してください');
+            }
+
+            if (!template.includes('{title}')) {
+                errors.push('テンプレートには{title}を含めてください');
+            }
+
+            const unknown = [...template.matchAll(/\{(\w*)\}/g)]
+                .map(match => match[1])
+                .filter(name => !(name in ShareManager.TEMPLATE_PLACEHOLDERS));
+            if (unknown.length > 0) {
+                errors.push(`使えない差し込み項目があります: ${[...new Set(unknown)].map(name => `{${name}}`).join('、')}`);
+            }
+        }
+
+        return {
+            isValid: errors.length === 0,
+            errors: errors
+        };
+    }
+
+    /**
+     * 保存されているテンプレートを取得（保存されていない種類は初期設定）
+     * @returns {Object} { declaration, completion }
+     */
+    getTemplates() {
+        const templates = ShareManager.DEFAULT_TEMPLATES;
+
+        try {
+            const stored = JSON.parse(localStorage.getItem(this.templatesStorageKey));
+            if (stored && typeof stored === 'object') {
+                for (const type of Object.keys(templates)) {
+                    if (this.validateTemplate(stored[type]).isValid) {
+                        templates[type] = stored[type];
+                    }
+                }
+            }
+        } catch (error) {
+            console.error('シェアのテンプレートの読み込みに失敗しました:', error);
+        }
+
+        return templates;
+    }
+
+    /**
+     * テンプレートを保存
+     * @param {Object} templates - { declaration, completion }
+     * @returns {boolean} 保存成功時true
+     */
+    saveTemplates(templates) {
+        try {
+            const toSave = {};
+            for (const type of Object.keys(ShareManager.DEFAULT_TEMPLATES)) {
+                const template = this.normalizeTemplate(templates[type]);
+                const validation = this.validateTemplate(template);
+                if (!validation.isValid) {
+                    throw new Error(validation.errors.join(', '));
+                }
+                toSave[type] = template;
+            }
+
+            localStorage.setItem(this.templatesStorageKey, JSON.stringify(toSave));
+            return true;
+        } catch (error) {
+            console.error('シェアのテンプレートの保存に失敗しました:', error);
+            return false;
+        }
+    }
+
+    /**
+     * テンプレートを初期設定に戻す
+     * @returns {boolean} 成功時true
+     */
+    resetTemplates() {
+        try {
+            localStorage.removeItem(this.templatesStorageKey);
+            return true;
+        } catch (error) {
+            console.error('シェアのテンプレートの初期化に失敗しました:', error);
+            return false;
+        }
+    }
+
+    /**
+     * テンプレートの改行を正規化し、改行以外の制御文字を除去
+     * @param {string} template - テンプレート
+     * @returns {string} 正規化したテンプレート
+     */
+    normalizeTemplate(template) {
+        if (typeof template !== 'string') {
+            return '';
+        }
+        return template
+            .replace(/\r\n?/g, '\n')
+            .replace(/[\x00-\x09\x0B-\x1F\x7F]/g, '')
+            .trim();
+    }
+
+    /**
+     * テンプレートに値を差し込む
+     * 差し込み項目を含み、その値が全て空になる行は出力しない
+     * @param {string} template - テンプレート
+     * @param {Object} values - 差し込み項目名をキーとした値
+     * @returns {string} 差し込んだテキスト
+     */
+    renderTemplate(template, values) {
+        const lines = [];
+
+        for (const line of this.normalizeTemplate(template).split('\n')) {
+            const names = [...line.matchAll(/\{(\w+)\}/g)].map(match => match[1]);
+            if (names.length > 0 && names.every(name => !values[name])) {
+                continue;
+            }
+            lines.push(line.replace(/\{(\w+)\}/g, (match, name) => {
+                return name in ShareManager.TEMPLATE_PLACEHOLDERS ? String(values[name] || '') : match;
+            }));
+        }
+
+        return lines.join('\n');
+    }
+
+    /**
+     * テンプレートに値を差し込み、シェア先の文字数に収まるように短縮
+     * shrinkOrderの順に値を短縮し、minLength未満になる場合はその値を空にして次の項目を短縮する
+     * @param {string} template - テンプレート
+     * @param {Object} values - 差し込み項目名をキーとした値
+     * @param {Array<Object>} shrinkOrder - { name, minLength } の配列（短縮する順）
+     * @param {string} platform - シェア先のサービスID
+     * @returns {string} 差し込んだテキスト
+     */
+    fitTemplate(template, values, shrinkOrder, platform = 'x') {
+        const maxLength = this.getPlatform(platform).maxLength;
+        const fitted = { ...values };
+        let text = this.renderTemplate(template, fitted);
+
+        for (const { name, minLength } of shrinkOrder) {
+            const overflow = this.getTextLength(text, platform) - maxLength;
+            if (overflow <= 0) break;
+            if (!fitted[name]) continue;
+
+            const availableLength = this.getTextLength(fitted[name], platform) - overflow;
+            fitted[name] = availableLength >= minLength
+                ? this.truncateToLength(fitted[name], availableLength, platform)
+                : '';
+            text = this.renderTemplate(template, fitted);
+        }
+
+        // テンプレートの固定部分だけで上限を超える場合
+        return this.truncateToLength(text, maxLength, platform);
+    }
+
+    /**
+     * Xの文字数の数え方（twitter-text v3の設定）
+     * rangesに含まれる文字は1文字、それ以外（日本語・絵文字など）は2文字、URLは長さに関わらず23文字と数える
+     * @returns {Object} 文字数の設定
+     */
+    static get X_TEXT_CONFIG() {
+        return {
+            defaultWeight: 2,
+            transformedUrlLength: 23,
+            ranges: [
+                { start: 0x0000, end: 0x10FF, weight: 1 },
+                { start: 0x2000, end: 0x200D, weight: 1 },
+                { start: 0x2010, end: 0x201F, weight: 1 },
+                { start: 0x2032, end: 0x2037, weight: 1 }
+            ]
+        };
+    }
+
+    /**
+     * テキストをXの文字数の単位（URL・絵文字・1文字）に分割
+     * 絵文字は肌の色・異体字セレクタ・ZWJで結合した並びや国旗も含めて1つとする
+     * @param {string} text - 分割するテキスト
+     * @returns {Array<Object>} { text, weight } の配列
+     */
+    segmentForX(text) {
+        const config = ShareManager.X_TEXT_CONFIG;
+        // URL | 絵文字（ZWJで結合した並びを含む） | 国旗 | キーキャップ | その他の1文字
+        const pattern = /https?:\/\/[^\s「」（）『』、。]+|\p{Extended_Pictographic}(?:\uFE0F|\u20E3|[\u{1F3FB}-\u{1F3FF}])*(?:\u200D\p{Extended_Pictographic}(?:\uFE0F|\u20E3|[\u{1F3FB}-\u{1F3FF}])*)*|[\u{1F1E6}-\u{1F1FF}]{2}|[0-9#*]\uFE0F?\u20E3|[\s\S]/gu;
+
+        const segments = [];
+        for (const match of text.normalize('NFC').matchAll(pattern)) {
+            const segment = match[0];
+            let weight;
+
+            if (/^https?:\/\//.test(segment)) {
+                weight = config.transformedUrlLength;
+            } else if ([...segment].length > 1) {
+                // 複数のコードポイントからなる絵文字
+                weight = config.defaultWeight;
+            } else {
+                const codePoint = segment.codePointAt(0);
+                const range = config.ranges.find(r => codePoint >= r.start && codePoint <= r.end);
+                weight = range && !/\p{Extended_Pictographic}/u.test(segment) ? range.weight : config.defaultWeight;
+            }
+
+            segments.push({ text: segment, weight: weight });
+        }
+
+        return segments;
+    }
+
+    /**
+     * Xでの文字数を取得（日本語と絵文字は2文字、URLは23文字として数える）
+     * @param {string} text - 数えるテキスト
+     * @returns {number} 重み付きの文字数
+     */
+    getWeightedLength(text) {
+        return this.getTextLength(text, 'x');
+    }
+
+    /**
+     * Xでの文字数が上限に収まるようにテキストを短縮
+     * 絵文字やURLの途中では区切らない
+     * @param {string} text - 短縮するテキスト
+     * @param {number} maxLength - 重み付きの文字数の上限（省略記号を含む）
+     * @param {string} ellipsis - 短縮した場合に末尾に付ける文字列
+     * @returns {string} 短縮したテキスト（収まる場合はそのまま）
+     */
+    truncateToWeightedLength(text, maxLength, ellipsis = '...') {
+        return this.truncateToLength(text, maxLength, 'x', ellipsis);
+    }
+
+    /**
+     * テキストを書記素の単位に分割（Bluesky・Fediverseの数え方）
+     * URLは途中で区切らないように1つにまとめる
+     * @param {string} text - 分割するテキスト
+     * @param {number|null} urlLength - URLを数える文字数（nullの場合はURLの書記素の数）
+     * @returns {Array<Object>} { text, weight } の配列
+     */
+    segmentByGrapheme(text, urlLength = null) {
+        const segments = [];
+        const normalized = text.normalize('NFC');
+        const segmenter = typeof Intl !== 'undefined' && Intl.Segmenter
+            ? new Intl.Segmenter('ja', { granularity: 'grapheme' })
+            : null;
+        // Intl.Segmenter非対応の環境では、Xと同じ絵文字のまとまりを1書記素とみなす
+        const splitGraphemes = (part) => segmenter
+            ? Array.from(segmenter.segment(part), s => s.segment)
+            : this.segmentForX(part).map(s => s.text);
+
+        for (const part of normalized.split(/(https?:\/\/[^\s「」（）『』、。]+)/)) {
+            if (!part) continue;
+            if (/^https?:\/\//.test(part)) {
+                segments.push({ text: part, weight: urlLength || splitGraphemes(part).length });
+            } else {
+                for (const grapheme of splitGraphemes(part)) {
+                    segments.push({ text: grapheme, weight: 1 });
+                }
+            }
+        }
+
+        return segments;
+    }
+
+    /**
+     * テキストをシェア先の文字数の単位に分割
+     * @param {string} text - 分割するテキスト
+     * @param {string} platform - シェア先のサービスID
+     * @returns {Array<Object>} { text, weight } の配列
+     */
+    segmentText(text, platform = 'x') {
+        const config = this.getPlatform(platform);
+        return config.lengthUnit === 'grapheme'
+            ? this.segmentByGrapheme(text, config.urlLength)
+            : this.segmentForX(text);
+    }
+
+    /**
+     * シェア先での文字数を取得
+     * @param {string} text - 数えるテキスト
+     * @param {string} platform - シェア先のサービスID
+     * @returns {number} シェア先の数え方での文字数
+     */
+    getTextLength(text, platform = 'x') {
+        if (typeof text !== 'string') {
+            return 0;
+        }
+        return this.segmentText(text, platform).reduce((total, segment) => total + segment.weight, 0);
+    }
+
+    /**
+     * シェア先での文字数が上限に収まるようにテキストを短縮
+     * 絵文字やURLの途中では区切らない
+     * @param {string} text - 短縮するテキスト
+     * @param {number} maxLength - 文字数の上限（省略記号を含む）
+     * @param {string} platform - シェア先のサービスID
+     * @param {string} ellipsis - 短縮した場合に末尾に付ける文字列（省略時はシェア先の省略記号）
+     * @returns {string} 短縮したテキスト（収まる場合はそのまま）
+     */
+    truncateToLength(text, maxLength, platform = 'x', ellipsis = this.getPlatform(platform).ellipsis) {
+        if (this.getTextLength(text, platform) <= maxLength) {
+            return text;
+        }
+
+        const available = maxLength - this.getTextLength(ellipsis, platform);
+        let result = '';
+        let length = 0;
+        for (const segment of this.segmentText(text, platform)) {
+            if (length + segment.weight > available) break;
+            result += segment.text;
+            length += segment.weight;
+        }
+
+        return result + ellipsis;
     }
 
     /**
      * 読書宣言のテキストを生成
      * @param {string} bookTitle - 書籍タイトル
      * @param {string} author - 著者名（オプション）
+     * @param {Object} options - 追加オプション
+     * @param {number|null} options.pages - 総ページ数（オプション）
+     * @param {string} options.template - テンプレート（省略時は保存されているテンプレート）
+     * @param {string} options.platform - シェア先のサービスID（省略時は保存されているシェア先）
      * @returns {string} 生成されたテキスト
      */
-    generateDeclarationText(bookTitle, author = '') {
+    generateDeclarationText(bookTitle, author = '', options = {}) {
         // セキュリティ: 入力をサニタイズ
-        const sanitizedTitle = this.sanitizeForShare(bookTitle);
-        const sanitizedAuthor = author ? this.sanitizeForShare(author) : '';
-        
-        let text = `# 読書宣言\n\n「${sanitizedTitle}」`;
-        
-        if (sanitizedAuthor && sanitizedAuthor.trim()) {
-            text += `\n著者: ${sanitizedAuthor}`;
-        }
-        
-        text += '\n\n読書開始！📚';
-        
-        // 文字数制限チェック
-        if (text.length > this.maxTweetLength) {
-            // 長すぎる場合は短縮
-            const baseText = `# 読書宣言\n\n「${sanitizedTitle}」\n\n読書開始！📚`;
-            if (baseText.length > this.maxTweetLength) {
-                // タイトルも短縮が必要
-                const availableLength = this.maxTweetLength - '# 読書宣言\n\n「」\n\n読書開始！📚'.length;
-                const truncatedTitle = sanitizedTitle.substring(0, availableLength - 3) + '...';
-                text = `# 読書宣言\n\n「${truncatedTitle}」\n\n読書開始！📚`;
-            } else {
-                text = baseText;
-            }
-        }
-        
-        return text;
+        const values = {
+            title: this.sanitizeForShare(bookTitle),
+            author: author ? this.sanitizeForShare(author) : '',
+            pages: Number.isInteger(options.pages) && options.pages > 0 ? options.pages : ''
+        };
+        const template = options.template || this.getTemplates().declaration;
+
+        // 長すぎる場合は著者名を省略し、それでも収まらなければタイトルを短縮
+        return this.fitTemplate(template, values, [
+            { name: 'author', minLength: Infinity },
+            { name: 'title', minLength: 1 }
+        ], options.platform || this.getSharePlatform());
     }
 
     /**
      * 読了メッセージのテキストを生成
      * @param {string} bookTitle - 書籍タイトル
      * @param {string} author - 著者名（オプション）
+     * @param {Object} options - 追加オプション
+     * @param {number|null} options.rating - 1〜5の評価（オプション）
+     * @param {string} options.review - 感想（オプション）
+     * @param {number|null} options.days - 読了までの日数（オプション）
+     * @param {number|null} options.pages - 総ページ数（オプション）
+     * @param {string} options.template - テンプレート（省略時は保存されているテンプレート）
+     * @param {string} options.platform - シェア先のサービスID（省略時は保存されているシェア先）
+     * @returns {string} 生成されたテキスト
+     */
+    generateCompletionText(bookTitle, author = '', options = {}) {
+        // セキュリティ: 入力をサニタイズ
+        const values = {
+            title: this.sanitizeForShare(bookTitle),
+            author: author ? this.sanitizeForShare(author) : '',
+            rating: this.formatRating(options.rating),
+            review: options.review ? this.sanitizeForShare(options.review) : '',
+            days: Number.isInteger(options.days) && options.days > 0 ? options.days : '',
+            pages: Number.isInteger(options.pages) && options.pages > 0 ? options.pages : ''
+        };
+        const template = options.template || this.getTemplates().completion;
+
+        // 長すぎる場合は感想を短縮（10文字未満になる場合は省略）し、次に著者名の省略、タイトルの短縮の順に収める
+        return this.fitTemplate(template, values, [
+            { name: 'review', minLength: 10 },
+            { name: 'author', minLength: Infinity },
+            { name: 'title', minLength: 1 }
+        ], options.platform || this.getSharePlatform());
+    }
+
+    /**
+     * 引用シェアのテキストを生成
+     * @param {string} quote - 引用文
+     * @param {string} bookTitle - 書籍タイトル
+     * @param {string} author - 著者名（オプション）
+     * @param {number|null} page - ページ番号（オプション）
+     * @param {string} platform - シェア先のサービスID（省略時は保存されているシェア先）
      * @returns {string} 生成されたテキスト
      */
-    generateCompletionText(bookTitle, author = '') {
+    generateQuoteText(quote, bookTitle, author = '', page = null, platform = this.getSharePlatform()) {
         // セキュリティ: 入力をサニタイズ
+        const sanitizedQuote = this.sanitizeForShare(quote);
         const sanitizedTitle = this.sanitizeForShare(bookTitle);
         const sanitizedAuthor = author ? this.sanitizeForShare(author) : '';
         
-        let text = `📖 読了報告\n\n「${sanitizedTitle}」`;
-        
+        let source = `— 『${sanitizedTitle}』`;
         if (sanitizedAuthor && sanitizedAuthor.trim()) {
-            text += `\n著者: ${sanitizedAuthor}`;
+            source += ` ${sanitizedAuthor}`;
+        }
+        if (Number.isInteger(page) && page > 0) {
+            source += ` p.${page}`;
         }
         
-        text += '\n\n読み終わりました！✨\n\n#読書記録';
+        const footer = `\n${source}\n\n#読書記録`;
+        let text = `💬「${sanitizedQuote}」${footer}`;
         
-        // 文字数制限チェック
-        if (text.length > this.maxTweetLength) {
-            // 長すぎる場合は短縮
-            const baseText = `📖 読了報告\n\n「${sanitizedTitle}」\n\n読み終わりました！✨\n\n#読書宣言`;
-            if (baseText.length > this.maxTweetLength) {
-                // タイトルも短縮が必要
-                const availableLength = this.maxTweetLength - '📖 読了報告\n\n「」\n\n読み終わりました！✨\n\n#読書記録'.length;
-                const truncatedTitle = sanitizedTitle.substring(0, availableLength - 3) + '...';
-                text = `📖 読了報告\n\n「${truncatedTitle}」\n\n読み終わりました！✨\n\n#読書宣言`;
-            } else {
-                text = baseText;
-            }
+        // 文字数制限チェック（シェア先の数え方での文字数）
+        const { maxLength, ellipsis } = this.getPlatform(platform);
+        if (this.getTextLength(text, platform) > maxLength) {
+            // 引用文を収まる範囲で短縮
+            const availableLength = maxLength - this.getTextLength(`💬「」${footer}`, platform);
+            const truncatedQuote = this.truncateToLength(sanitizedQuote, Math.max(this.getTextLength(ellipsis, platform), availableLength), platform);
+            text = `💬「${truncatedQuote}」${footer}`;
         }
         
         return text;
     }
 
     /**
-     * XシェアURLを生成
+     * 評価を星の文字列に変換
+     * @param {number|null} rating - 1〜5の評価
+     * @returns {string} 星の文字列（未評価の場合は空文字）
+     */
+    formatRating(rating) {
+        if (!Number.isInteger(rating) || rating < 1 || rating > 5) {
+            return '';
+        }
+        return '★'.repeat(rating) + '☆'.repeat(5 - rating);
+    }
+
+    /**
+     * シェアURLを生成
      * @param {string} text - シェアするテキスト
+     * @param {string} platform - シェア先のサービスID
      * @returns {string} 生成されたURL
      */
-    generateShareUrl(text) {
+    generateShareUrl(text, platform = 'x') {
         try {
             // テキストの検証
             if (!text || typeof text !== 'string') {
                 throw new Error('無効なテキストです');
             }
 
-            // 文字数制限チェック
-            if (text.length > this.maxTweetLength) {
-                throw new Error(`テキストが長すぎます（${text.length}文字 > ${this.maxTweetLength}文字）`);
+            // 文字数制限チェック（シェア先の数え方での文字数）
+            const { shareBaseUrl, maxLength, maxUrlLength } = this.getPlatform(platform);
+            const textLength = this.getTextLength(text, platform);
+            if (textLength > maxLength) {
+                throw new Error(`テキストが長すぎます（${textLength}文字 > ${maxLength}文字）`);
             }
 
             const encodedText = encodeURIComponent(text);
-            const url = `${this.xShareBaseUrl}?text=${encodedText}`;
+            const url = `${shareBaseUrl}?text=${encodedText}`;
             
-            // URL長さの検証（一般的なURL長さ制限）
-            if (url.length > 2048) {
+            // URL長さの検証（シェア先ごとのURL長さ制限）
+            if (url.length > maxUrlLength) {
                 throw new Error('生成されたURLが長すぎます');
             }
             
@@ -113,17 +756,18 @@ class ShareManager {
     }
 
     /**
-     * 新しいタブでXシェア画面を開く
+     * 新しいタブでシェア画面を開く
      * @param {string} url - シェアURL
+     * @param {string} platform - シェア先のサービスID
      * @returns {Promise<Object>} シェア結果
      */
-    async openSharePopup(url) {
+    async openSharePopup(url, platform = 'x') {
         try {
             // ポップアップウィンドウのオプション
             const windowFeatures = 'width=600,height=400,scrollbars=yes,resizable=yes,toolbar=no,menubar=no';
             
             // 新しいウィンドウを開く
-            const popup = window.open(url, 'xshare', windowFeatures);
+            const popup = window.open(url, this.getPlatform(platform).windowName, windowFeatures);
             
             // ポップアップブロック検出
             const isBlocked = await this.detectPopupBlock(popup);
@@ -181,25 +825,92 @@ class ShareManager {
     }
 
     /**
-     * 読書宣言をXにシェア
+     * モバイル端末かどうかを判定
+     * iPadOSはMacとして報告されるため、タッチ操作に対応しているかで判定する
+     * @param {Navigator|null} nav - 判定に使うnavigator
+     * @returns {boolean} モバイル端末の場合true
+     */
+    isMobileDevice(nav = typeof navigator !== 'undefined' ? navigator : null) {
+        if (!nav) {
+            return false;
+        }
+        if (nav.userAgentData && typeof nav.userAgentData.mobile === 'boolean' && nav.userAgentData.mobile) {
+            return true;
+        }
+        return /Android|iPhone|iPad|iPod|Mobile/i.test(nav.userAgent || '')
+            || (nav.platform === 'MacIntel' && nav.maxTouchPoints > 1);
+    }
+
+    /**
+     * Web Share APIでシェアできるかを判定（モバイル端末でnavigator.shareに対応している場合のみ）
+     * @param {string} text - シェアするテキスト
+     * @param {Navigator|null} nav - 判定に使うnavigator
+     * @returns {boolean} Web Share APIを使う場合true
+     */
+    canUseWebShare(text, nav = typeof navigator !== 'undefined' ? navigator : null) {
+        if (!nav || typeof nav.share !== 'function' || !this.isMobileDevice(nav)) {
+            return false;
+        }
+        try {
+            return typeof nav.canShare !== 'function' || nav.canShare({ text: text });
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Web Share APIの共有シートでシェア（インストール済みのアプリを選べる）
+     * @param {string} text - シェアするテキスト
+     * @returns {Promise<Object>} シェア結果
+     */
+    async shareWithWebShareApi(text) {
+        try {
+            await navigator.share({ text: text });
+            return {
+                success: true
+            };
+        } catch (error) {
+            // 共有シートを閉じた場合はAbortErrorになる
+            if (error && error.name === 'AbortError') {
+                return {
+                    success: false,
+                    error: '共有をキャンセルしました',
+                    errorType: 'SHARE_CANCELLED'
+                };
+            }
+
+            console.error('Web Share APIエラー:', error);
+            return {
+                success: false,
+                error: error && error.message ? error.message : String(error),
+                errorType: 'WEB_SHARE_FAILED'
+            };
+        }
+    }
+
+    /**
+     * 読書宣言をシェア
      * @param {string} bookTitle - 書籍タイトル
      * @param {string} author - 著者名（オプション）
+     * @param {Object} options - 総ページ数・シェア先（generateDeclarationTextのオプション）
      * @returns {Promise<Object>} シェア結果
      */
-    async shareDeclaration(bookTitle, author = '') {
+    async shareDeclaration(bookTitle, author = '', options = {}) {
+        const platform = options.platform || this.getSharePlatform();
         try {
-            const text = this.generateDeclarationText(bookTitle, author);
-            return await this.executeShareWithErrorHandling(text, 'declaration');
+            const text = this.generateDeclarationText(bookTitle, author, { ...options, platform });
+            return await this.executeShareWithErrorHandling(text, 'declaration', platform);
         } catch (error) {
             console.error('読書宣言シェアエラー:', error);
             
             // 最後の手段としてマニュアル投稿オプションを提供
-            const text = this.generateDeclarationText(bookTitle, author);
-            const manualResult = await this.provideManualPostingOption(text);
+            const text = this.generateDeclarationText(bookTitle, author, { ...options, platform });
+            const manualResult = await this.provideManualPostingOption(text, platform);
             
             return {
                 success: false,
                 method: 'manual',
+                platform: platform,
                 text: text,
                 error: error.message,
                 errorType: 'CRITICAL_ERROR',
@@ -209,25 +920,60 @@ class ShareManager {
     }
 
     /**
-     * 読了報告をXにシェア
+     * 読了報告をシェア
      * @param {string} bookTitle - 書籍タイトル
      * @param {string} author - 著者名（オプション）
+     * @param {Object} options - 評価・感想・日数・総ページ数・シェア先（generateCompletionTextのオプション）
      * @returns {Promise<Object>} シェア結果
      */
-    async shareCompletion(bookTitle, author = '') {
+    async shareCompletion(bookTitle, author = '', options = {}) {
+        const platform = options.platform || this.getSharePlatform();
         try {
-            const text = this.generateCompletionText(bookTitle, author);
-            return await this.executeShareWithErrorHandling(text, 'completion');
+            const text = this.generateCompletionText(bookTitle, author, { ...options, platform });
+            return await this.executeShareWithErrorHandling(text, 'completion', platform);
         } catch (error) {
             console.error('読了報告シェアエラー:', error);
             
             // 最後の手段としてマニュアル投稿オプションを提供
-            const text = this.generateCompletionText(bookTitle, author);
-            const manualResult = await this.provideManualPostingOption(text);
+            const text = this.generateCompletionText(bookTitle, author, { ...options, platform });
+            const manualResult = await this.provideManualPostingOption(text, platform);
             
             return {
                 success: false,
                 method: 'manual',
+                platform: platform,
+                text: text,
+                error: error.message,
+                errorType: 'CRITICAL_ERROR',
+                manualOption: manualResult
+            };
+        }
+    }
+
+    /**
+     * 引用をシェア
+     * @param {string} quote - 引用文
+     * @param {string} bookTitle - 書籍タイトル
+     * @param {string} author - 著者名（オプション）
+     * @param {number|null} page - ページ番号（オプション）
+     * @param {string} platform - シェア先のサービスID（省略時は保存されているシェア先）
+     * @returns {Promise<Object>} シェア結果
+     */
+    async shareQuote(quote, bookTitle, author = '', page = null, platform = this.getSharePlatform()) {
+        try {
+            const text = this.generateQuoteText(quote, bookTitle, author, page, platform);
+            return await this.executeShareWithErrorHandling(text, 'quote', platform);
+        } catch (error) {
+            console.error('引用シェアエラー:', error);
+            
+            // 最後の手段としてマニュアル投稿オプションを提供
+            const text = this.generateQuoteText(quote, bookTitle, author, page, platform);
+            const manualResult = await this.provideManualPostingOption(text, platform);
+            
+            return {
+                success: false,
+                method: 'manual',
+                platform: platform,
                 text: text,
                 error: error.message,
                 errorType: 'CRITICAL_ERROR',
@@ -271,32 +1017,44 @@ class ShareManager {
     /**
      * マニュアル投稿オプションを提供
      * @param {string} text - 投稿テキスト
+     * @param {string} platform - シェア先のサービスID
      * @returns {Promise<Object>} マニュアル投稿の結果
      */
-    async provideManualPostingOption(text) {
+    async provideManualPostingOption(text, platform = 'x') {
+        let config;
+        try {
+            config = this.getPlatform(platform);
+        } catch (error) {
+            config = this.getPlatform('x');
+        }
+        const { label, composeUrl } = config;
+
         try {
             // クリップボードにコピーを試行
             const copied = await this.copyToClipboard(text);
             
-            // Xの投稿ページを新しいタブで開く
-            const xUrl = 'https://x.com/compose/post';
-            window.open(xUrl, '_blank');
+            // シェア先の投稿ページを新しいタブで開く
+            window.open(composeUrl, '_blank');
             
             return {
                 success: true,
                 copied: copied,
                 message: copied 
-                    ? 'テキストをクリップボードにコピーしました。Xの投稿画面に貼り付けてください。'
-                    : 'Xの投稿画面を開きました。以下のテキストをコピーして貼り付けてください。',
-                text: text
+                    ? `テキストをクリップボードにコピーしました。${label}の投稿画面に貼り付けてください。`
+                    : `${label}の投稿画面を開きました。以下のテキストをコピーして貼り付けてください。`,
+                text: text,
+                platformLabel: label,
+                composeUrl: composeUrl
             };
         } catch (error) {
             console.error('マニュアル投稿オプションエラー:', error);
             return {
                 success: false,
                 copied: false,
-                message: '手動投稿の準備に失敗しました。以下のテキストを手動でコピーしてXに投稿してください。',
+                message: `手動投稿の準備に失敗しました。以下のテキストを手動でコピーして${label}に投稿してください。`,
                 text: text,
+                platformLabel: label,
+                composeUrl: composeUrl,
                 error: error.message
             };
         }
@@ -304,32 +1062,61 @@ class ShareManager {
 
     /**
      * エラーハンドリング付きシェア実行
+     * モバイル端末ではWeb Share APIを使い、使えない場合や失敗した場合はシェア先の投稿画面を開く
      * @param {string} text - シェアするテキスト
-     * @param {string} shareType - シェアタイプ（'declaration' または 'completion'）
+     * @param {string} shareType - シェアタイプ（'declaration'、'completion' または 'quote'）
+     * @param {string} platform - シェア先のサービスID
      * @returns {Promise<Object>} シェア結果
      */
-    async executeShareWithErrorHandling(text, shareType = 'declaration') {
+    async executeShareWithErrorHandling(text, shareType = 'declaration', platform = 'x') {
+        if (this.canUseWebShare(text)) {
+            const webShareResult = await this.shareWithWebShareApi(text);
+
+            if (webShareResult.success) {
+                return {
+                    success: true,
+                    method: 'webshare',
+                    platform: platform,
+                    text: text
+                };
+            }
+
+            // 利用者が共有シートを閉じた場合は投稿画面を開かない
+            if (webShareResult.errorType === 'SHARE_CANCELLED') {
+                return {
+                    success: false,
+                    method: 'webshare',
+                    platform: platform,
+                    text: text,
+                    error: webShareResult.error,
+                    errorType: webShareResult.errorType
+                };
+            }
+        }
+
         try {
             // URL生成を試行
-            const url = this.generateShareUrl(text);
+            const url = this.generateShareUrl(text, platform);
             
             // ポップアップでシェアを試行
-            const popupResult = await this.openSharePopup(url);
+            const popupResult = await this.openSharePopup(url, platform);
             
             if (popupResult.success) {
                 return {
                     success: true,
                     method: 'popup',
+                    platform: platform,
                     text: text,
                     url: url
                 };
             } else {
                 // ポップアップが失敗した場合はマニュアル投稿オプションを提供
-                const manualResult = await this.provideManualPostingOption(text);
+                const manualResult = await this.provideManualPostingOption(text, platform);
                 
                 return {
                     success: false,
                     method: 'manual',
+                    platform: platform,
                     text: text,
                     error: popupResult.error,
                     errorType: popupResult.errorType,
@@ -340,11 +1127,12 @@ class ShareManager {
             console.error(`${shareType}シェアエラー:`, error);
             
             // URL生成エラーの場合もマニュアル投稿オプションを提供
-            const manualResult = await this.provideManualPostingOption(text);
+            const manualResult = await this.provideManualPostingOption(text, platform);
             
             return {
                 success: false,
                 method: 'manual',
+                platform: platform,
                 text: text,
                 error: error.message,
                 errorType: 'URL_GENERATION_ERROR',
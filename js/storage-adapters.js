@@ -0,0 +1,581 @@
+/**
+ * StorageAdapter - タスクの保存先を抽象化するインターフェース
+ * StorageManagerは同期APIを提供するため、アダプターは読み込み済みのタスクを同期的に返し、
+ * 書き込みはPromiseで完了を通知する（同期的に検出できる失敗は例外として投げる）
+ */
+class StorageAdapter {
+    /**
+     * 保存先を初期化し、既存のタスクを読み込む
+     * @returns {Promise<void>}
+     */
+    async init() {
+        throw new Error('init()が実装されていません');
+    }
+
+    /**
+     * 他のタブでの変更を反映するため、保存先から読み込み直す
+     * @returns {Promise<void>}
+     */
+    reload() {
+        throw new Error('reload()が実装されていません');
+    }
+
+    /**
+     * 保存されている全てのタスクを取得
+     * @returns {Array<Object>} タスクデータの配列
+     */
+    getAll() {
+        throw new Error('getAll()が実装されていません');
+    }
+
+    /**
+     * タスクを1件保存（同じIDがあれば置き換え）
+     * @param {Object} task - 保存するタスクデータ
+     * @returns {Promise<void>}
+     */
+    put(task) {
+        throw new Error('put()が実装されていません');
+    }
+
+    /**
+     * 複数のタスクをまとめて保存（同じIDがあれば置き換え、他のタスクはそのまま）
+     * @param {Array<Object>} tasks - 保存するタスクデータの配列
+     * @returns {Promise<void>}
+     */
+    putMany(tasks) {
+        throw new Error('putMany()が実装されていません');
+    }
+
+    /**
+     * 全てのタスクを置き換え
+     * @param {Array<Object>} tasks - 保存するタスクデータの配列
+     * @returns {Promise<void>}
+     */
+    replaceAll(tasks) {
+        throw new Error('replaceAll()が実装されていません');
+    }
+
+    /**
+     * タスクを1件削除
+     * @param {string} taskId - 削除するタスクのID
+     * @returns {Promise<void>}
+     */
+    remove(taskId) {
+        throw new Error('remove()が実装されていません');
+    }
+
+    /**
+     * 全てのタスクを削除
+     * @returns {Promise<void>}
+     */
+    clear() {
+        throw new Error('clear()が実装されていません');
+    }
+
+    /**
+     * 保存データのスキーマバージョンを取得
+     * @returns {number|null} スキーマバージョン（データがない場合null、バージョン導入前のデータは1）
+     */
+    getVersion() {
+        throw new Error('getVersion()が実装されていません');
+    }
+
+    /**
+     * 保存データのスキーマバージョンを設定
+     * @param {number} version - スキーマバージョン
+     * @returns {Promise<void>}
+     */
+    setVersion(version) {
+        throw new Error('setVersion()が実装されていません');
+    }
+
+    /**
+     * マイグレーション失敗時のバックアップを保存
+     * @param {Object} backup - バックアップ（version, createdAt, error, tasks）
+     * @returns {Promise<void>}
+     */
+    saveBackup(backup) {
+        throw new Error('saveBackup()が実装されていません');
+    }
+
+    /**
+     * 保存先の種類を取得
+     * @returns {string} 保存先の種類
+     */
+    getType() {
+        throw new Error('getType()が実装されていません');
+    }
+
+    /**
+     * 保存先が永続的に利用可能かどうか
+     * @returns {boolean} 利用可能な場合true
+     */
+    isAvailable() {
+        return true;
+    }
+}
+
+/**
+ * LocalStorageAdapter - localStorage（利用できない場合はsessionStorage）への保存
+ * 全タスクを1つのJSON（{ version, tasks }の形式）として保存する。
+ * バージョン導入前に保存されたタスクの配列もそのまま読み込める
+ */
+class LocalStorageAdapter extends StorageAdapter {
+    /**
+     * @param {string} storageKey - 保存に使用するキー
+     */
+    constructor(storageKey = 'reading-tasks') {
+        super();
+        this.storageKey = storageKey;
+        this.fallbackToSession = false;
+
+        // 読み書きのたびにJSONを解析しないよう、読み込んだ保存データを保持（未読み込みの場合undefined）
+        this.payload = undefined;
+    }
+
+    /**
+     * localStorageは同期的に読み書きできるため初期化処理は不要
+     * @returns {Promise<void>}
+     */
+    async init() {
+        this.getStorage();
+        this.payload = undefined;
+    }
+
+    /**
+     * 保持している保存データを破棄し、次回の参照時に読み込み直す
+     * 他のタブでの変更（storageイベント）を受け取った場合に呼び出す
+     * @returns {Promise<void>}
+     */
+    reload() {
+        this.payload = undefined;
+        return Promise.resolve();
+    }
+
+    /**
+     * ローカルストレージが利用可能かチェック
+     * @returns {boolean} 利用可能な場合true
+     */
+    isAvailable() {
+        try {
+            const test = '__storage_test__';
+            localStorage.setItem(test, test);
+            localStorage.removeItem(test);
+            return true;
+        } catch (e) {
+            return false;
+        }
+    }
+
+    /**
+     * 使用するストレージを取得（ローカルストレージまたはセッションストレージ）
+     * @returns {Storage} ストレージオブジェクト
+     */
+    getStorage() {
+        if (this.isAvailable()) {
+            return localStorage;
+        } else {
+            this.fallbackToSession = true;
+            return sessionStorage;
+        }
+    }
+
+    /**
+     * 保存されている全てのタスクを取得
+     * @returns {Array<Object>} タスクデータの配列
+     */
+    getAll() {
+        const payload = this.readPayload();
+        return payload ? [...payload.tasks] : [];
+    }
+
+    /**
+     * 保存データを{ version, tasks }の形式で取得（未読み込みの場合のみ読み込む）
+     * @returns {Object|null} 保存データ、データがない場合null
+     */
+    readPayload() {
+        if (this.payload === undefined) {
+            this.payload = this.parsePayload();
+        }
+        return this.payload;
+    }
+
+    /**
+     * 保存されているデータを読み込み、{ version, tasks }の形式に変換
+     * @returns {Object|null} 保存データ、データがない場合null
+     */
+    parsePayload() {
+        const tasksJson = this.getStorage().getItem(this.storageKey);
+        if (!tasksJson) {
+            return null;
+        }
+
+        const payload = JSON.parse(tasksJson);
+
+        // バージョン導入前はタスクの配列をそのまま保存していた
+        if (Array.isArray(payload)) {
+            return { version: 1, tasks: payload };
+        }
+
+        return {
+            version: payload.version,
+            tasks: Array.isArray(payload.tasks) ? payload.tasks : []
+        };
+    }
+
+    /**
+     * { version, tasks }の形式で保存
+     * @param {number|null} version - スキーマバージョン
+     * @param {Array<Object>} tasks - タスクデータの配列
+     */
+    writePayload(version, tasks) {
+        this.getStorage().setItem(this.storageKey, JSON.stringify({ version, tasks }));
+        this.payload = { version, tasks: [...tasks] };
+    }
+
+    /**
+     * タスクを1件保存
+     * @param {Object} task - 保存するタスクデータ
+     * @returns {Promise<void>}
+     */
+    put(task) {
+        return this.putMany([task]);
+    }
+
+    /**
+     * 複数のタスクをまとめて保存（書き込みは1回）
+     * @param {Array<Object>} tasks - 保存するタスクデータの配列
+     * @returns {Promise<void>}
+     */
+    putMany(tasks) {
+        const tasksById = new Map(this.getAll().map(task => [task.id, task]));
+        tasks.forEach(task => tasksById.set(task.id, task));
+
+        return this.replaceAll(Array.from(tasksById.values()));
+    }
+
+    /**
+     * 全てのタスクを置き換え
+     * @param {Array<Object>} tasks - 保存するタスクデータの配列
+     * @returns {Promise<void>}
+     */
+    replaceAll(tasks) {
+        this.writePayload(this.getVersion(), tasks);
+        return Promise.resolve();
+    }
+
+    /**
+     * タスクを1件削除
+     * @param {string} taskId - 削除するタスクのID
+     * @returns {Promise<void>}
+     */
+    remove(taskId) {
+        return this.replaceAll(this.getAll().filter(t => t.id !== taskId));
+    }
+
+    /**
+     * 全てのタスクを削除
+     * @returns {Promise<void>}
+     */
+    clear() {
+        this.getStorage().removeItem(this.storageKey);
+        this.payload = null;
+        return Promise.resolve();
+    }
+
+    /**
+     * 保存データのスキーマバージョンを取得
+     * @returns {number|null} スキーマバージョン
+     */
+    getVersion() {
+        const payload = this.readPayload();
+        return payload && payload.version !== undefined ? payload.version : null;
+    }
+
+    /**
+     * 保存データのスキーマバージョンを設定
+     * @param {number} version - スキーマバージョン
+     * @returns {Promise<void>}
+     */
+    setVersion(version) {
+        this.writePayload(version, this.getAll());
+        return Promise.resolve();
+    }
+
+    /**
+     * マイグレーション失敗時のバックアップを別のキーに保存
+     * @param {Object} backup - バックアップ
+     * @returns {Promise<void>}
+     */
+    saveBackup(backup) {
+        this.getStorage().setItem(`${this.storageKey}-backup-v${backup.version}`, JSON.stringify(backup));
+        return Promise.resolve();
+    }
+
+    /**
+     * 保存先の種類を取得
+     * @returns {string} 'localStorage' または 'sessionStorage'
+     */
+    getType() {
+        return this.fallbackToSession ? 'sessionStorage' : 'localStorage';
+    }
+}
+
+/**
+ * IndexedDBStorageAdapter - IndexedDBへの保存
+ * タスクを1件ずつレコードとして保存し、変更したタスクだけを書き込む。
+ * 読み込みは初期化時にメモリへ展開した内容から同期的に返す
+ */
+class IndexedDBStorageAdapter extends StorageAdapter {
+    /**
+     * @param {Object} options - オプション
+     * @param {string} options.databaseName - データベース名
+     * @param {string} options.storeName - オブジェクトストア名
+     * @param {IDBFactory} options.indexedDB - 使用するIndexedDB（省略時はブラウザのindexedDB）
+     */
+    constructor(options = {}) {
+        super();
+        this.indexedDB = options.indexedDB || (typeof indexedDB !== 'undefined' ? indexedDB : null);
+        this.databaseName = options.databaseName || 'reading-declaration';
+        this.storeName = options.storeName || 'tasks';
+        this.metaStoreName = 'meta';
+        this.databaseVersion = 2;
+        this.db = null;
+        this.tasks = new Map();
+        this.schemaVersion = null;
+    }
+
+    /**
+     * IndexedDBが利用可能な環境かどうか
+     * @returns {boolean} 利用可能な場合true
+     */
+    static isSupported() {
+        return typeof indexedDB !== 'undefined' && indexedDB !== null;
+    }
+
+    /**
+     * データベースを開き、全てのタスクをメモリに読み込む
+     * @returns {Promise<void>}
+     */
+    async init() {
+        this.db = await this.openDatabase();
+        await this.reload();
+    }
+
+    /**
+     * 全てのタスクとスキーマバージョンをデータベースからメモリに読み込む
+     * @returns {Promise<void>}
+     */
+    async reload() {
+        const records = await this.request(this.getObjectStore('readonly').getAll());
+        this.tasks = new Map(records.map(task => [task.id, task]));
+
+        const versionRecord = await this.request(
+            this.db.transaction(this.metaStoreName, 'readonly').objectStore(this.metaStoreName).get('schemaVersion')
+        );
+        if (versionRecord) {
+            this.schemaVersion = versionRecord.value;
+        } else {
+            // バージョン記録がない既存データはバージョン導入前の形式とみなす
+            this.schemaVersion = this.tasks.size > 0 ? 1 : null;
+        }
+    }
+
+    /**
+     * データベースを開く（必要に応じてオブジェクトストアを作成）
+     * @returns {Promise<IDBDatabase>}
+     */
+    openDatabase() {
+        return new Promise((resolve, reject) => {
+            const openRequest = this.indexedDB.open(this.databaseName, this.databaseVersion);
+
+            openRequest.onupgradeneeded = () => {
+                const db = openRequest.result;
+                if (!db.objectStoreNames.contains(this.storeName)) {
+                    db.createObjectStore(this.storeName, { keyPath: 'id' });
+                }
+                // スキーマバージョンとバックアップの保存用
+                if (!db.objectStoreNames.contains(this.metaStoreName)) {
+                    db.createObjectStore(this.metaStoreName, { keyPath: 'key' });
+                }
+            };
+            openRequest.onsuccess = () => {
+                const db = openRequest.result;
+                // 他のタブでデータベースの更新が必要になった場合は接続を閉じて妨げない
+                db.onversionchange = () => db.close();
+                resolve(db);
+            };
+            openRequest.onerror = () => reject(openRequest.error);
+            openRequest.onblocked = () => reject(new Error('IndexedDBが他のタブで使用中のため開けません'));
+        });
+    }
+
+    /**
+     * オブジェクトストアを取得
+     * @param {string} mode - トランザクションのモード
+     * @returns {IDBObjectStore} オブジェクトストア
+     */
+    getObjectStore(mode) {
+        return this.createTransaction(mode).objectStore(this.storeName);
+    }
+
+    /**
+     * トランザクションを作成
+     * @param {string} mode - トランザクションのモード
+     * @param {string} storeName - オブジェクトストア名
+     * @returns {IDBTransaction} トランザクション
+     */
+    createTransaction(mode, storeName = this.storeName) {
+        if (!this.db) {
+            throw new Error('IndexedDBが初期化されていません');
+        }
+        return this.db.transaction(storeName, mode);
+    }
+
+    /**
+     * IDBRequestをPromiseに変換
+     * @param {IDBRequest} idbRequest - リクエスト
+     * @returns {Promise<*>} リクエストの結果
+     */
+    request(idbRequest) {
+        return new Promise((resolve, reject) => {
+            idbRequest.onsuccess = () => resolve(idbRequest.result);
+            idbRequest.onerror = () => reject(idbRequest.error);
+        });
+    }
+
+    /**
+     * 書き込みトランザクションを実行し、完了を待つ
+     * トランザクションを作成できない場合は同期的に例外を投げる
+     * @param {Function} operation - オブジェクトストアを受け取る処理
+     * @param {string} storeName - 書き込むオブジェクトストア名
+     * @returns {Promise<void>}
+     */
+    write(operation, storeName = this.storeName) {
+        const transaction = this.createTransaction('readwrite', storeName);
+        return new Promise((resolve, reject) => {
+            operation(transaction.objectStore(storeName));
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error || new Error('トランザクションが中断されました'));
+        });
+    }
+
+    /**
+     * 保存されている全てのタスクを取得
+     * @returns {Array<Object>} タスクデータの配列
+     */
+    getAll() {
+        return Array.from(this.tasks.values());
+    }
+
+    /**
+     * タスクを1件保存
+     * @param {Object} task - 保存するタスクデータ
+     * @returns {Promise<void>}
+     */
+    put(task) {
+        const written = this.write(store => store.put(task));
+        this.tasks.set(task.id, task);
+        return written;
+    }
+
+    /**
+     * 複数のタスクを1つのトランザクションで保存（他のレコードは書き込まない）
+     * @param {Array<Object>} tasks - 保存するタスクデータの配列
+     * @returns {Promise<void>}
+     */
+    putMany(tasks) {
+        const written = this.write(store => {
+            tasks.forEach(task => store.put(task));
+        });
+        tasks.forEach(task => this.tasks.set(task.id, task));
+        return written;
+    }
+
+    /**
+     * 全てのタスクを置き換え
+     * @param {Array<Object>} tasks - 保存するタスクデータの配列
+     * @returns {Promise<void>}
+     */
+    replaceAll(tasks) {
+        const written = this.write(store => {
+            store.clear();
+            tasks.forEach(task => store.put(task));
+        });
+        this.tasks = new Map(tasks.map(task => [task.id, task]));
+        return written;
+    }
+
+    /**
+     * タスクを1件削除
+     * @param {string} taskId - 削除するタスクのID
+     * @returns {Promise<void>}
+     */
+    remove(taskId) {
+        const written = this.write(store => store.delete(taskId));
+        this.tasks.delete(taskId);
+        return written;
+    }
+
+    /**
+     * 全てのタスクを削除
+     * @returns {Promise<void>}
+     */
+    clear() {
+        const written = this.write(store => store.clear());
+        this.tasks.clear();
+        return written;
+    }
+
+    /**
+     * 保存データのスキーマバージョンを取得
+     * @returns {number|null} スキーマバージョン
+     */
+    getVersion() {
+        return this.schemaVersion;
+    }
+
+    /**
+     * 保存データのスキーマバージョンを設定
+     * @param {number} version - スキーマバージョン
+     * @returns {Promise<void>}
+     */
+    setVersion(version) {
+        const written = this.write(store => store.put({ key: 'schemaVersion', value: version }), this.metaStoreName);
+        this.schemaVersion = version;
+        return written;
+    }
+
+    /**
+     * マイグレーション失敗時のバックアップを保存
+     * @param {Object} backup - バックアップ
+     * @returns {Promise<void>}
+     */
+    saveBackup(backup) {
+        return this.write(store => store.put({ key: `backup-v${backup.version}`, value: backup }), this.metaStoreName);
+    }
+
+    /**
+     * 保存先の種類を取得
+     * @returns {string} 'indexedDB'
+     */
+    getType() {
+        return 'indexedDB';
+    }
+
+    /**
+     * データベースが開かれているかどうか
+     * @returns {boolean} 利用可能な場合true
+     */
+    isAvailable() {
+        return this.db !== null;
+    }
+}
+
+// Node.js環境でグローバルに公開
+if (typeof global !== 'undefined') {
+    global.StorageAdapter = StorageAdapter;
+    global.LocalStorageAdapter = LocalStorageAdapter;
+    global.IndexedDBStorageAdapter = IndexedDBStorageAdapter;
+}
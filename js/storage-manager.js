@@ -1,38 +1,398 @@
 /**
- * StorageManager - ローカルストレージの管理を行うクラス
- * ローカルストレージへの保存・読み込み・更新・削除機能を提供
+ * StorageManager - タスクの永続化を管理するクラス
+ * ストレージアダプター（IndexedDB・ローカルストレージ）を介した保存・読み込み・更新・削除機能を提供
  */
 class StorageManager {
-    constructor() {
+    /**
+     * @param {StorageAdapter|null} adapter - 使用するストレージアダプター（省略時はローカルストレージ）
+     */
+    constructor(adapter = null) {
         this.storageKey = 'reading-tasks';
-        this.fallbackToSession = false;
+        this.adapter = adapter || new LocalStorageAdapter(this.storageKey);
+        this.migrations = StorageManager.MIGRATIONS;
+
+        // 書き込みのたびに読み込まないよう、保存データのスキーマバージョンを保持（未読み込みの場合undefined）
+        this.schemaVersion = undefined;
+
+        // 非同期の書き込みに失敗した場合の通知先（アプリ側で設定）
+        this.onPersistError = null;
+
+        // 他のタブとの同期
+        this.syncChannelName = 'reading-tasks-sync';
+        this.syncChannel = null;
+        this.changeListeners = [];
+        this.storageEventHandler = null;
     }
 
     /**
-     * ローカルストレージが利用可能かチェック
-     * @returns {boolean} 利用可能な場合true
+     * 現在の保存データのスキーマバージョン
+     * @returns {number} スキーマバージョン
      */
-    isStorageAvailable() {
+    static get SCHEMA_VERSION() {
+        return 3;
+    }
+
+    /**
+     * スキーマのマイグレーション（バージョンの昇順）
+     * migrateは1つ前のバージョンのタスク配列を受け取り、versionの形式に変換して返す
+     * @returns {Array<Object>} マイグレーションの配列
+     */
+    static get MIGRATIONS() {
+        return [
+            {
+                version: 2,
+                description: '読書進捗・ステータス・読書記録などの項目を追加',
+                migrate: (tasks) => tasks.map(task => ({
+                    // 読みたい本以外は作成日時を開始日時とみなす
+                    startedAt: task.status === 'want-to-read' ? null : task.createdAt,
+                    pausedAt: null,
+                    abandonedAt: null,
+                    completedAt: null,
+                    totalPages: null,
+                    currentPage: 0,
+                    sessions: [],
+                    rating: null,
+                    review: '',
+                    notes: [],
+                    tags: [],
+                    reads: [],
+                    deletedAt: null,
+                    ...task
+                }))
+            },
+            {
+                version: 3,
+                description: 'シリーズ・ISBNの項目を追加',
+                migrate: (tasks) => tasks.map(task => ({
+                    series: '',
+                    seriesIndex: null,
+                    isbn: '',
+                    ...task
+                }))
+            }
+        ];
+    }
+
+    /**
+     * ストレージを初期化し、必要に応じてローカルストレージからデータを移行
+     * 初期化に失敗した場合はローカルストレージにフォールバックする
+     * @returns {Promise<void>}
+     */
+    async init() {
         try {
-            const test = '__storage_test__';
-            localStorage.setItem(test, test);
-            localStorage.removeItem(test);
+            await this.adapter.init();
+        } catch (error) {
+            console.error('ストレージの初期化に失敗しました。ローカルストレージを使用します:', error);
+            await this.fallbackToLocalStorage();
+            return;
+        }
+
+        await this.runMigrations();
+        await this.migrateFromLocalStorage();
+    }
+
+    /**
+     * 保存先をローカルストレージに切り替えて初期化
+     * @returns {Promise<boolean>} マイグレーション不要または成功時true
+     */
+    async fallbackToLocalStorage() {
+        this.adapter = new LocalStorageAdapter(this.storageKey);
+        await this.adapter.init();
+        return this.runMigrations();
+    }
+
+    /**
+     * 保存データのスキーマバージョンを取得
+     * @returns {number} スキーマバージョン（データがない場合は最新バージョン）
+     */
+    getStoredVersion() {
+        const version = this.getCachedVersion();
+        return version === null ? StorageManager.SCHEMA_VERSION : version;
+    }
+
+    /**
+     * 保持しているスキーマバージョンを取得（未読み込みの場合はストレージから読み込む）
+     * @returns {number|null} スキーマバージョン（データがない場合null）
+     */
+    getCachedVersion() {
+        if (this.schemaVersion === undefined) {
+            const version = this.adapter.getVersion();
+            this.schemaVersion = version === undefined ? null : version;
+        }
+        return this.schemaVersion;
+    }
+
+    /**
+     * タスク配列を指定バージョンから最新バージョンまで順にマイグレーション
+     * @param {Array<Object>} tasks - マイグレーションするタスクの配列
+     * @param {number} fromVersion - タスク配列のスキーマバージョン
+     * @returns {Object} { tasks, version }
+     */
+    migrateTasks(tasks, fromVersion) {
+        let migratedTasks = tasks;
+        let version = fromVersion;
+
+        for (const migration of this.migrations) {
+            if (migration.version <= version) continue;
+
+            try {
+                migratedTasks = migration.migrate(migratedTasks);
+            } catch (error) {
+                throw new Error(`スキーマv${migration.version}へのマイグレーションに失敗しました: ${error.message}`);
+            }
+
+            if (!Array.isArray(migratedTasks)) {
+                throw new Error(`スキーマv${migration.version}へのマイグレーション結果が不正です`);
+            }
+            version = migration.version;
+        }
+
+        return { tasks: migratedTasks, version };
+    }
+
+    /**
+     * 保存データを最新のスキーマにマイグレーションして保存
+     * 失敗した場合は元のデータを残したままバックアップを保存する
+     * @returns {Promise<boolean>} マイグレーション不要または成功時true
+     */
+    async runMigrations() {
+        // 初期化や保存先の切り替え後の内容から読み込み直す
+        this.schemaVersion = undefined;
+        const storedVersion = this.getStoredVersion();
+
+        if (storedVersion > StorageManager.SCHEMA_VERSION) {
+            console.warn(`保存データのスキーマ（v${storedVersion}）がアプリ（v${StorageManager.SCHEMA_VERSION}）より新しいため、変換せずに読み込みます`);
             return true;
-        } catch (e) {
+        }
+
+        if (storedVersion === StorageManager.SCHEMA_VERSION) {
+            return true;
+        }
+
+        const rawTasks = this.adapter.getAll();
+
+        try {
+            const { tasks, version } = this.migrateTasks(rawTasks, storedVersion);
+            await Promise.all([
+                this.adapter.replaceAll(tasks),
+                this.adapter.setVersion(version)
+            ]);
+            this.schemaVersion = version;
+            return true;
+        } catch (error) {
+            console.error('保存データのマイグレーションに失敗しました:', error);
+            await this.backupData(rawTasks, storedVersion, error);
             return false;
         }
     }
 
     /**
-     * 使用するストレージを取得（ローカルストレージまたはセッションストレージ）
-     * @returns {Storage} ストレージオブジェクト
+     * マイグレーション前のデータをバックアップとして保存
+     * @param {Array<Object>} tasks - バックアップするタスクの配列
+     * @param {number} version - タスク配列のスキーマバージョン
+     * @param {Error} error - マイグレーションのエラー
+     * @returns {Promise<boolean>} 保存成功時true
      */
-    getStorage() {
-        if (this.isStorageAvailable()) {
-            return localStorage;
-        } else {
-            this.fallbackToSession = true;
-            return sessionStorage;
+    async backupData(tasks, version, error) {
+        try {
+            await this.adapter.saveBackup({
+                version,
+                createdAt: new Date().toISOString(),
+                error: error.message,
+                tasks
+            });
+            console.warn(`マイグレーション前のデータ（v${version}）をバックアップしました`);
+            return true;
+        } catch (backupError) {
+            console.error('バックアップの保存に失敗しました:', backupError);
+            return false;
+        }
+    }
+
+    /**
+     * ローカルストレージに保存されている従来のデータを現在のアダプターへ移行
+     * 移行が完了したらローカルストレージのデータを削除する
+     * @returns {Promise<number>} 移行したタスクの件数
+     */
+    async migrateFromLocalStorage() {
+        if (this.adapter instanceof LocalStorageAdapter) {
+            return 0;
+        }
+
+        const legacyAdapter = new LocalStorageAdapter(this.storageKey);
+
+        try {
+            if (legacyAdapter.getAll().length === 0) {
+                return 0;
+            }
+
+            // 移行元のデータも最新のスキーマに変換してから取り込む
+            const legacyVersion = legacyAdapter.getVersion() || StorageManager.SCHEMA_VERSION;
+            const { tasks: legacyTasks } = this.migrateTasks(legacyAdapter.getAll(), legacyVersion);
+
+            // 既に移行先にあるタスクは上書きしない
+            const currentTasks = this.adapter.getAll();
+            const existingIds = new Set(currentTasks.map(task => task.id));
+            const tasksToMigrate = legacyTasks.filter(task => task && !existingIds.has(task.id));
+
+            await this.adapter.replaceAll([...currentTasks, ...tasksToMigrate]);
+            await this.adapter.setVersion(StorageManager.SCHEMA_VERSION);
+            this.schemaVersion = StorageManager.SCHEMA_VERSION;
+            await legacyAdapter.clear();
+            return tasksToMigrate.length;
+        } catch (error) {
+            // 移行に失敗した場合はローカルストレージのデータを残し、次回起動時に再試行する
+            console.error('ローカルストレージからの移行に失敗しました:', error);
+            return 0;
+        }
+    }
+
+    /**
+     * 他のタブでの変更の監視を開始
+     * IndexedDBの変更はBroadcastChannel、localStorageの変更はstorageイベントで受け取る
+     * @param {Function} listener - 変更時に呼び出す関数（変更されたタスクIDの配列、全体の場合null）
+     */
+    startSync(listener) {
+        this.changeListeners.push(listener);
+
+        if (this.syncChannel || this.storageEventHandler) {
+            return;
+        }
+
+        if (typeof BroadcastChannel !== 'undefined') {
+            this.syncChannel = new BroadcastChannel(this.syncChannelName);
+            this.syncChannel.onmessage = (event) => {
+                this.handleExternalChange(event.data);
+            };
+        }
+
+        if (typeof window !== 'undefined' && window.addEventListener) {
+            this.storageEventHandler = (event) => this.handleStorageEvent(event);
+            window.addEventListener('storage', this.storageEventHandler);
+        }
+    }
+
+    /**
+     * 他のタブでの変更の監視を停止
+     */
+    stopSync() {
+        if (this.syncChannel) {
+            this.syncChannel.close();
+            this.syncChannel = null;
+        }
+
+        if (this.storageEventHandler) {
+            window.removeEventListener('storage', this.storageEventHandler);
+            this.storageEventHandler = null;
+        }
+
+        this.changeListeners = [];
+    }
+
+    /**
+     * storageイベント（他のタブでのlocalStorageの変更）の処理
+     * アダプターが保持している内容を破棄してから通知する
+     * @param {StorageEvent} event - storageイベント
+     */
+    handleStorageEvent(event) {
+        if (!(this.adapter instanceof LocalStorageAdapter)) return;
+
+        // clear()の場合はkeyがnullになる
+        if (event.key !== this.storageKey && event.key !== null) return;
+
+        // 他のタブがスキーマバージョンを記録・更新した場合に備えて読み込み直す
+        this.adapter.reload();
+        this.schemaVersion = undefined;
+        this.notifyChangeListeners(null);
+    }
+
+    /**
+     * BroadcastChannelで受け取った他のタブでの変更の処理
+     * @param {Object} message - 変更内容（{ type, taskIds }）
+     * @returns {Promise<void>}
+     */
+    async handleExternalChange(message) {
+        if (!message || message.type !== 'tasks-changed') return;
+
+        // localStorageの変更はstorageイベントで受け取る
+        if (this.adapter instanceof LocalStorageAdapter) return;
+
+        try {
+            // 保存先の最新の内容を読み込み直して、他のタブの変更を取り込む
+            await this.adapter.reload();
+            this.schemaVersion = undefined;
+            this.notifyChangeListeners(message.taskIds || null);
+        } catch (error) {
+            console.error('他のタブでの変更の読み込みに失敗しました:', error);
+        }
+    }
+
+    /**
+     * 他のタブに変更を通知
+     * @param {Array<string>|null} taskIds - 変更されたタスクID（全体の場合null）
+     */
+    broadcastChange(taskIds) {
+        if (!this.syncChannel) return;
+
+        try {
+            this.syncChannel.postMessage({ type: 'tasks-changed', taskIds });
+        } catch (error) {
+            console.error('他のタブへの変更の通知に失敗しました:', error);
+        }
+    }
+
+    /**
+     * 変更の監視者に通知
+     * @param {Array<string>|null} taskIds - 変更されたタスクID（全体の場合null）
+     */
+    notifyChangeListeners(taskIds) {
+        this.changeListeners.forEach(listener => {
+            try {
+                listener(taskIds);
+            } catch (error) {
+                console.error('変更の通知処理でエラーが発生しました:', error);
+            }
+        });
+    }
+
+    /**
+     * ストレージが利用可能かチェック
+     * @returns {boolean} 利用可能な場合true
+     */
+    isStorageAvailable() {
+        return this.adapter.isAvailable();
+    }
+
+    /**
+     * アダプターへの書き込みを実行
+     * 同期的な失敗はfalseを返し、非同期の失敗はonPersistErrorで通知する。
+     * 書き込みが完了したら他のタブに変更を通知する
+     * @param {Function} operation - アダプターの書き込み処理（Promiseを返す）
+     * @param {Array<string>|null} taskIds - 変更するタスクID（全体の場合null）
+     * @returns {boolean} 書き込みを開始できた場合true
+     */
+    persist(operation, taskIds = null) {
+        const handleError = (error) => {
+            console.error('ストレージへの書き込みに失敗しました:', error);
+            if (this.onPersistError) {
+                this.onPersistError(error);
+            }
+        };
+
+        try {
+            operation()
+                .then(() => this.broadcastChange(taskIds))
+                .catch(handleError);
+
+            // 新規に作成したデータには最新のスキーマバージョンを記録
+            if (this.getCachedVersion() === null) {
+                this.schemaVersion = StorageManager.SCHEMA_VERSION;
+                this.adapter.setVersion(StorageManager.SCHEMA_VERSION).catch(handleError);
+            }
+            return true;
+        } catch (error) {
+            console.error('タスクの保存に失敗しました:', error);
+            return false;
         }
     }
 
@@ -42,20 +402,41 @@ class StorageManager {
      */
     loadTasks() {
         try {
-            const storage = this.getStorage();
-            const tasksJson = storage.getItem(this.storageKey);
-            
-            if (!tasksJson) {
-                return [];
-            }
+            const storedVersion = this.getStoredVersion();
+            let tasks = this.adapter.getAll();
 
-            const tasks = JSON.parse(tasksJson);
+            // init()前や、マイグレーションに失敗した場合もメモリ上で最新の形式に変換する
+            if (storedVersion < StorageManager.SCHEMA_VERSION) {
+                try {
+                    tasks = this.migrateTasks(tasks, storedVersion).tasks;
+                } catch (error) {
+                    console.error('保存データを変換せずに読み込みます:', error);
+                }
+            }
             
             // 日付文字列をDateオブジェクトに変換
             return tasks.map(task => ({
                 ...task,
                 createdAt: new Date(task.createdAt),
-                completedAt: task.completedAt ? new Date(task.completedAt) : null
+                startedAt: task.startedAt ? new Date(task.startedAt) : null,
+                pausedAt: task.pausedAt ? new Date(task.pausedAt) : null,
+                abandonedAt: task.abandonedAt ? new Date(task.abandonedAt) : null,
+                completedAt: task.completedAt ? new Date(task.completedAt) : null,
+                deletedAt: task.deletedAt ? new Date(task.deletedAt) : null,
+                sessions: (task.sessions || []).map(session => ({
+                    ...session,
+                    startedAt: new Date(session.startedAt),
+                    endedAt: session.endedAt ? new Date(session.endedAt) : null
+                })),
+                reads: (task.reads || []).map(read => ({
+                    ...read,
+                    startedAt: new Date(read.startedAt),
+                    completedAt: read.completedAt ? new Date(read.completedAt) : null
+                })),
+                notes: (task.notes || []).map(note => ({
+                    ...note,
+                    createdAt: new Date(note.createdAt)
+                }))
             }));
         } catch (error) {
             console.error('タスクの読み込みに失敗しました:', error);
@@ -69,15 +450,26 @@ class StorageManager {
      * @returns {boolean} 保存成功時true
      */
     saveTasks(tasks) {
-        try {
-            const storage = this.getStorage();
-            const tasksJson = JSON.stringify(tasks);
-            storage.setItem(this.storageKey, tasksJson);
-            return true;
-        } catch (error) {
-            console.error('タスクの保存に失敗しました:', error);
+        return this.persist(() => this.adapter.replaceAll(tasks));
+    }
+
+    /**
+     * 複数のタスクを検証してまとめて保存（既存のタスクは書き換えない）
+     * 1件でも不正なタスクがあれば何も保存しない
+     * @param {Array<Object>} tasks - 保存するタスクの配列
+     * @returns {boolean} 保存成功時true
+     */
+    saveTaskBatch(tasks) {
+        // セキュリティ: タスクデータを検証
+        const invalidTask = tasks.find(task => !this.validateTaskData(task));
+        if (invalidTask) {
+            console.error('無効なタスクデータです:', invalidTask);
             return false;
         }
+
+        const sanitizedTasks = tasks.map(task => this.sanitizeTaskData(task));
+
+        return this.persist(() => this.adapter.putMany(sanitizedTasks), sanitizedTasks.map(task => task.id));
     }
 
     /**
@@ -92,19 +484,11 @@ class StorageManager {
             return false;
         }
 
-        const tasks = this.loadTasks();
-        const existingIndex = tasks.findIndex(t => t.id === task.id);
-        
         // タスクデータをサニタイズ
         const sanitizedTask = this.sanitizeTaskData(task);
         
-        if (existingIndex >= 0) {
-            tasks[existingIndex] = sanitizedTask;
-        } else {
-            tasks.push(sanitizedTask);
-        }
-        
-        return this.saveTasks(tasks);
+        // 変更したタスクのみ書き込む
+        return this.persist(() => this.adapter.put(sanitizedTask), [sanitizedTask.id]);
     }
 
     /**
@@ -114,16 +498,14 @@ class StorageManager {
      * @returns {boolean} 更新成功時true
      */
     updateTask(taskId, updates) {
-        const tasks = this.loadTasks();
-        const taskIndex = tasks.findIndex(t => t.id === taskId);
+        const task = this.findStoredTask(taskId);
         
-        if (taskIndex === -1) {
+        if (!task) {
             console.error('更新対象のタスクが見つかりません:', taskId);
             return false;
         }
         
-        tasks[taskIndex] = { ...tasks[taskIndex], ...updates };
-        return this.saveTasks(tasks);
+        return this.persist(() => this.adapter.put({ ...task, ...updates }), [taskId]);
     }
 
     /**
@@ -132,99 +514,291 @@ class StorageManager {
      * @returns {boolean} 削除成功時true
      */
     deleteTask(taskId) {
-        const tasks = this.loadTasks();
-        const filteredTasks = tasks.filter(t => t.id !== taskId);
-        
-        if (filteredTasks.length === tasks.length) {
+        if (!this.findStoredTask(taskId)) {
             console.error('削除対象のタスクが見つかりません:', taskId);
             return false;
         }
         
-        return this.saveTasks(filteredTasks);
+        return this.persist(() => this.adapter.remove(taskId), [taskId]);
     }
 
     /**
-     * 全てのタスクを削除
-     * @returns {boolean} 削除成功時true
+     * 保存されているタスクデータをIDで検索
+     * @param {string} taskId - タスクID
+     * @returns {Object|null} 保存されているタスクデータ、見つからない場合はnull
      */
-    clearAllTasks() {
+    findStoredTask(taskId) {
         try {
-            const storage = this.getStorage();
-            storage.removeItem(this.storageKey);
-            return true;
+            return this.adapter.getAll().find(t => t.id === taskId) || null;
         } catch (error) {
-            console.error('全タスクの削除に失敗しました:', error);
-            return false;
+            console.error('タスクの読み込みに失敗しました:', error);
+            return null;
         }
     }
 
+    /**
+     * 全てのタスクを削除
+     * @returns {boolean} 削除成功時true
+     */
+    clearAllTasks() {
+        // 削除後にスキーマバージョンを記録し直す
+        this.schemaVersion = undefined;
+        return this.persist(() => this.adapter.clear());
+    }
+
     /**
      * ストレージの使用状況を取得
      * @returns {Object} 使用状況の情報
      */
     getStorageInfo() {
-        const storage = this.getStorage();
         const tasks = this.loadTasks();
         
         return {
             taskCount: tasks.length,
-            storageType: this.fallbackToSession ? 'sessionStorage' : 'localStorage',
+            storageType: this.adapter.getType(),
             isAvailable: this.isStorageAvailable()
         };
     }
 
+    /**
+     * エクスポートファイルの形式名
+     * @returns {string} 形式名
+     */
+    static get EXPORT_FORMAT() {
+        return 'reading-declaration-library';
+    }
+
+    /**
+     * 全てのタスク（ゴミ箱を含む）をエクスポート用のデータにまとめる
+     * 保存されている項目をそのまま含めるため、今後追加される項目もエクスポートされる
+     * @returns {Object} { format, version, exportedAt, tasks }
+     */
+    exportLibrary() {
+        return {
+            format: StorageManager.EXPORT_FORMAT,
+            version: this.getStoredVersion(),
+            exportedAt: new Date().toISOString(),
+            tasks: this.adapter.getAll()
+        };
+    }
+
+    /**
+     * エクスポートデータを最新のスキーマに変換し、1件ずつ検証
+     * タスクの配列のみのデータはスキーマv1として扱う
+     * @param {Object|Array} data - JSONとして読み込んだエクスポートデータ
+     * 取り込むタスクは保存時と同じくsanitizeTaskDataで現在のスキーマの項目のみにする（どのスキーマにもない項目は取り込まない）
+     * @returns {Object} { tasks: 取り込めるタスクの配列, rejected: [{ index, bookTitle, reason }] }
+     * @throws {Error} ファイルの形式またはスキーマバージョンが不正な場合
+     */
+    parseLibraryImport(data) {
+        let rawTasks;
+        let version;
+
+        if (Array.isArray(data)) {
+            rawTasks = data;
+            version = 1;
+        } else if (data && data.format === StorageManager.EXPORT_FORMAT && Array.isArray(data.tasks)) {
+            rawTasks = data.tasks;
+            version = data.version;
+        } else {
+            throw new Error('読書記録のエクスポートファイルではありません');
+        }
+
+        if (!Number.isInteger(version) || version < 1) {
+            throw new Error('スキーマバージョンが不正です');
+        }
+
+        if (version > StorageManager.SCHEMA_VERSION) {
+            throw new Error(`新しいバージョンのアプリ（スキーマv${version}）で作成されたファイルのため読み込めません`);
+        }
+
+        // マイグレーションは各要素をオブジェクトとして扱うため、それ以外は先に除外する
+        const rejected = [];
+        const objects = [];
+        rawTasks.forEach((task, index) => {
+            if (task && typeof task === 'object' && !Array.isArray(task)) {
+                objects.push({ index, task });
+            } else {
+                rejected.push({ index, bookTitle: '', reason: 'タスクのデータではありません' });
+            }
+        });
+
+        const { tasks: migratedTasks } = this.migrateTasks(objects.map(entry => entry.task), version);
+
+        const tasks = [];
+        const seenIds = new Set();
+        migratedTasks.forEach((task, i) => {
+            // 同じIDのタスクがファイル内に複数ある場合は最初の1件のみ取り込む
+            const error = this.getTaskDataError(task) || (seenIds.has(task.id) ? 'ファイル内でIDが重複しています' : null);
+            if (error) {
+                rejected.push({
+                    index: objects[i].index,
+                    bookTitle: typeof task.bookTitle === 'string' ? task.bookTitle : '',
+                    reason: error
+                });
+                return;
+            }
+
+            seenIds.add(task.id);
+            tasks.push(this.sanitizeTaskData(task));
+        });
+
+        rejected.sort((a, b) => a.index - b.index);
+
+        return { tasks, rejected };
+    }
+
     /**
      * タスクデータの検証
      * @param {Object} task - 検証するタスク
      * @returns {boolean} 有効な場合true
      */
     validateTaskData(task) {
-        if (!task || typeof task !== 'object') {
-            return false;
+        return this.getTaskDataError(task) === null;
+    }
+
+    /**
+     * タスクデータを検証し、不正な理由を取得
+     * @param {Object} task - 検証するタスク
+     * @returns {string|null} 不正な理由（有効な場合はnull）
+     */
+    getTaskDataError(task) {
+        if (!task || typeof task !== 'object' || Array.isArray(task)) {
+            return 'タスクのデータではありません';
         }
 
         // 必須フィールドの確認
         const requiredFields = ['id', 'bookTitle', 'status', 'createdAt'];
         for (const field of requiredFields) {
             if (!(field in task)) {
-                return false;
+                return `必須項目（${field}）がありません`;
             }
         }
 
         // データ型の確認
         if (typeof task.id !== 'string' || task.id.length === 0) {
-            return false;
+            return 'IDが不正です';
         }
 
         if (typeof task.bookTitle !== 'string' || task.bookTitle.trim().length === 0) {
-            return false;
+            return 'タイトルが空です';
         }
 
-        if (!['active', 'completed'].includes(task.status)) {
-            return false;
+        if (!Task.STATUSES.includes(task.status)) {
+            return 'ステータスが不正です';
         }
 
         // 日付の確認
         if (!(task.createdAt instanceof Date) && typeof task.createdAt !== 'string') {
-            return false;
+            return '登録日が不正です';
+        }
+
+        if (isNaN(new Date(task.createdAt).getTime())) {
+            return '登録日が不正です';
         }
 
         if (task.completedAt !== null && 
             !(task.completedAt instanceof Date) && 
             typeof task.completedAt !== 'string') {
-            return false;
+            return '読了日が不正です';
         }
 
         // 文字列長の確認
         if (task.bookTitle.length > 100) {
-            return false;
+            return 'タイトルが100文字を超えています';
         }
 
         if (task.author && task.author.length > 50) {
+            return '著者名が50文字を超えています';
+        }
+
+        // シリーズ・ISBNの確認（任意項目）
+        if (task.series !== undefined &&
+            !TaskValidator.validateSeries(task.series, task.seriesIndex === undefined ? null : task.seriesIndex).isValid) {
+            return 'シリーズが不正です';
+        }
+
+        if (task.isbn && TaskValidator.normalizeIsbn(task.isbn) !== task.isbn) {
+            return 'ISBNが不正です';
+        }
+
+        // ページ数の確認（任意項目）
+        if (task.totalPages !== undefined && task.totalPages !== null &&
+            (!Number.isInteger(task.totalPages) || task.totalPages < 1)) {
+            return '総ページ数が不正です';
+        }
+
+        if (task.currentPage !== undefined &&
+            (!Number.isInteger(task.currentPage) || task.currentPage < 0)) {
+            return '現在のページが不正です';
+        }
+
+        // 評価の確認（任意項目）
+        if (task.rating !== undefined && task.rating !== null &&
+            (!Number.isInteger(task.rating) || task.rating < 1 || task.rating > 5)) {
+            return '評価が不正です';
+        }
+
+        if (task.review && task.review.length > 500) {
+            return '感想が500文字を超えています';
+        }
+
+        // タグの確認（任意項目）
+        if (task.tags !== undefined &&
+            (!Array.isArray(task.tags) || task.tags.some(tag => typeof tag !== 'string'))) {
+            return 'タグが不正です';
+        }
+
+        // 読書セッション・メモ・引用・過去の読書記録の確認（任意項目）
+        // サニタイズ時に各要素のidなどを参照するため、要素ごとに検証する
+        const nestedRecords = [
+            { field: 'sessions', label: '読書セッション', dateFields: ['startedAt', 'endedAt'] },
+            { field: 'notes', label: 'メモ・引用', dateFields: ['createdAt'], textField: 'text' },
+            { field: 'reads', label: '過去の読書記録', dateFields: ['startedAt', 'completedAt'] }
+        ];
+        for (const { field, label, dateFields, textField } of nestedRecords) {
+            if (task[field] === undefined) continue;
+
+            if (!Array.isArray(task[field])) {
+                return `${label}が配列ではありません`;
+            }
+
+            const invalidIndex = task[field].findIndex(record => !this.isValidNestedRecord(record, dateFields, textField));
+            if (invalidIndex !== -1) {
+                return `${label}の${invalidIndex + 1}件目が不正です`;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * 読書セッション・メモ・過去の読書記録の1件を検証
+     * @param {Object} record - 検証する要素
+     * @param {Array<string>} dateFields - 日付の項目（値がある場合のみ検証）
+     * @param {string} textField - 文字列であることが必要な項目（オプション）
+     * @returns {boolean} 有効な場合true
+     */
+    isValidNestedRecord(record, dateFields, textField = null) {
+        if (!record || typeof record !== 'object' || Array.isArray(record)) {
             return false;
         }
 
-        return true;
+        if (typeof record.id !== 'string' || record.id.length === 0) {
+            return false;
+        }
+
+        if (textField && typeof record[textField] !== 'string') {
+            return false;
+        }
+
+        return dateFields.every(field => {
+            const value = record[field];
+            if (value === undefined || value === null) {
+                return true;
+            }
+            return (value instanceof Date || typeof value === 'string') && !isNaN(new Date(value).getTime());
+        });
     }
 
     /**
@@ -237,14 +811,74 @@ class StorageManager {
             id: this.sanitizeString(task.id),
             bookTitle: this.sanitizeString(task.bookTitle),
             author: task.author ? this.sanitizeString(task.author) : '',
+            series: task.series ? this.sanitizeString(task.series) : '',
+            seriesIndex: task.series && typeof task.seriesIndex === 'number' ? task.seriesIndex : null,
+            isbn: task.isbn || '',
             status: task.status,
             createdAt: task.createdAt,
-            completedAt: task.completedAt || null
+            startedAt: task.startedAt || null,
+            pausedAt: task.pausedAt || null,
+            abandonedAt: task.abandonedAt || null,
+            completedAt: task.completedAt || null,
+            totalPages: task.totalPages || null,
+            currentPage: task.currentPage || 0,
+            sessions: (task.sessions || []).map(session => this.sanitizeSessionData(session)),
+            rating: task.rating || null,
+            review: task.review ? this.sanitizeMultilineString(task.review) : '',
+            notes: (task.notes || []).map(note => this.sanitizeNoteData(note)),
+            reads: (task.reads || []).map(read => this.sanitizeReadData(read)),
+            tags: (task.tags || []).map(tag => this.sanitizeString(tag)).filter(tag => tag.length > 0),
+            deletedAt: task.deletedAt || null
         };
 
         return sanitized;
     }
 
+    /**
+     * メモ・引用データのサニタイゼーション
+     * @param {Object} note - サニタイズするメモ
+     * @returns {Object} サニタイズされたメモ
+     */
+    sanitizeNoteData(note) {
+        return {
+            id: this.sanitizeString(note.id),
+            type: note.type === 'quote' ? 'quote' : 'note',
+            text: this.sanitizeMultilineString(note.text),
+            page: Number.isInteger(note.page) && note.page > 0 ? note.page : null,
+            createdAt: note.createdAt
+        };
+    }
+
+    /**
+     * 過去の読書記録のサニタイゼーション
+     * @param {Object} read - サニタイズする読書記録
+     * @returns {Object} サニタイズされた読書記録
+     */
+    sanitizeReadData(read) {
+        return {
+            id: this.sanitizeString(read.id),
+            startedAt: read.startedAt,
+            completedAt: read.completedAt || null,
+            rating: Number.isInteger(read.rating) && read.rating >= 1 && read.rating <= 5 ? read.rating : null,
+            review: read.review ? this.sanitizeMultilineString(read.review) : ''
+        };
+    }
+
+    /**
+     * 読書セッションデータのサニタイゼーション
+     * @param {Object} session - サニタイズするセッション
+     * @returns {Object} サニタイズされたセッション
+     */
+    sanitizeSessionData(session) {
+        return {
+            id: this.sanitizeString(session.id),
+            startedAt: session.startedAt,
+            endedAt: session.endedAt || null,
+            pagesRead: Number.isInteger(session.pagesRead) ? session.pagesRead : 0,
+            memo: session.memo ? this.sanitizeMultilineString(session.memo) : ''
+        };
+    }
+
     /**
      * 文字列のサニタイゼーション
      * @param {string} str - サニタイズする文字列
@@ -271,6 +905,25 @@ class StorageManager {
 
         return sanitized;
     }
+
+    /**
+     * 改行を含む文字列（感想・メモ・引用）のサニタイゼーション
+     * 入力時と同じく改行・タブ・空白はそのまま残す
+     * @param {string} str - サニタイズする文字列
+     * @returns {string} サニタイズされた文字列
+     */
+    sanitizeMultilineString(str) {
+        if (typeof str !== 'string') {
+            return '';
+        }
+
+        return str
+            // 改行とタブ以外の制御文字を削除
+            .replace(/[\x00-\x08\x0B\x0C\x0E-\x1F\x7F]/g, '')
+            // HTMLタグを削除
+            .replace(/<[^>]*>/g, '')
+            .trim();
+    }
 }
 
 // Node.js環境でグローバルに公開
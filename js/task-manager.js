@@ -28,9 +28,13 @@ class TaskManager {
      * 新しい読書タスクを追加
      * @param {string} bookTitle - 書籍タイトル
      * @param {string} author - 著者名（オプション）
+     * @param {Object} options - 追加オプション
+     * @param {number|null} options.totalPages - 総ページ数（オプション）
+     * @param {string} options.status - 初期ステータス（'active' または 'want-to-read'）
+     * @param {Array<string>} options.tags - タグ（オプション）
      * @returns {Object|null} 作成されたタスク、失敗時はnull
      */
-    addTask(bookTitle, author = '') {
+    addTask(bookTitle, author = '', options = {}) {
         try {
             // 入力データの準備とバリデーション
             const prepared = TaskValidator.prepareTaskData(bookTitle, author);
@@ -39,8 +43,26 @@ class TaskManager {
                 throw new Error(prepared.validation.errors.join(', '));
             }
 
+            const totalPages = options.totalPages || null;
+            const pagesValidation = TaskValidator.validateTotalPages(totalPages);
+            if (!pagesValidation.isValid) {
+                throw new Error(pagesValidation.errors.join(', '));
+            }
+
+            const status = options.status || 'active';
+            if (!['active', 'want-to-read'].includes(status)) {
+                throw new Error('無効な初期ステータスです');
+            }
+
+            const tags = this.prepareTags(options.tags || []);
+
             // Taskモデルを使用してタスクを作成
             const task = new Task(prepared.data.bookTitle, prepared.data.author);
+            task.setTotalPages(totalPages);
+            task.setTags(tags);
+            if (status === 'want-to-read') {
+                task.markAsWantToRead();
+            }
 
             // ストレージに保存
             const saved = this.storageManager.saveTask(task.toJSON());
@@ -58,12 +80,58 @@ class TaskManager {
         }
     }
 
+    /**
+     * タスクの書籍タイトルと著者名を変更
+     * IDと作成日時などの読書記録はそのまま保持する
+     * @param {string} taskId - 変更するタスクのID
+     * @param {string} bookTitle - 新しい書籍タイトル
+     * @param {string} author - 新しい著者名（オプション）
+     * @returns {Object|null} 更新されたタスクオブジェクトまたはnull
+     */
+    updateTaskInfo(taskId, bookTitle, author = '') {
+        try {
+            const taskData = this.getTask(taskId);
+            if (!taskData) {
+                throw new Error('指定されたタスクが見つかりません');
+            }
+
+            // 新規作成時と同じバリデーションを通す
+            const prepared = TaskValidator.prepareTaskData(bookTitle, author);
+            if (!prepared.validation.isValid) {
+                throw new Error(prepared.validation.errors.join(', '));
+            }
+
+            const task = Task.fromJSON(taskData);
+            task.updateBookInfo(prepared.data.bookTitle, prepared.data.author);
+            const updatedTaskData = task.toJSON();
+
+            const saved = this.storageManager.updateTask(taskId, {
+                bookTitle: updatedTaskData.bookTitle,
+                author: updatedTaskData.author
+            });
+
+            if (!saved) {
+                throw new Error('タスクの更新に失敗しました');
+            }
+
+            this.loadTasks();
+
+            return updatedTaskData;
+        } catch (error) {
+            if (this.enableLogging) console.error('タスク情報の更新に失敗しました:', error);
+            return null;
+        }
+    }
+
     /**
      * タスクを完了状態に変更
      * @param {string} taskId - 完了するタスクのID
+     * @param {Object} reviewData - 評価と感想（オプション）
+     * @param {number|null} reviewData.rating - 1〜5の評価
+     * @param {string} reviewData.review - 感想
      * @returns {Object|null} 更新されたタスク、失敗時はnull
      */
-    completeTask(taskId) {
+    completeTask(taskId, reviewData = {}) {
         try {
             const taskData = this.getTask(taskId);
             if (!taskData) {
@@ -74,31 +142,575 @@ class TaskManager {
                 throw new Error('このタスクは既に完了しています');
             }
 
+            if (!['active', 'paused'].includes(taskData.status)) {
+                throw new Error('読書中または中断中のタスクのみ完了できます');
+            }
+
+            const rating = reviewData.rating || null;
+            const review = reviewData.review || '';
+            const reviewValidation = TaskValidator.validateReview(rating, review);
+            if (!reviewValidation.isValid) {
+                throw new Error(reviewValidation.errors.join(', '));
+            }
+
             // TaskモデルからTaskインスタンスを作成して完了処理
             const task = Task.fromJSON(taskData);
             task.complete();
-            const updatedTaskData = task.toJSON();
+            task.setReview(rating, TaskValidator.sanitizeInput(review));
 
             // ストレージに保存
+            return this.saveStatusChange(task);
+        } catch (error) {
+            if (this.enableLogging) console.error('タスクの完了処理に失敗しました:', error);
+            return null;
+        }
+    }
+
+    /**
+     * 読みたい本の読書を開始
+     * @param {string} taskId - 開始するタスクのID
+     * @returns {Object|null} 更新されたタスク、失敗時はnull
+     */
+    startTask(taskId) {
+        try {
+            const task = this.getTaskForTransition(taskId, ['want-to-read'], '読みたい本のみ読書を開始できます');
+            task.start();
+            return this.saveStatusChange(task);
+        } catch (error) {
+            if (this.enableLogging) console.error('読書の開始に失敗しました:', error);
+            return null;
+        }
+    }
+
+    /**
+     * 読書を中断
+     * @param {string} taskId - 中断するタスクのID
+     * @returns {Object|null} 更新されたタスク、失敗時はnull
+     */
+    pauseTask(taskId) {
+        try {
+            const task = this.getTaskForTransition(taskId, ['active'], '読書中のタスクのみ中断できます');
+            task.pause();
+            return this.saveStatusChange(task);
+        } catch (error) {
+            if (this.enableLogging) console.error('読書の中断に失敗しました:', error);
+            return null;
+        }
+    }
+
+    /**
+     * 中断・中止した読書を再開
+     * @param {string} taskId - 再開するタスクのID
+     * @returns {Object|null} 更新されたタスク、失敗時はnull
+     */
+    resumeTask(taskId) {
+        try {
+            const task = this.getTaskForTransition(taskId, ['paused', 'abandoned'], '中断中または中止したタスクのみ再開できます');
+            task.resume();
+            return this.saveStatusChange(task);
+        } catch (error) {
+            if (this.enableLogging) console.error('読書の再開に失敗しました:', error);
+            return null;
+        }
+    }
+
+    /**
+     * 読書を中止（読むのをやめる）
+     * @param {string} taskId - 中止するタスクのID
+     * @returns {Object|null} 更新されたタスク、失敗時はnull
+     */
+    abandonTask(taskId) {
+        try {
+            const task = this.getTaskForTransition(taskId, ['want-to-read', 'active', 'paused'], 'このタスクは中止できません');
+            task.abandon();
+            return this.saveStatusChange(task);
+        } catch (error) {
+            if (this.enableLogging) console.error('読書の中止に失敗しました:', error);
+            return null;
+        }
+    }
+
+    /**
+     * 読了したタスクを読書中に戻す
+     * @param {string} taskId - 対象タスクのID
+     * @returns {Object|null} 更新されたタスク、失敗時はnull
+     */
+    reopenTask(taskId) {
+        try {
+            const task = this.getTaskForTransition(taskId, ['completed'], '読了済みのタスクのみ読書中に戻せます');
+            task.reopen();
+            return this.saveStatusChange(task);
+        } catch (error) {
+            if (this.enableLogging) console.error('読書中への変更に失敗しました:', error);
+            return null;
+        }
+    }
+
+    /**
+     * 読了したタスクの再読を開始
+     * 前回の読書の日付・評価は読書記録として保持する
+     * @param {string} taskId - 対象タスクのID
+     * @returns {Object|null} 更新されたタスク、失敗時はnull
+     */
+    startRereadTask(taskId) {
+        try {
+            const task = this.getTaskForTransition(taskId, ['completed'], '読了済みのタスクのみ再読できます');
+            task.startReread();
+            return this.saveStatusChange(task);
+        } catch (error) {
+            if (this.enableLogging) console.error('再読の開始に失敗しました:', error);
+            return null;
+        }
+    }
+
+    /**
+     * タスクの読書記録（過去の読書と現在の読書）を取得
+     * @param {string} taskId - 対象タスクのID
+     * @returns {Array} 読書記録の配列（古い順）
+     */
+    getReadHistory(taskId) {
+        const taskData = this.getTask(taskId);
+        if (!taskData) {
+            return [];
+        }
+
+        const currentRead = {
+            id: 'current',
+            startedAt: taskData.startedAt,
+            completedAt: taskData.completedAt,
+            rating: taskData.rating,
+            review: taskData.review
+        };
+
+        return [...(taskData.reads || []), currentRead];
+    }
+
+    /**
+     * ステータス遷移の対象となるTaskインスタンスを取得
+     * @param {string} taskId - 対象タスクのID
+     * @param {Array<string>} allowedStatuses - 遷移元として許可するステータス
+     * @param {string} errorMessage - 遷移できない場合のエラーメッセージ
+     * @returns {Task} Taskインスタンス
+     */
+    getTaskForTransition(taskId, allowedStatuses, errorMessage) {
+        const taskData = this.getTask(taskId);
+        if (!taskData) {
+            throw new Error('指定されたタスクが見つかりません');
+        }
+
+        if (!allowedStatuses.includes(taskData.status)) {
+            throw new Error(errorMessage);
+        }
+
+        return Task.fromJSON(taskData);
+    }
+
+    /**
+     * ステータス変更をストレージに保存
+     * @param {Task} task - ステータスを変更したTaskインスタンス
+     * @returns {Object} 更新されたタスク
+     */
+    saveStatusChange(task) {
+        const updatedTaskData = task.toJSON();
+
+        const saved = this.storageManager.updateTask(task.id, {
+            status: updatedTaskData.status,
+            startedAt: updatedTaskData.startedAt,
+            pausedAt: updatedTaskData.pausedAt,
+            abandonedAt: updatedTaskData.abandonedAt,
+            completedAt: updatedTaskData.completedAt,
+            currentPage: updatedTaskData.currentPage,
+            sessions: updatedTaskData.sessions,
+            rating: updatedTaskData.rating,
+            review: updatedTaskData.review,
+            reads: updatedTaskData.reads
+        });
+
+        if (!saved) {
+            throw new Error('タスクの更新に失敗しました');
+        }
+
+        // ストレージから再読み込み
+        this.loadTasks();
+
+        return updatedTaskData;
+    }
+
+    /**
+     * 読書の進捗（現在ページ）を記録
+     * @param {string} taskId - 対象タスクのID
+     * @param {number} currentPage - 現在読んでいるページ
+     * @returns {Object|null} 更新されたタスク、失敗時はnull
+     */
+    updateProgress(taskId, currentPage) {
+        try {
+            const taskData = this.getTask(taskId);
+            if (!taskData) {
+                throw new Error('指定されたタスクが見つかりません');
+            }
+
+            if (taskData.status !== 'active') {
+                throw new Error('読書中のタスクのみ進捗を記録できます');
+            }
+
+            const validation = TaskValidator.validateCurrentPage(currentPage, taskData.totalPages);
+            if (!validation.isValid) {
+                throw new Error(validation.errors.join(', '));
+            }
+
+            const task = Task.fromJSON(taskData);
+            task.updateProgress(currentPage);
+            const updatedTaskData = task.toJSON();
+
             const saved = this.storageManager.updateTask(taskId, {
-                status: 'completed',
-                completedAt: updatedTaskData.completedAt
+                currentPage: updatedTaskData.currentPage
             });
 
             if (!saved) {
                 throw new Error('タスクの更新に失敗しました');
             }
 
-            // ストレージから再読み込み
             this.loadTasks();
 
             return updatedTaskData;
         } catch (error) {
-            if (this.enableLogging) console.error('タスクの完了処理に失敗しました:', error);
+            if (this.enableLogging) console.error('進捗の記録に失敗しました:', error);
+            return null;
+        }
+    }
+
+    /**
+     * 総ページ数を設定
+     * @param {string} taskId - 対象タスクのID
+     * @param {number|null} totalPages - 総ページ数（未設定に戻す場合null）
+     * @returns {Object|null} 更新されたタスク、失敗時はnull
+     */
+    setTotalPages(taskId, totalPages) {
+        try {
+            const taskData = this.getTask(taskId);
+            if (!taskData) {
+                throw new Error('指定されたタスクが見つかりません');
+            }
+
+            const validation = TaskValidator.validateTotalPages(totalPages);
+            if (!validation.isValid) {
+                throw new Error(validation.errors.join(', '));
+            }
+
+            const task = Task.fromJSON(taskData);
+            task.setTotalPages(totalPages || null);
+            const updatedTaskData = task.toJSON();
+
+            const saved = this.storageManager.updateTask(taskId, {
+                totalPages: updatedTaskData.totalPages,
+                currentPage: updatedTaskData.currentPage
+            });
+
+            if (!saved) {
+                throw new Error('タスクの更新に失敗しました');
+            }
+
+            this.loadTasks();
+
+            return updatedTaskData;
+        } catch (error) {
+            if (this.enableLogging) console.error('総ページ数の設定に失敗しました:', error);
+            return null;
+        }
+    }
+
+    /**
+     * 読書セッションの計測を開始
+     * @param {string} taskId - 対象タスクのID
+     * @returns {Object|null} 開始したセッション、失敗時はnull
+     */
+    startReadingSession(taskId) {
+        try {
+            const taskData = this.getTask(taskId);
+            if (!taskData) {
+                throw new Error('指定されたタスクが見つかりません');
+            }
+
+            if (taskData.status !== 'active') {
+                throw new Error('読書中のタスクのみ読書セッションを開始できます');
+            }
+
+            const task = Task.fromJSON(taskData);
+            const session = task.startSession();
+
+            const saved = this.storageManager.updateTask(taskId, {
+                sessions: task.toJSON().sessions
+            });
+
+            if (!saved) {
+                throw new Error('タスクの更新に失敗しました');
+            }
+
+            this.loadTasks();
+
+            return { ...session };
+        } catch (error) {
+            if (this.enableLogging) console.error('読書セッションの開始に失敗しました:', error);
+            return null;
+        }
+    }
+
+    /**
+     * 計測中の読書セッションを終了
+     * @param {string} taskId - 対象タスクのID
+     * @param {number} pagesRead - セッション中に読んだページ数
+     * @param {string} memo - メモ（オプション）
+     * @returns {Object|null} 終了したセッション、失敗時はnull
+     */
+    stopReadingSession(taskId, pagesRead = 0, memo = '') {
+        try {
+            const taskData = this.getTask(taskId);
+            if (!taskData) {
+                throw new Error('指定されたタスクが見つかりません');
+            }
+
+            const validation = TaskValidator.validateSessionRecord(pagesRead, memo);
+            if (!validation.isValid) {
+                throw new Error(validation.errors.join(', '));
+            }
+
+            const task = Task.fromJSON(taskData);
+            const session = task.stopSession(pagesRead, TaskValidator.sanitizeInput(memo));
+            const updatedTaskData = task.toJSON();
+
+            const saved = this.storageManager.updateTask(taskId, {
+                sessions: updatedTaskData.sessions,
+                currentPage: updatedTaskData.currentPage
+            });
+
+            if (!saved) {
+                throw new Error('タスクの更新に失敗しました');
+            }
+
+            this.loadTasks();
+
+            return { ...session };
+        } catch (error) {
+            if (this.enableLogging) console.error('読書セッションの終了に失敗しました:', error);
+            return null;
+        }
+    }
+
+    /**
+     * タスクの読書セッション一覧を取得
+     * @param {string} taskId - 対象タスクのID
+     * @returns {Array} 読書セッションの配列（開始日時の新しい順）
+     */
+    getReadingSessions(taskId) {
+        const taskData = this.getTask(taskId);
+        if (!taskData || !taskData.sessions) {
+            return [];
+        }
+
+        return [...taskData.sessions].sort((a, b) => new Date(b.startedAt) - new Date(a.startedAt));
+    }
+
+    /**
+     * タスクのタグを設定
+     * @param {string} taskId - 対象タスクのID
+     * @param {Array<string>} tags - タグの配列
+     * @returns {Object|null} 更新されたタスク、失敗時はnull
+     */
+    setTags(taskId, tags) {
+        try {
+            const taskData = this.getTask(taskId);
+            if (!taskData) {
+                throw new Error('指定されたタスクが見つかりません');
+            }
+
+            const task = Task.fromJSON(taskData);
+            task.setTags(this.prepareTags(tags));
+            const updatedTaskData = task.toJSON();
+
+            const saved = this.storageManager.updateTask(taskId, {
+                tags: updatedTaskData.tags
+            });
+
+            if (!saved) {
+                throw new Error('タスクの更新に失敗しました');
+            }
+
+            this.loadTasks();
+
+            return updatedTaskData;
+        } catch (error) {
+            if (this.enableLogging) console.error('タグの設定に失敗しました:', error);
+            return null;
+        }
+    }
+
+    /**
+     * タグを正規化・サニタイズしてバリデーション
+     * @param {Array<string>|string} tags - タグの配列またはカンマ区切りの文字列
+     * @returns {Array<string>} 保存用のタグの配列
+     */
+    prepareTags(tags) {
+        const normalizedTags = TaskValidator.normalizeTags(tags)
+            .map(tag => TaskValidator.sanitizeInput(tag));
+
+        const validation = TaskValidator.validateTags(normalizedTags);
+        if (!validation.isValid) {
+            throw new Error(validation.errors.join(', '));
+        }
+
+        return normalizedTags;
+    }
+
+    /**
+     * メモ・引用を追加
+     * @param {string} taskId - 対象タスクのID
+     * @param {string} text - 本文
+     * @param {Object} options - 追加オプション
+     * @param {number|null} options.page - ページ番号（オプション）
+     * @param {string} options.type - 種類（'note' または 'quote'）
+     * @returns {Object|null} 追加したメモ、失敗時はnull
+     */
+    addNote(taskId, text, options = {}) {
+        try {
+            const taskData = this.getTask(taskId);
+            if (!taskData) {
+                throw new Error('指定されたタスクが見つかりません');
+            }
+
+            const page = options.page !== undefined ? options.page : null;
+            const type = options.type || 'note';
+            const validation = TaskValidator.validateNote(text, page, type);
+            if (!validation.isValid) {
+                throw new Error(validation.errors.join(', '));
+            }
+
+            const task = Task.fromJSON(taskData);
+            const note = task.addNote(TaskValidator.sanitizeInput(text), page, type);
+
+            const saved = this.storageManager.updateTask(taskId, {
+                notes: task.toJSON().notes
+            });
+
+            if (!saved) {
+                throw new Error('タスクの更新に失敗しました');
+            }
+
+            this.loadTasks();
+
+            return { ...note };
+        } catch (error) {
+            if (this.enableLogging) console.error('メモの追加に失敗しました:', error);
+            return null;
+        }
+    }
+
+    /**
+     * 他のサービスから取り込んだメモ・引用をまとめて追加
+     * 同じ種類・本文のメモが既にある場合は追加しない
+     * @param {string} taskId - 対象タスクのID
+     * @param {Array<Object>} notes - { type, text, page, createdAt } の配列
+     * @returns {Object|null} { added, skipped }、失敗時はnull
+     */
+    importNotes(taskId, notes) {
+        try {
+            const taskData = this.getTask(taskId);
+            if (!taskData) {
+                throw new Error('指定されたタスクが見つかりません');
+            }
+
+            const task = Task.fromJSON(taskData);
+            const existingKeys = new Set(task.notes.map(note => `${note.type}\n${note.text}`));
+            let added = 0;
+
+            for (const note of notes) {
+                const page = note.page || null;
+                const validation = TaskValidator.validateNote(note.text, page, note.type);
+                if (!validation.isValid) {
+                    throw new Error(validation.errors.join(', '));
+                }
+
+                const text = TaskValidator.sanitizeInput(note.text);
+                const key = `${note.type}\n${text}`;
+                if (existingKeys.has(key)) continue;
+
+                existingKeys.add(key);
+                task.addNote(text, page, note.type, note.createdAt ? new Date(note.createdAt) : new Date());
+                added++;
+            }
+
+            if (added > 0) {
+                const saved = this.storageManager.updateTask(taskId, {
+                    notes: task.toJSON().notes
+                });
+
+                if (!saved) {
+                    throw new Error('タスクの更新に失敗しました');
+                }
+
+                this.loadTasks();
+            }
+
+            return { added, skipped: notes.length - added };
+        } catch (error) {
+            if (this.enableLogging) console.error('メモの取り込みに失敗しました:', error);
             return null;
         }
     }
 
+    /**
+     * メモ・引用を削除
+     * @param {string} taskId - 対象タスクのID
+     * @param {string} noteId - 削除するメモのID
+     * @returns {boolean} 削除成功時true
+     */
+    deleteNote(taskId, noteId) {
+        try {
+            const taskData = this.getTask(taskId);
+            if (!taskData) {
+                throw new Error('指定されたタスクが見つかりません');
+            }
+
+            const task = Task.fromJSON(taskData);
+            if (!task.removeNote(noteId)) {
+                throw new Error('指定されたメモが見つかりません');
+            }
+
+            const saved = this.storageManager.updateTask(taskId, {
+                notes: task.toJSON().notes
+            });
+
+            if (!saved) {
+                throw new Error('タスクの更新に失敗しました');
+            }
+
+            this.loadTasks();
+
+            return true;
+        } catch (error) {
+            if (this.enableLogging) console.error('メモの削除に失敗しました:', error);
+            return false;
+        }
+    }
+
+    /**
+     * タスクのメモ・引用一覧を取得
+     * @param {string} taskId - 対象タスクのID
+     * @returns {Array} メモの配列（ページ番号順、ページなしは作成日時順で末尾）
+     */
+    getNotes(taskId) {
+        const taskData = this.getTask(taskId);
+        if (!taskData || !taskData.notes) {
+            return [];
+        }
+
+        return [...taskData.notes].sort((a, b) => {
+            if (a.page && b.page) return a.page - b.page;
+            if (a.page) return -1;
+            if (b.page) return 1;
+            return new Date(a.createdAt) - new Date(b.createdAt);
+        });
+    }
+
     /**
      * タスクを削除
      * @param {string} taskId - 削除するタスクのID
@@ -127,11 +739,174 @@ class TaskManager {
     }
 
     /**
-     * 全てのタスクを取得
+     * タスクをゴミ箱に移動（論理削除）
+     * @param {string} taskId - ゴミ箱に移動するタスクのID
+     * @returns {boolean} 移動成功時true
+     */
+    trashTask(taskId) {
+        return this.updateTrashState(taskId, true);
+    }
+
+    /**
+     * ゴミ箱のタスクを元に戻す
+     * @param {string} taskId - 元に戻すタスクのID
+     * @returns {boolean} 復元成功時true
+     */
+    restoreTask(taskId) {
+        return this.updateTrashState(taskId, false);
+    }
+
+    /**
+     * タスクのゴミ箱状態を更新
+     * @param {string} taskId - 対象タスクのID
+     * @param {boolean} trashed - ゴミ箱に移動する場合true
+     * @returns {boolean} 更新成功時true
+     */
+    updateTrashState(taskId, trashed) {
+        try {
+            const taskData = this.getTask(taskId);
+            if (!taskData) {
+                throw new Error('指定されたタスクが見つかりません');
+            }
+
+            const task = Task.fromJSON(taskData);
+            if (task.isTrashed() === trashed) {
+                throw new Error(trashed ? 'このタスクは既にゴミ箱にあります' : 'このタスクはゴミ箱にありません');
+            }
+
+            if (trashed) {
+                task.moveToTrash();
+            } else {
+                task.restoreFromTrash();
+            }
+
+            const saved = this.storageManager.updateTask(taskId, {
+                deletedAt: task.toJSON().deletedAt
+            });
+
+            if (!saved) {
+                throw new Error('タスクの更新に失敗しました');
+            }
+
+            this.loadTasks();
+
+            return true;
+        } catch (error) {
+            if (this.enableLogging) console.error(trashed ? 'ゴミ箱への移動に失敗しました:' : 'タスクの復元に失敗しました:', error);
+            return false;
+        }
+    }
+
+    /**
+     * ゴミ箱のタスクを全て完全に削除
+     * @returns {boolean} 削除成功時true
+     */
+    emptyTrash() {
+        try {
+            const trashedTasks = this.getTrashedTasks();
+            for (const task of trashedTasks) {
+                if (!this.storageManager.deleteTask(task.id)) {
+                    throw new Error('タスクの削除に失敗しました');
+                }
+            }
+
+            this.loadTasks();
+
+            return true;
+        } catch (error) {
+            if (this.enableLogging) console.error('ゴミ箱を空にできませんでした:', error);
+            this.loadTasks();
+            return false;
+        }
+    }
+
+    /**
+     * タスクを変更前の状態に戻す（完了などの取り消し用）
+     * @param {Object} previousTaskData - 変更前に取得したタスクデータ
+     * @returns {Object|null} 戻したタスクオブジェクトまたはnull
+     */
+    revertTask(previousTaskData) {
+        try {
+            if (!previousTaskData || !this.getTask(previousTaskData.id)) {
+                throw new Error('指定されたタスクが見つかりません');
+            }
+
+            const restoredTaskData = Task.fromJSON(previousTaskData).toJSON();
+            const saved = this.storageManager.updateTask(restoredTaskData.id, restoredTaskData);
+
+            if (!saved) {
+                throw new Error('タスクの更新に失敗しました');
+            }
+
+            this.loadTasks();
+
+            return restoredTaskData;
+        } catch (error) {
+            if (this.enableLogging) console.error('タスクの取り消しに失敗しました:', error);
+            return null;
+        }
+    }
+
+    /**
+     * エクスポートファイルから読み込んだタスクを取り込む
+     * @param {Array<Object>} tasks - StorageManager.parseLibraryImportで検証済みのタスク
+     * @param {string} mode - 'merge'（既存のタスクに追加）または 'replace'（既存のタスクを全て置き換え）
+     * @returns {Object|null} { imported, skipped }（skippedは同じIDのタスクが既にあり取り込まなかった件数）、失敗時はnull
+     */
+    importTasks(tasks, mode = 'merge') {
+        try {
+            if (!Array.isArray(tasks)) {
+                throw new Error('インポートするタスクが不正です');
+            }
+
+            if (!['merge', 'replace'].includes(mode)) {
+                throw new Error('無効なインポート方法です');
+            }
+
+            let importedCount = tasks.length;
+            let saved;
+
+            if (mode === 'merge') {
+                // 統合時は同じIDの既存タスクを優先し、追加するタスクだけを書き込む（ゴミ箱のタスクも残る）
+                const existingIds = new Set(this.storageManager.loadTasks().map(task => task.id));
+                const newTasks = tasks.filter(task => !existingIds.has(task.id));
+
+                saved = newTasks.length === 0 || this.storageManager.saveTaskBatch(newTasks);
+                importedCount = newTasks.length;
+            } else {
+                saved = this.storageManager.saveTasks(tasks);
+            }
+
+            if (!saved) {
+                throw new Error('タスクの保存に失敗しました');
+            }
+
+            this.loadTasks();
+
+            return {
+                imported: importedCount,
+                skipped: tasks.length - importedCount
+            };
+        } catch (error) {
+            if (this.enableLogging) console.error('タスクのインポートに失敗しました:', error);
+            return null;
+        }
+    }
+
+    /**
+     * 全てのタスクを取得（ゴミ箱のタスクを除く）
      * @returns {Array} 全タスクの配列
      */
     getAllTasks() {
-        return [...this.tasks];
+        return this.tasks.filter(task => !task.deletedAt);
+    }
+
+    /**
+     * ゴミ箱のタスクを取得
+     * @returns {Array} ゴミ箱のタスクの配列
+     */
+    getTrashedTasks() {
+        return this.tasks.filter(task => task.deletedAt);
     }
 
     /**
@@ -139,7 +914,31 @@ class TaskManager {
      * @returns {Array} アクティブタスクの配列
      */
     getActiveTasks() {
-        return this.tasks.filter(task => task.status === 'active');
+        return this.getAllTasks().filter(task => task.status === 'active');
+    }
+
+    /**
+     * 読みたい本（積読）のタスクを取得
+     * @returns {Array} 読みたい本のタスクの配列
+     */
+    getWantToReadTasks() {
+        return this.getAllTasks().filter(task => task.status === 'want-to-read');
+    }
+
+    /**
+     * 中断中のタスクを取得
+     * @returns {Array} 中断中タスクの配列
+     */
+    getPausedTasks() {
+        return this.getAllTasks().filter(task => task.status === 'paused');
+    }
+
+    /**
+     * 中止したタスクを取得
+     * @returns {Array} 中止したタスクの配列
+     */
+    getAbandonedTasks() {
+        return this.getAllTasks().filter(task => task.status === 'abandoned');
     }
 
     /**
@@ -147,7 +946,32 @@ class TaskManager {
      * @returns {Array} 完了済みタスクの配列
      */
     getCompletedTasks() {
-        return this.tasks.filter(task => task.status === 'completed');
+        return this.getAllTasks().filter(task => task.status === 'completed');
+    }
+
+    /**
+     * 使用されている全てのタグを取得
+     * @returns {Array<string>} タグの配列（五十音・アルファベット順）
+     */
+    getAllTags() {
+        const tags = new Set();
+        this.getAllTasks().forEach(task => {
+            (task.tags || []).forEach(tag => tags.add(tag));
+        });
+        return [...tags].sort((a, b) => a.localeCompare(b, 'ja'));
+    }
+
+    /**
+     * タスクをタグで絞り込み
+     * @param {Array} tasks - 絞り込むタスクの配列
+     * @param {string|null} tag - タグ（nullの場合は絞り込まない）
+     * @returns {Array} 絞り込まれたタスクの配列
+     */
+    filterTasksByTag(tasks, tag) {
+        if (!tag) {
+            return [...tasks];
+        }
+        return tasks.filter(task => (task.tags || []).includes(tag));
     }
 
     /**
@@ -159,6 +983,29 @@ class TaskManager {
         return this.tasks.find(task => task.id === taskId) || null;
     }
 
+    /**
+     * 同じ本のタスクをタイトルと著者名で検索
+     * 全角・半角、大文字・小文字、空白の違いは無視し、どちらかの著者名が空の場合はタイトルのみで判定する
+     * @param {string} bookTitle - 書籍タイトル
+     * @param {string} author - 著者名（オプション）
+     * @param {Array<Object>} tasks - 検索対象のタスク（省略時はゴミ箱以外の全タスク）
+     * @returns {Object|null} 見つかったタスク、見つからない場合はnull
+     */
+    findTaskByBook(bookTitle, author = '', tasks = this.getAllTasks()) {
+        const normalize = (text) => (text || '').normalize('NFKC').toLowerCase().replace(/\s+/g, '');
+        const title = normalize(bookTitle);
+        const authorName = normalize(author);
+
+        if (!title) return null;
+
+        return tasks.find(task => {
+            if (normalize(task.bookTitle) !== title) return false;
+
+            const taskAuthor = normalize(task.author);
+            return !taskAuthor || !authorName || taskAuthor === authorName;
+        }) || null;
+    }
+
     /**
      * タスクの統計情報を取得
      * @returns {Object} 統計情報
@@ -170,7 +1017,10 @@ class TaskManager {
 
         return {
             total: allTasks.length,
+            wantToRead: this.getWantToReadTasks().length,
             active: activeTasks.length,
+            paused: this.getPausedTasks().length,
+            abandoned: this.getAbandonedTasks().length,
             completed: completedTasks.length,
             completionRate: allTasks.length > 0 ? (completedTasks.length / allTasks.length) * 100 : 0
         };
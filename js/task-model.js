@@ -12,9 +12,46 @@ class Task {
         this.id = this.generateUUID();
         this.bookTitle = bookTitle;
         this.author = author;
+        this.series = '';
+        this.seriesIndex = null;
+        this.isbn = '';
         this.status = 'active';
         this.createdAt = new Date();
+        this.startedAt = this.createdAt;
+        this.pausedAt = null;
+        this.abandonedAt = null;
         this.completedAt = null;
+        this.totalPages = null;
+        this.currentPage = 0;
+        this.sessions = [];
+        this.rating = null;
+        this.review = '';
+        this.notes = [];
+        this.tags = [];
+        this.reads = [];
+        this.deletedAt = null;
+    }
+
+    /**
+     * 利用可能なステータスの一覧
+     * @returns {Array<string>} ステータスの配列
+     */
+    static get STATUSES() {
+        return ['want-to-read', 'active', 'paused', 'abandoned', 'completed'];
+    }
+
+    /**
+     * ステータスの表示名
+     * @returns {Object} ステータスをキーとした表示名
+     */
+    static get STATUS_LABELS() {
+        return {
+            'want-to-read': '読みたい本',
+            active: '読書中',
+            paused: '中断中',
+            abandoned: '読むのをやめた',
+            completed: '読了'
+        };
     }
 
     /**
@@ -36,6 +73,313 @@ class Task {
     complete() {
         this.status = 'completed';
         this.completedAt = new Date();
+        this.pausedAt = null;
+        // 計測中の読書セッションがあれば完了時刻で終了する
+        this.closeRunningSession(this.completedAt);
+        // 総ページ数が分かっている場合は最後まで読んだものとする
+        if (this.totalPages) {
+            this.currentPage = this.totalPages;
+        }
+    }
+
+    /**
+     * 評価と感想を設定
+     * @param {number|null} rating - 1〜5の評価（未評価の場合null）
+     * @param {string} review - 感想（オプション）
+     */
+    setReview(rating, review = '') {
+        this.rating = rating || null;
+        this.review = review || '';
+    }
+
+    /**
+     * 書籍情報（タイトル・著者）を変更
+     * IDと作成日時は変更しない
+     * @param {string} bookTitle - 書籍タイトル
+     * @param {string} author - 著者名（オプション）
+     */
+    updateBookInfo(bookTitle, author = '') {
+        this.bookTitle = bookTitle;
+        this.author = author;
+    }
+
+    /**
+     * シリーズとISBNを設定
+     * @param {string} series - シリーズ名
+     * @param {number|null} seriesIndex - シリーズ内の巻数（オプション）
+     * @param {string} isbn - ISBN（ハイフンなし）
+     */
+    setBookDetails(series = '', seriesIndex = null, isbn = '') {
+        this.series = series || '';
+        this.seriesIndex = this.series && seriesIndex !== null ? seriesIndex : null;
+        this.isbn = isbn || '';
+    }
+
+    /**
+     * タグを設定
+     * @param {Array<string>} tags - タグの配列
+     */
+    setTags(tags) {
+        this.tags = [...tags];
+    }
+
+    /**
+     * 指定したタグを持つかどうかを判定
+     * @param {string} tag - タグ
+     * @returns {boolean} タグを持つ場合true
+     */
+    hasTag(tag) {
+        return this.tags.includes(tag);
+    }
+
+    /**
+     * メモ・引用を追加
+     * @param {string} text - 本文
+     * @param {number|null} page - ページ番号（オプション）
+     * @param {string} type - 種類（'note' または 'quote'）
+     * @param {Date} createdAt - 作成日時（取り込んだメモの場合は元の日時）
+     * @returns {Object} 追加したメモ
+     */
+    addNote(text, page = null, type = 'note', createdAt = new Date()) {
+        const note = {
+            id: this.generateUUID(),
+            type: type,
+            text: text,
+            page: page || null,
+            createdAt: createdAt
+        };
+        this.notes.push(note);
+        return note;
+    }
+
+    /**
+     * メモ・引用を削除
+     * @param {string} noteId - 削除するメモのID
+     * @returns {boolean} 削除した場合true
+     */
+    removeNote(noteId) {
+        const initialLength = this.notes.length;
+        this.notes = this.notes.filter(note => note.id !== noteId);
+        return this.notes.length < initialLength;
+    }
+
+    /**
+     * 読みたい本（積読）として登録する
+     */
+    markAsWantToRead() {
+        this.status = 'want-to-read';
+        this.startedAt = null;
+    }
+
+    /**
+     * 読みたい本の読書を開始する
+     */
+    start() {
+        this.status = 'active';
+        this.startedAt = new Date();
+    }
+
+    /**
+     * 読書を中断する
+     */
+    pause() {
+        this.status = 'paused';
+        this.pausedAt = new Date();
+        this.closeRunningSession(this.pausedAt);
+    }
+
+    /**
+     * 中断・中止した読書を再開する
+     */
+    resume() {
+        this.status = 'active';
+        this.pausedAt = null;
+        this.abandonedAt = null;
+        if (!this.startedAt) {
+            this.startedAt = new Date();
+        }
+    }
+
+    /**
+     * 読了した本を読書中に戻す（同じ読書を続ける）
+     */
+    reopen() {
+        this.status = 'active';
+        this.completedAt = null;
+    }
+
+    /**
+     * 読了した本の再読を開始する
+     * 今回の読書の記録は過去の読書記録として保存する
+     */
+    startReread() {
+        this.reads.push({
+            id: this.generateUUID(),
+            startedAt: this.startedAt || this.createdAt,
+            completedAt: this.completedAt,
+            rating: this.rating,
+            review: this.review
+        });
+
+        this.status = 'active';
+        this.startedAt = new Date();
+        this.completedAt = null;
+        this.currentPage = 0;
+        this.rating = null;
+        this.review = '';
+    }
+
+    /**
+     * 読了した回数を取得（現在の読書が完了済みの場合はそれも含む）
+     * @returns {number} 読了回数
+     */
+    getCompletedReadCount() {
+        return this.reads.length + (this.isCompleted() ? 1 : 0);
+    }
+
+    /**
+     * 読書を中止する（読むのをやめる）
+     */
+    abandon() {
+        this.status = 'abandoned';
+        this.abandonedAt = new Date();
+        this.pausedAt = null;
+        this.closeRunningSession(this.abandonedAt);
+    }
+
+    /**
+     * ゴミ箱に移動する（ステータスは保持）
+     */
+    moveToTrash() {
+        this.deletedAt = new Date();
+    }
+
+    /**
+     * ゴミ箱から元に戻す
+     */
+    restoreFromTrash() {
+        this.deletedAt = null;
+    }
+
+    /**
+     * 計測中の読書セッションを指定日時で終了する
+     * @param {Date} endedAt - 終了日時
+     */
+    closeRunningSession(endedAt) {
+        const runningSession = this.getRunningSession();
+        if (runningSession) {
+            runningSession.endedAt = endedAt;
+        }
+    }
+
+    /**
+     * 総ページ数を設定
+     * @param {number|null} totalPages - 総ページ数（未設定の場合null）
+     */
+    setTotalPages(totalPages) {
+        this.totalPages = totalPages;
+        // 現在ページが総ページ数を超えないように調整
+        if (totalPages && this.currentPage > totalPages) {
+            this.currentPage = totalPages;
+        }
+    }
+
+    /**
+     * 読書の進捗（現在ページ）を更新
+     * @param {number} currentPage - 現在読んでいるページ
+     */
+    updateProgress(currentPage) {
+        this.currentPage = currentPage;
+    }
+
+    /**
+     * 読書の進捗率を取得
+     * @returns {number|null} 進捗率（0〜100）、総ページ数が未設定の場合null
+     */
+    getProgressPercentage() {
+        if (!this.totalPages) {
+            return null;
+        }
+        return Math.min(100, Math.round((this.currentPage / this.totalPages) * 100));
+    }
+
+    /**
+     * 読書セッションを開始
+     * @returns {Object} 開始したセッション
+     */
+    startSession() {
+        if (this.getRunningSession()) {
+            throw new Error('既に読書セッションを計測中です');
+        }
+
+        const session = {
+            id: this.generateUUID(),
+            startedAt: new Date(),
+            endedAt: null,
+            pagesRead: 0,
+            memo: ''
+        };
+        this.sessions.push(session);
+        return session;
+    }
+
+    /**
+     * 計測中の読書セッションを終了
+     * @param {number} pagesRead - セッション中に読んだページ数
+     * @param {string} memo - メモ（オプション）
+     * @returns {Object} 終了したセッション
+     */
+    stopSession(pagesRead = 0, memo = '') {
+        const session = this.getRunningSession();
+        if (!session) {
+            throw new Error('計測中の読書セッションがありません');
+        }
+
+        session.endedAt = new Date();
+        session.pagesRead = pagesRead;
+        session.memo = memo;
+
+        // 読んだページ数だけ進捗を進める
+        if (pagesRead > 0) {
+            const nextPage = this.currentPage + pagesRead;
+            this.currentPage = this.totalPages ? Math.min(nextPage, this.totalPages) : nextPage;
+        }
+
+        return session;
+    }
+
+    /**
+     * 計測中の読書セッションを取得
+     * @returns {Object|null} 計測中のセッション、ない場合はnull
+     */
+    getRunningSession() {
+        return this.sessions.find(session => !session.endedAt) || null;
+    }
+
+    /**
+     * 終了済みセッションの合計読書時間を取得
+     * @returns {number} 合計読書時間（ミリ秒）
+     */
+    getTotalReadingTime() {
+        return this.sessions
+            .filter(session => session.endedAt)
+            .reduce((total, session) => total + (new Date(session.endedAt) - new Date(session.startedAt)), 0);
+    }
+
+    /**
+     * 読み始めた日から読了日（未読了の場合は今日）までの日数を取得（両端を含む）
+     * @returns {number|null} 日数（読み始めていない場合null）
+     */
+    getReadingDays() {
+        if (!this.startedAt) {
+            return null;
+        }
+
+        const startDate = new Date(this.startedAt);
+        const endDate = this.completedAt ? new Date(this.completedAt) : new Date();
+        const start = new Date(startDate.getFullYear(), startDate.getMonth(), startDate.getDate());
+        const end = new Date(endDate.getFullYear(), endDate.getMonth(), endDate.getDate());
+        return Math.max(1, Math.round((end - start) / (24 * 60 * 60 * 1000)) + 1);
     }
 
     /**
@@ -46,6 +390,30 @@ class Task {
         return this.status === 'active';
     }
 
+    /**
+     * タスクが読みたい本（積読）かどうかを判定
+     * @returns {boolean} 読みたい本の場合true
+     */
+    isWantToRead() {
+        return this.status === 'want-to-read';
+    }
+
+    /**
+     * タスクが中断中かどうかを判定
+     * @returns {boolean} 中断中の場合true
+     */
+    isPaused() {
+        return this.status === 'paused';
+    }
+
+    /**
+     * タスクが中止済みかどうかを判定
+     * @returns {boolean} 中止済みの場合true
+     */
+    isAbandoned() {
+        return this.status === 'abandoned';
+    }
+
     /**
      * タスクが完了済みかどうかを判定
      * @returns {boolean} 完了済みの場合true
@@ -54,6 +422,14 @@ class Task {
         return this.status === 'completed';
     }
 
+    /**
+     * タスクがゴミ箱にあるかどうかを判定
+     * @returns {boolean} ゴミ箱にある場合true
+     */
+    isTrashed() {
+        return this.deletedAt !== null;
+    }
+
     /**
      * タスクデータをJSON形式で取得
      * @returns {Object} タスクデータ
@@ -63,9 +439,24 @@ class Task {
             id: this.id,
             bookTitle: this.bookTitle,
             author: this.author,
+            series: this.series,
+            seriesIndex: this.seriesIndex,
+            isbn: this.isbn,
             status: this.status,
             createdAt: this.createdAt,
-            completedAt: this.completedAt
+            startedAt: this.startedAt,
+            pausedAt: this.pausedAt,
+            abandonedAt: this.abandonedAt,
+            completedAt: this.completedAt,
+            totalPages: this.totalPages,
+            currentPage: this.currentPage,
+            sessions: this.sessions.map(session => ({ ...session })),
+            rating: this.rating,
+            review: this.review,
+            notes: this.notes.map(note => ({ ...note })),
+            tags: [...this.tags],
+            reads: this.reads.map(read => ({ ...read })),
+            deletedAt: this.deletedAt
         };
     }
 
@@ -77,9 +468,40 @@ class Task {
     static fromJSON(data) {
         const task = new Task(data.bookTitle, data.author);
         task.id = data.id;
+        task.series = data.series || '';
+        task.seriesIndex = typeof data.seriesIndex === 'number' ? data.seriesIndex : null;
+        task.isbn = data.isbn || '';
         task.status = data.status;
         task.createdAt = new Date(data.createdAt);
+        // 旧データにはstartedAtがないため、読みたい本以外は作成日時を開始日時とみなす
+        if (data.startedAt) {
+            task.startedAt = new Date(data.startedAt);
+        } else {
+            task.startedAt = data.status === 'want-to-read' ? null : task.createdAt;
+        }
+        task.pausedAt = data.pausedAt ? new Date(data.pausedAt) : null;
+        task.abandonedAt = data.abandonedAt ? new Date(data.abandonedAt) : null;
         task.completedAt = data.completedAt ? new Date(data.completedAt) : null;
+        task.totalPages = data.totalPages || null;
+        task.currentPage = data.currentPage || 0;
+        task.sessions = (data.sessions || []).map(session => ({
+            ...session,
+            startedAt: new Date(session.startedAt),
+            endedAt: session.endedAt ? new Date(session.endedAt) : null
+        }));
+        task.rating = data.rating || null;
+        task.review = data.review || '';
+        task.notes = (data.notes || []).map(note => ({
+            ...note,
+            createdAt: new Date(note.createdAt)
+        }));
+        task.tags = Array.isArray(data.tags) ? [...data.tags] : [];
+        task.reads = (data.reads || []).map(read => ({
+            ...read,
+            startedAt: new Date(read.startedAt),
+            completedAt: read.completedAt ? new Date(read.completedAt) : null
+        }));
+        task.deletedAt = data.deletedAt ? new Date(data.deletedAt) : null;
         return task;
     }
 }
@@ -139,6 +561,229 @@ class TaskValidator {
         };
     }
 
+    /**
+     * 総ページ数をバリデーション
+     * @param {number|null} totalPages - 総ページ数
+     * @returns {Object} バリデーション結果
+     */
+    static validateTotalPages(totalPages) {
+        const errors = [];
+        
+        // 総ページ数はオプションなので、未設定の場合はOK
+        if (totalPages !== null && totalPages !== undefined && totalPages !== '') {
+            if (!Number.isInteger(totalPages) || totalPages < 1) {
+                errors.push('総ページ数は1以上の整数で入力してください');
+            } else if (totalPages > 99999) {
+                errors.push('総ページ数は99999以下で入力してください');
+            }
+        }
+        
+        return {
+            isValid: errors.length === 0,
+            errors: errors
+        };
+    }
+
+    /**
+     * 現在ページをバリデーション
+     * @param {number} currentPage - 現在ページ
+     * @param {number|null} totalPages - 総ページ数
+     * @returns {Object} バリデーション結果
+     */
+    static validateCurrentPage(currentPage, totalPages = null) {
+        const errors = [];
+        
+        if (!Number.isInteger(currentPage) || currentPage < 0) {
+            errors.push('ページ数は0以上の整数で入力してください');
+        } else if (totalPages && currentPage > totalPages) {
+            errors.push(`ページ数は総ページ数（${totalPages}）以下で入力してください`);
+        }
+        
+        return {
+            isValid: errors.length === 0,
+            errors: errors
+        };
+    }
+
+    /**
+     * 読書セッションの記録内容をバリデーション
+     * @param {number} pagesRead - 読んだページ数
+     * @param {string} memo - メモ
+     * @returns {Object} バリデーション結果
+     */
+    static validateSessionRecord(pagesRead, memo = '') {
+        const errors = [];
+        
+        if (!Number.isInteger(pagesRead) || pagesRead < 0) {
+            errors.push('読んだページ数は0以上の整数で入力してください');
+        }
+        
+        if (memo && typeof memo === 'string' && memo.length > 200) {
+            errors.push('メモは200文字以内で入力してください');
+        }
+        
+        return {
+            isValid: errors.length === 0,
+            errors: errors
+        };
+    }
+
+    /**
+     * 評価と感想をバリデーション
+     * @param {number|null} rating - 1〜5の評価
+     * @param {string} review - 感想
+     * @returns {Object} バリデーション結果
+     */
+    static validateReview(rating, review = '') {
+        const errors = [];
+        
+        // 評価はオプションなので、未設定の場合はOK
+        if (rating !== null && rating !== undefined &&
+            (!Number.isInteger(rating) || rating < 1 || rating > 5)) {
+            errors.push('評価は1〜5の整数で入力してください');
+        }
+        
+        if (review && typeof review === 'string' && review.length > 500) {
+            errors.push('感想は500文字以内で入力してください');
+        }
+        
+        return {
+            isValid: errors.length === 0,
+            errors: errors
+        };
+    }
+
+    /**
+     * メモ・引用をバリデーション
+     * @param {string} text - 本文
+     * @param {number|null} page - ページ番号
+     * @param {string} type - 種類（'note' または 'quote'）
+     * @returns {Object} バリデーション結果
+     */
+    static validateNote(text, page = null, type = 'note') {
+        const errors = [];
+        
+        if (!text || typeof text !== 'string' || text.trim().length === 0) {
+            errors.push('メモの本文を入力してください');
+        } else if (text.length > 500) {
+            errors.push('メモは500文字以内で入力してください');
+        }
+        
+        if (page !== null && page !== undefined &&
+            (!Number.isInteger(page) || page < 1)) {
+            errors.push('ページ番号は1以上の整数で入力してください');
+        }
+        
+        if (!['note', 'quote'].includes(type)) {
+            errors.push('メモの種類が正しくありません');
+        }
+        
+        return {
+            isValid: errors.length === 0,
+            errors: errors
+        };
+    }
+
+    /**
+     * タグを正規化（前後の空白と先頭の#を除去し、空のタグと重複を除外）
+     * @param {Array<string>|string} tags - タグの配列またはカンマ区切りの文字列
+     * @returns {Array<string>} 正規化されたタグの配列
+     */
+    static normalizeTags(tags) {
+        const tagList = typeof tags === 'string' ? tags.split(/[,、]/) : (tags || []);
+        const normalized = tagList
+            .filter(tag => typeof tag === 'string')
+            .map(tag => tag.trim().replace(/^[#＃]+/, '').replace(/\s+/g, ' '))
+            .filter(tag => tag.length > 0);
+        
+        return [...new Set(normalized)];
+    }
+
+    /**
+     * タグをバリデーション
+     * @param {Array<string>} tags - タグの配列
+     * @returns {Object} バリデーション結果
+     */
+    static validateTags(tags) {
+        const errors = [];
+        
+        if (!Array.isArray(tags)) {
+            errors.push('タグの形式が正しくありません');
+        } else {
+            if (tags.length > 10) {
+                errors.push('タグは10個まで設定できます');
+            }
+            
+            if (tags.some(tag => typeof tag !== 'string' || tag.length > 20)) {
+                errors.push('タグは20文字以内で入力してください');
+            }
+        }
+        
+        return {
+            isValid: errors.length === 0,
+            errors: errors
+        };
+    }
+
+    /**
+     * シリーズ名と巻数をバリデーション
+     * @param {string} series - シリーズ名
+     * @param {number|null} seriesIndex - シリーズ内の巻数（オプション）
+     * @returns {Object} バリデーション結果
+     */
+    static validateSeries(series, seriesIndex = null) {
+        const errors = [];
+        
+        if (typeof series !== 'string') {
+            errors.push('シリーズ名の形式が正しくありません');
+        } else if (series.trim().length > 100) {
+            errors.push('シリーズ名は100文字以内で入力してください');
+        }
+        
+        if (seriesIndex !== null &&
+            (typeof seriesIndex !== 'number' || !isFinite(seriesIndex) || seriesIndex < 0)) {
+            errors.push('巻数は0以上の数値で入力してください');
+        }
+        
+        return {
+            isValid: errors.length === 0,
+            errors: errors
+        };
+    }
+
+    /**
+     * ISBNを正規化（ハイフン・空白と「ISBN」の接頭辞を除去し、チェックディジットを検証）
+     * @param {string} isbn - ISBN（10桁または13桁）
+     * @returns {string} 正規化されたISBN、正しくない場合は空文字
+     */
+    static normalizeIsbn(isbn) {
+        if (typeof isbn !== 'string') {
+            return '';
+        }
+        
+        const value = isbn
+            .replace(/^\s*(urn:)?isbn[:：]?/i, '')
+            .replace(/[\s\-‐－]/g, '')
+            .toUpperCase();
+        
+        if (/^\d{9}[\dX]$/.test(value)) {
+            const sum = value.split('').reduce((total, char, index) => {
+                const digit = char === 'X' ? 10 : parseInt(char, 10);
+                return total + digit * (10 - index);
+            }, 0);
+            return sum % 11 === 0 ? value : '';
+        }
+        
+        if (/^97[89]\d{10}$/.test(value)) {
+            const sum = value.split('').reduce((total, char, index) => {
+                return total + parseInt(char, 10) * (index % 2 === 0 ? 1 : 3);
+            }, 0);
+            return sum % 10 === 0 ? value : '';
+        }
+        
+        return '';
+    }
+
     /**
      * タスクデータ全体をバリデーション
      * @param {Object} taskData - タスクデータ
@@ -179,6 +824,20 @@ class TaskValidator {
             .replace(/\//g, '&#x2F;');
     }
 
+    /**
+     * sanitizeInputでエスケープした文字を元に戻す（編集欄への表示やファイル出力用）
+     * @param {string} text - 保存されているテキスト
+     * @returns {string} 元のテキスト
+     */
+    static decodeInput(text) {
+        return (text || '')
+            .replace(/&lt;/g, '<')
+            .replace(/&gt;/g, '>')
+            .replace(/&quot;/g, '"')
+            .replace(/&#x27;/g, "'")
+            .replace(/&#x2F;/g, '/');
+    }
+
     /**
      * タスク作成用のデータを準備・バリデーション
      * @param {string} bookTitle - 書籍タイトル
@@ -181,6 +181,13 @@ function runInputValidatorTests() {
         test.assert(result.startsWith("'"), 'CSVインジェクション対策が実行されていない');
     });
 
+    // 保存済みのテキストのCSV出力のテスト
+    test.test('CSV用サニタイゼーション（保存済みのテキスト）', () => {
+        const stored = TaskValidator.sanitizeInput('C/C++ "入門" Tom\'s & More');
+        const result = validator.sanitizeForCsv(stored);
+        test.assert(result === '"C/C++ ""入門"" Tom\'s & More"', '保存時のエスケープが戻されていない、または重ねてエスケープされている');
+    });
+
     test.run();
 }
 
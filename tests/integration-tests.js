@@ -54,8 +54,10 @@ class IntegrationTestSuite {
         // テスト用のアプリインスタンスを作成
         window.app = new ReadingDeclarationApp();
         
-        // 少し待機してアプリが初期化されるのを待つ
-        await this.wait(100);
+        // ストレージの初期化を待ち、IndexedDBに残っているデータも削除
+        await window.app.ready;
+        window.app.storageManager.clearAllTasks();
+        window.app.loadAndDisplayTasks();
     }
 
     /**
@@ -78,6 +80,11 @@ class IntegrationTestSuite {
             this.testContainer = null;
         }
         
+        // テスト用アプリのタブ間同期を停止
+        if (window.app && window.app !== this.originalApp) {
+            window.app.storageManager.stopSync();
+        }
+        
         // 元のアプリインスタンスを復元
         window.app = this.originalApp;
         
@@ -326,16 +333,14 @@ class IntegrationTestSuite {
         // 2. 一つのタスクを完了
         await window.app.completeTask(task1.id);
         
-        // 3. ローカルストレージに保存されているか確認
-        const storedData = localStorage.getItem('reading-tasks');
-        this.assertNotNull(storedData, 'Tasks should be stored in localStorage');
-        
-        const parsedData = JSON.parse(storedData);
-        this.assertEqual(parsedData.length, 2, 'Two tasks should be stored');
+        // 3. ストレージ（IndexedDBまたはローカルストレージ）に保存されているか確認
+        await this.wait(100);
+        const storedData = window.app.storageManager.adapter.getAll();
+        this.assertEqual(storedData.length, 2, 'Two tasks should be stored');
         
         // 4. 新しいアプリインスタンスを作成してデータが復元されるか確認
         const newApp = new ReadingDeclarationApp();
-        await this.wait(100);
+        await newApp.ready;
         
         const restoredTasks = newApp.taskManager.getAllTasks();
         this.assertEqual(restoredTasks.length, 2, 'Tasks should be restored from storage');
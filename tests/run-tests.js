@@ -43,29 +43,43 @@ global.sessionStorage = {
 try {
     // Load the JavaScript files in order
     const taskModelCode = fs.readFileSync(path.join(__dirname, '../js/task-model.js'), 'utf8');
+    const storageAdaptersCode = fs.readFileSync(path.join(__dirname, '../js/storage-adapters.js'), 'utf8');
     const storageManagerCode = fs.readFileSync(path.join(__dirname, '../js/storage-manager.js'), 'utf8');
+    const shareManagerCode = fs.readFileSync(path.join(__dirname, '../js/share-manager.js'), 'utf8');
     const taskManagerCode = fs.readFileSync(path.join(__dirname, '../js/task-manager.js'), 'utf8');
+    const inputValidatorCode = fs.readFileSync(path.join(__dirname, '../js/input-validator.js'), 'utf8');
+    const exportManagerCode = fs.readFileSync(path.join(__dirname, '../js/export-manager.js'), 'utf8');
+    const importManagerCode = fs.readFileSync(path.join(__dirname, '../js/import-manager.js'), 'utf8');
     const testCode = fs.readFileSync(path.join(__dirname, 'task-manager.test.js'), 'utf8');
 
     // Execute the code in global scope
     eval(taskModelCode);
+    eval(storageAdaptersCode);
     eval(storageManagerCode);
+    eval(shareManagerCode);
     eval(taskManagerCode);
+    eval(inputValidatorCode);
+    eval(exportManagerCode);
+    eval(importManagerCode);
     eval(testCode);
 
     // Run the tests
     console.log('🧪 Running TaskManager Unit Tests in Node.js...\n');
     
     const testSuite = new TaskManagerTestSuite();
-    const results = testSuite.runAllTests();
-    
-    // Exit with appropriate code
-    if (results.failed > 0 || results.errors > 0) {
+    testSuite.runAllTests().then(results => {
+        // Exit with appropriate code
+        if (results.failed > 0 || results.errors > 0) {
+            process.exit(1);
+        } else {
+            console.log('\n🎉 All tests passed successfully!');
+            process.exit(0);
+        }
+    }).catch(error => {
+        console.error('❌ Failed to run tests:', error.message);
+        console.error(error.stack);
         process.exit(1);
-    } else {
-        console.log('\n🎉 All tests passed successfully!');
-        process.exit(0);
-    }
+    });
     
 } catch (error) {
     console.error('❌ Failed to run tests:', error.message);
@@ -21,6 +21,7 @@ global.sessionStorage = global.localStorage;
 // Load and execute the source files
 try {
     eval(fs.readFileSync(path.join(__dirname, 'js/task-model.js'), 'utf8'));
+    eval(fs.readFileSync(path.join(__dirname, 'js/storage-adapters.js'), 'utf8'));
     eval(fs.readFileSync(path.join(__dirname, 'js/storage-manager.js'), 'utf8'));
     eval(fs.readFileSync(path.join(__dirname, 'js/task-manager.js'), 'utf8'));
     
@@ -64,6 +64,91 @@ class MockStorageManager {
     }
 }
 
+// Minimal in-memory IndexedDB for testing IndexedDBStorageAdapter
+// リクエストとトランザクションは実際のIndexedDBと同じく、ハンドラーの設定後に非同期で完了する
+class MockIndexedDB {
+    constructor() {
+        this.databases = new Map();
+        this.blockOpen = false;
+        this.failWrites = false;
+    }
+
+    open(name, version) {
+        const openRequest = {};
+        setTimeout(() => {
+            if (this.blockOpen) {
+                if (openRequest.onblocked) openRequest.onblocked();
+                return;
+            }
+
+            let database = this.databases.get(name);
+            if (!database) {
+                database = { version: 0, stores: new Map() };
+                this.databases.set(name, database);
+            }
+
+            openRequest.result = this.createConnection(database);
+            if (database.version < version) {
+                database.version = version;
+                if (openRequest.onupgradeneeded) openRequest.onupgradeneeded();
+            }
+            if (openRequest.onsuccess) openRequest.onsuccess();
+        }, 0);
+        return openRequest;
+    }
+
+    createConnection(database) {
+        return {
+            objectStoreNames: { contains: (storeName) => database.stores.has(storeName) },
+            createObjectStore: (storeName, options) => {
+                database.stores.set(storeName, { keyPath: options.keyPath, records: new Map() });
+            },
+            transaction: (storeName, mode) => this.createTransaction(database.stores.get(storeName), mode),
+            close: () => {}
+        };
+    }
+
+    createTransaction(store, mode) {
+        const requests = [];
+        const transaction = {
+            error: null,
+            objectStore: () => {
+                const enqueue = (operation) => {
+                    const idbRequest = {};
+                    requests.push({ idbRequest, operation });
+                    return idbRequest;
+                };
+                return {
+                    getAll: () => enqueue(() => Array.from(store.records.values()).map(record => structuredClone(record))),
+                    get: (key) => enqueue(() => structuredClone(store.records.get(key))),
+                    put: (value) => enqueue(() => { store.records.set(value[store.keyPath], structuredClone(value)); }),
+                    delete: (key) => enqueue(() => { store.records.delete(key); }),
+                    clear: () => enqueue(() => { store.records.clear(); })
+                };
+            }
+        };
+
+        setTimeout(() => {
+            if (mode === 'readwrite' && this.failWrites) {
+                transaction.error = new Error('QuotaExceededError');
+                if (transaction.onerror) transaction.onerror();
+                return;
+            }
+
+            requests.forEach(({ idbRequest, operation }) => {
+                idbRequest.result = operation();
+                if (idbRequest.onsuccess) idbRequest.onsuccess();
+            });
+            if (transaction.oncomplete) transaction.oncomplete();
+        }, 0);
+        return transaction;
+    }
+
+    getRecords(databaseName, storeName) {
+        return Array.from(this.databases.get(databaseName).stores.get(storeName).records.values());
+    }
+}
+
 // Test Suite
 class TaskManagerTestSuite {
     constructor() {
@@ -318,6 +403,1311 @@ class TaskManagerTestSuite {
         this.assertEqual(Math.round(stats.completionRate), 33, 'Should calculate correct completion rate');
     }
 
+    // Test: reading progress tracking
+    testProgressTracking() {
+        console.log('\n--- Testing progress tracking ---');
+        
+        this.mockStorage.setFailMode(false);
+
+        // Test task creation with total pages
+        const task = this.taskManager.addTask('進捗テスト本', '著者', { totalPages: 300 });
+        this.assertNotNull(task, 'Should create task with total pages');
+        this.assertEqual(task.totalPages, 300, 'Should set total pages');
+        this.assertEqual(task.currentPage, 0, 'Should start at page 0');
+
+        // Test invalid total pages
+        const invalidPagesTask = this.taskManager.addTask('無効ページ本', '', { totalPages: -1 });
+        this.assertNull(invalidPagesTask, 'Should return null for invalid total pages');
+
+        // Test recording progress
+        const progressed = this.taskManager.updateProgress(task.id, 120);
+        this.assertNotNull(progressed, 'Should record progress');
+        this.assertEqual(this.taskManager.getTask(task.id).currentPage, 120, 'Should persist current page');
+
+        // Test progress beyond total pages
+        const overflow = this.taskManager.updateProgress(task.id, 301);
+        this.assertNull(overflow, 'Should return null when page exceeds total pages');
+
+        // Test setting total pages later
+        const noPagesTask = this.taskManager.addTask('ページ未設定本');
+        this.assertNull(noPagesTask.totalPages, 'Should default total pages to null');
+        const withPages = this.taskManager.setTotalPages(noPagesTask.id, 200);
+        this.assertEqual(withPages.totalPages, 200, 'Should set total pages on existing task');
+
+        // Test completion fills progress
+        const completed = this.taskManager.completeTask(task.id);
+        this.assertEqual(completed.currentPage, 300, 'Should set current page to total pages on completion');
+
+        // Test progress on completed task
+        const afterComplete = this.taskManager.updateProgress(task.id, 10);
+        this.assertNull(afterComplete, 'Should return null when recording progress on completed task');
+    }
+
+    // Test: reading sessions
+    testReadingSessions() {
+        console.log('\n--- Testing reading sessions ---');
+        
+        this.mockStorage.setFailMode(false);
+        const task = this.taskManager.addTask('セッションテスト本', '', { totalPages: 100 });
+
+        // Test starting a session
+        const session = this.taskManager.startReadingSession(task.id);
+        this.assertNotNull(session, 'Should start reading session');
+        this.assertNull(session.endedAt, 'Running session should not have end time');
+
+        // Test starting a second session while one is running
+        const duplicate = this.taskManager.startReadingSession(task.id);
+        this.assertNull(duplicate, 'Should return null when a session is already running');
+
+        // Test stopping the session
+        const stopped = this.taskManager.stopReadingSession(task.id, 30, '第1章');
+        this.assertNotNull(stopped, 'Should stop reading session');
+        this.assertNotNull(stopped.endedAt, 'Stopped session should have end time');
+        this.assertEqual(stopped.pagesRead, 30, 'Should record pages read');
+        this.assertEqual(stopped.memo, '第1章', 'Should record memo');
+        this.assertEqual(this.taskManager.getTask(task.id).currentPage, 30, 'Should advance current page by pages read');
+
+        // Test stopping without a running session
+        const noSession = this.taskManager.stopReadingSession(task.id, 0);
+        this.assertNull(noSession, 'Should return null when no session is running');
+
+        // Test invalid pages read
+        this.taskManager.startReadingSession(task.id);
+        const invalid = this.taskManager.stopReadingSession(task.id, -5);
+        this.assertNull(invalid, 'Should return null for negative pages read');
+
+        // Test completion closes the running session
+        this.taskManager.completeTask(task.id);
+        const sessions = this.taskManager.getReadingSessions(task.id);
+        this.assertArrayLength(sessions, 2, 'Should keep all sessions');
+        this.assert(sessions.every(s => s.endedAt), 'Completion should close running session');
+    }
+
+    // Test: lifecycle status transitions
+    testStatusTransitions() {
+        console.log('\n--- Testing status transitions ---');
+        
+        this.mockStorage.setFailMode(false);
+
+        // Test want-to-read creation and start
+        const backlog = this.taskManager.addTask('積読テスト本', '', { status: 'want-to-read' });
+        this.assertEqual(backlog.status, 'want-to-read', 'Should create want-to-read task');
+        this.assertNull(backlog.startedAt, 'Want-to-read task should not have start date');
+        this.assertArrayLength(this.taskManager.getWantToReadTasks(), 1, 'Should list want-to-read tasks');
+        this.assertNull(this.taskManager.completeTask(backlog.id), 'Should not complete want-to-read task');
+
+        const started = this.taskManager.startTask(backlog.id);
+        this.assertEqual(started.status, 'active', 'Should start want-to-read task');
+        this.assertNotNull(started.startedAt, 'Should set start date when starting');
+
+        // Test pause and resume
+        const paused = this.taskManager.pauseTask(backlog.id);
+        this.assertEqual(paused.status, 'paused', 'Should pause active task');
+        this.assertNotNull(paused.pausedAt, 'Should set paused date');
+        this.assertArrayLength(this.taskManager.getPausedTasks(), 1, 'Should list paused tasks');
+        this.assertNull(this.taskManager.pauseTask(backlog.id), 'Should not pause already paused task');
+
+        const resumed = this.taskManager.resumeTask(backlog.id);
+        this.assertEqual(resumed.status, 'active', 'Should resume paused task');
+        this.assertNull(resumed.pausedAt, 'Should clear paused date on resume');
+
+        // Test abandon
+        const abandoned = this.taskManager.abandonTask(backlog.id);
+        this.assertEqual(abandoned.status, 'abandoned', 'Should abandon task');
+        this.assertArrayLength(this.taskManager.getAbandonedTasks(), 1, 'Should list abandoned tasks');
+        this.assertNull(this.taskManager.startTask(backlog.id), 'Should not start abandoned task');
+
+        // Test invalid initial status
+        const invalidStatus = this.taskManager.addTask('無効ステータス本', '', { status: 'completed' });
+        this.assertNull(invalidStatus, 'Should return null for invalid initial status');
+
+        // Test completing paused task
+        const other = this.taskManager.addTask('中断から完了本');
+        this.taskManager.pauseTask(other.id);
+        const completed = this.taskManager.completeTask(other.id);
+        this.assertEqual(completed.status, 'completed', 'Should complete paused task');
+        this.assertNull(this.taskManager.resumeTask(other.id), 'Should not resume completed task');
+    }
+
+    // Test: rating and review on completion
+    testCompletionReview() {
+        console.log('\n--- Testing completion review ---');
+        
+        this.mockStorage.setFailMode(false);
+
+        // Test completion with rating and review
+        const task = this.taskManager.addTask('評価テスト本');
+        const completed = this.taskManager.completeTask(task.id, { rating: 4, review: '面白かった' });
+        this.assertNotNull(completed, 'Should complete task with review');
+        this.assertEqual(completed.rating, 4, 'Should store rating');
+        this.assertEqual(completed.review, '面白かった', 'Should store review');
+
+        // Test completion without review
+        const noReviewTask = this.taskManager.addTask('評価なし本');
+        const noReview = this.taskManager.completeTask(noReviewTask.id);
+        this.assertNull(noReview.rating, 'Should default rating to null');
+        this.assertEqual(noReview.review, '', 'Should default review to empty string');
+
+        // Test invalid rating
+        const invalidTask = this.taskManager.addTask('無効評価本');
+        const invalid = this.taskManager.completeTask(invalidTask.id, { rating: 6 });
+        this.assertNull(invalid, 'Should return null for rating out of range');
+        this.assertEqual(this.taskManager.getTask(invalidTask.id).status, 'active', 'Task should stay active after invalid review');
+    }
+
+    // Test: notes and quotes
+    testNotes() {
+        console.log('\n--- Testing notes and quotes ---');
+        
+        this.mockStorage.setFailMode(false);
+        const task = this.taskManager.addTask('メモテスト本');
+
+        // Test adding notes
+        const quote = this.taskManager.addNote(task.id, '名前はまだ無い', { page: 3, type: 'quote' });
+        this.assertNotNull(quote, 'Should add quote');
+        this.assertEqual(quote.type, 'quote', 'Should set note type');
+        this.assertEqual(quote.page, 3, 'Should set page number');
+        this.assertNotNull(quote.createdAt, 'Should set note timestamp');
+
+        const note = this.taskManager.addNote(task.id, 'あとで読み返す');
+        this.assertEqual(note.type, 'note', 'Should default note type to note');
+        this.assertNull(note.page, 'Should default page to null');
+        this.assertArrayLength(this.taskManager.getNotes(task.id), 2, 'Should list all notes');
+        this.assertEqual(this.taskManager.getNotes(task.id)[0].id, quote.id, 'Should sort notes with page first');
+
+        // Test invalid notes
+        this.assertNull(this.taskManager.addNote(task.id, ''), 'Should return null for empty note');
+        this.assertNull(this.taskManager.addNote(task.id, 'ページ不正', { page: 0 }), 'Should return null for invalid page');
+        this.assertNull(this.taskManager.addNote('non-existent-id', 'メモ'), 'Should return null for non-existent task');
+
+        // Test deleting notes
+        this.assertEqual(this.taskManager.deleteNote(task.id, note.id), true, 'Should delete note');
+        this.assertArrayLength(this.taskManager.getNotes(task.id), 1, 'Should remove deleted note');
+        this.assertEqual(this.taskManager.deleteNote(task.id, note.id), false, 'Should return false for non-existent note');
+    }
+
+    // Test: Tags and tag filtering
+    testTags() {
+        console.log('\n--- Testing tags ---');
+        
+        this.mockStorage.setFailMode(false);
+        const task1 = this.taskManager.addTask('タグテスト本1', '', { tags: ['#work', '技術書', 'work'] });
+        const task2 = this.taskManager.addTask('タグテスト本2', '', { tags: 'novel、技術書' });
+        this.taskManager.addTask('タグなし本');
+
+        // Test normalization
+        this.assertArrayLength(task1.tags, 2, 'Should normalize and dedupe tags');
+        this.assertEqual(task1.tags[0], 'work', 'Should strip leading #');
+        this.assertArrayLength(task2.tags, 2, 'Should split comma separated tags');
+
+        // Test listing and filtering
+        this.assertArrayLength(this.taskManager.getAllTags(), 3, 'Should list distinct tags');
+        const filtered = this.taskManager.filterTasksByTag(this.taskManager.getAllTasks(), '技術書');
+        this.assertArrayLength(filtered, 2, 'Should filter tasks by tag');
+        const unfiltered = this.taskManager.filterTasksByTag(this.taskManager.getAllTasks(), null);
+        this.assertArrayLength(unfiltered, 3, 'Should return all tasks without tag filter');
+
+        // Test updating tags
+        const updated = this.taskManager.setTags(task1.id, ['novel']);
+        this.assertNotNull(updated, 'Should update tags');
+        this.assertEqual(updated.tags.join(','), 'novel', 'Should replace tags');
+        this.assertNull(this.taskManager.setTags(task1.id, ['a'.repeat(21)]), 'Should reject too long tag');
+        this.assertNull(this.taskManager.setTags('non-existent-id', ['work']), 'Should return null for non-existent task');
+    }
+
+    // Test: Editing title and author
+    testUpdateTaskInfo() {
+        console.log('\n--- Testing task info update ---');
+        
+        this.mockStorage.setFailMode(false);
+        const task = this.taskManager.addTask('タイポ本', '著者');
+
+        const updated = this.taskManager.updateTaskInfo(task.id, '正しい本', '正しい著者');
+        this.assertNotNull(updated, 'Should update task info');
+        this.assertEqual(updated.bookTitle, '正しい本', 'Should update book title');
+        this.assertEqual(updated.author, '正しい著者', 'Should update author');
+        this.assertEqual(updated.id, task.id, 'Should keep task id');
+
+        const stored = this.taskManager.getTask(task.id);
+        this.assertEqual(stored.createdAt.getTime(), new Date(task.createdAt).getTime(), 'Should keep createdAt');
+        this.assertEqual(stored.bookTitle, '正しい本', 'Should persist updated title');
+
+        // Test invalid updates
+        this.assertNull(this.taskManager.updateTaskInfo(task.id, ''), 'Should return null for empty title');
+        this.assertNull(this.taskManager.updateTaskInfo(task.id, 'a'.repeat(101)), 'Should return null for too long title');
+        this.assertNull(this.taskManager.updateTaskInfo('non-existent-id', '本'), 'Should return null for non-existent task');
+        this.assertEqual(this.taskManager.getTask(task.id).bookTitle, '正しい本', 'Should keep title after failed update');
+
+        // 編集欄に表示した値（エスケープを戻した値）をそのまま保存しても変わらない
+        const special = this.taskManager.addTask('C/C++ "入門" Tom\'s & More', "O'Reilly");
+        const titleInEditor = TaskValidator.decodeInput(special.bookTitle);
+        const authorInEditor = TaskValidator.decodeInput(special.author);
+        this.assertEqual(titleInEditor, 'C/C++ "入門" Tom\'s & More', 'Should show original title in editor');
+        this.assertEqual(authorInEditor, "O'Reilly", 'Should show original author in editor');
+        const resaved = this.taskManager.updateTaskInfo(special.id, titleInEditor, authorInEditor);
+        this.assertNotNull(resaved, 'Should save title with special characters');
+        this.assertEqual(resaved.bookTitle, special.bookTitle, 'Should not escape title twice on edit');
+        this.assertEqual(resaved.author, special.author, 'Should not escape author twice on edit');
+        this.assertEqual(TaskValidator.decodeInput(this.taskManager.getTask(special.id).bookTitle), titleInEditor, 'Should round-trip edited title');
+    }
+
+    // Test: Trash and undo
+    testTrashAndUndo() {
+        console.log('\n--- Testing trash and undo ---');
+        
+        this.mockStorage.setFailMode(false);
+        const task = this.taskManager.addTask('ゴミ箱テスト本');
+
+        // Test moving to trash
+        this.assertEqual(this.taskManager.trashTask(task.id), true, 'Should move task to trash');
+        this.assertArrayLength(this.taskManager.getAllTasks(), 0, 'Should exclude trashed task from all tasks');
+        this.assertArrayLength(this.taskManager.getActiveTasks(), 0, 'Should exclude trashed task from active tasks');
+        this.assertArrayLength(this.taskManager.getTrashedTasks(), 1, 'Should list trashed task');
+        this.assertEqual(this.taskManager.getTask(task.id).status, 'active', 'Should keep status in trash');
+        this.assertEqual(this.taskManager.trashTask(task.id), false, 'Should not trash task twice');
+
+        // Test restoring
+        this.assertEqual(this.taskManager.restoreTask(task.id), true, 'Should restore task');
+        this.assertArrayLength(this.taskManager.getActiveTasks(), 1, 'Should show restored task again');
+        this.assertEqual(this.taskManager.restoreTask(task.id), false, 'Should not restore task outside trash');
+
+        // Test reverting completion
+        const previousTaskData = this.taskManager.getTask(task.id);
+        this.taskManager.completeTask(task.id, { rating: 4 });
+        const reverted = this.taskManager.revertTask(previousTaskData);
+        this.assertNotNull(reverted, 'Should revert completed task');
+        this.assertEqual(this.taskManager.getTask(task.id).status, 'active', 'Should restore previous status');
+        this.assertNull(this.taskManager.getTask(task.id).completedAt, 'Should clear completedAt');
+        this.assertNull(this.taskManager.getTask(task.id).rating, 'Should clear rating');
+
+        // Test emptying trash
+        this.taskManager.trashTask(task.id);
+        this.assertEqual(this.taskManager.emptyTrash(), true, 'Should empty trash');
+        this.assertNull(this.taskManager.getTask(task.id), 'Should permanently delete trashed task');
+    }
+
+    // Test: Reopen and re-read
+    testRereads() {
+        console.log('\n--- Testing reopen and re-reads ---');
+        
+        this.mockStorage.setFailMode(false);
+        const task = this.taskManager.addTask('再読テスト本', '', { totalPages: 100 });
+        this.assertNull(this.taskManager.reopenTask(task.id), 'Should not reopen active task');
+        this.assertNull(this.taskManager.startRereadTask(task.id), 'Should not reread active task');
+
+        // Test reopening
+        this.taskManager.completeTask(task.id, { rating: 3 });
+        const reopened = this.taskManager.reopenTask(task.id);
+        this.assertNotNull(reopened, 'Should reopen completed task');
+        this.assertEqual(reopened.status, 'active', 'Should set status to active');
+        this.assertNull(reopened.completedAt, 'Should clear completedAt');
+        this.assertArrayLength(reopened.reads, 0, 'Should not create read record when reopening');
+
+        // Test re-reading
+        const completed = this.taskManager.completeTask(task.id, { rating: 5, review: '最高' });
+        const reread = this.taskManager.startRereadTask(task.id);
+        this.assertNotNull(reread, 'Should start re-read');
+        this.assertEqual(reread.status, 'active', 'Should set status to active for re-read');
+        this.assertEqual(reread.currentPage, 0, 'Should reset current page for re-read');
+        this.assertNull(reread.rating, 'Should reset rating for re-read');
+        this.assertArrayLength(reread.reads, 1, 'Should keep previous read as a record');
+
+        const previousRead = this.taskManager.getTask(task.id).reads[0];
+        this.assertEqual(previousRead.rating, 5, 'Should keep previous rating');
+        this.assertEqual(previousRead.completedAt.getTime(), new Date(completed.completedAt).getTime(), 'Should keep previous completion date');
+        this.assertArrayLength(this.taskManager.getReadHistory(task.id), 2, 'Should list previous and current reads');
+        this.assertArrayLength(this.taskManager.getAllTasks(), 1, 'Should not create duplicate task');
+    }
+
+    // Test: StorageManager with a storage adapter
+    async testStorageAdapter() {
+        console.log('\n--- Testing storage adapter ---');
+        
+        // 書き込みを記録するインメモリのアダプター
+        class RecordingAdapter extends StorageAdapter {
+            constructor() {
+                super();
+                this.records = new Map();
+                this.operations = [];
+            }
+            getAll() { return Array.from(this.records.values()); }
+            put(task) { this.operations.push('put'); this.records.set(task.id, task); return Promise.resolve(); }
+            remove(taskId) { this.operations.push('remove'); this.records.delete(taskId); return Promise.resolve(); }
+            clear() { this.operations.push('clear'); this.records.clear(); return Promise.resolve(); }
+            getVersion() { return this.version === undefined ? null : this.version; }
+            setVersion(version) { this.version = version; return Promise.resolve(); }
+            getType() { return 'memory'; }
+        }
+
+        const adapter = new RecordingAdapter();
+        let versionReads = 0;
+        const getVersion = adapter.getVersion.bind(adapter);
+        adapter.getVersion = () => { versionReads++; return getVersion(); };
+
+        const storageManager = new StorageManager(adapter);
+        const taskManager = new TaskManager(storageManager, { enableLogging: false });
+
+        const task = taskManager.addTask('アダプターテスト本');
+        this.assertNotNull(task, 'Should add task through adapter');
+        taskManager.updateProgress(task.id, 10);
+        this.assertEqual(adapter.operations.join(','), 'put,put', 'Should write only the changed task');
+        this.assertEqual(taskManager.getTask(task.id).currentPage, 10, 'Should read updated task from adapter');
+        this.assertEqual(taskManager.getTask(task.id).createdAt instanceof Date, true, 'Should convert dates on load');
+
+        this.assertEqual(taskManager.deleteTask(task.id), true, 'Should delete task through adapter');
+        this.assertEqual(adapter.operations[2], 'remove', 'Should remove only the deleted task');
+        this.assertEqual(storageManager.getStorageInfo().storageType, 'memory', 'Should report adapter type');
+        this.assertEqual(adapter.version, StorageManager.SCHEMA_VERSION, 'Should record schema version on first write');
+        this.assertEqual(versionReads, 1, 'Should not read schema version on every write');
+
+        // アダプターが同期的に失敗した場合
+        adapter.put = () => { throw new Error('QuotaExceededError'); };
+        this.assertNull(taskManager.addTask('容量不足テスト'), 'Should return null when adapter write fails');
+
+        // 初期化に失敗した場合のローカルストレージへの切り替え
+        localStorage.clear();
+        this.assertEqual(await storageManager.fallbackToLocalStorage(), true, 'Should resolve true after falling back');
+        this.assertEqual(storageManager.getStorageInfo().storageType, 'localStorage', 'Should fall back to localStorage');
+        this.assertNotNull(taskManager.addTask('切り替え後の本'), 'Should save after falling back');
+
+        // ローカルストレージのアダプターは書き込みのたびに保存データを解析しない
+        const localAdapter = new LocalStorageAdapter('version-cache-test');
+        await localAdapter.setVersion(StorageManager.SCHEMA_VERSION);
+        let payloadParses = 0;
+        const parsePayload = localAdapter.parsePayload.bind(localAdapter);
+        localAdapter.parsePayload = () => { payloadParses++; return parsePayload(); };
+        await localAdapter.replaceAll([{ id: 'cache-1' }]);
+        await localAdapter.put({ id: 'cache-2' });
+        await localAdapter.put({ id: 'cache-1', bookTitle: '更新' });
+        await localAdapter.remove('cache-2');
+        this.assertEqual(payloadParses, 0, 'Should not parse stored payload on write');
+        const storedPayload = JSON.parse(localStorage.getItem('version-cache-test'));
+        this.assertEqual(storedPayload.version, StorageManager.SCHEMA_VERSION, 'Should keep schema version on write');
+        this.assertEqual(JSON.stringify(storedPayload.tasks), JSON.stringify([{ id: 'cache-1', bookTitle: '更新' }]), 'Should write tasks from kept payload');
+
+        // 他のタブでの変更後は読み込み直す
+        localStorage.setItem('version-cache-test', JSON.stringify({ version: 2, tasks: [{ id: 'other-tab' }] }));
+        this.assertEqual(localAdapter.getAll()[0].id, 'cache-1', 'Should keep payload until reload');
+        await localAdapter.reload();
+        this.assertEqual(localAdapter.getVersion(), 2, 'Should read schema version again after reload');
+        this.assertEqual(localAdapter.getAll()[0].id, 'other-tab', 'Should read tasks again after reload');
+        this.assertEqual(payloadParses, 1, 'Should parse stored payload once after reload');
+        localStorage.clear();
+    }
+
+    // Test: IndexedDB storage adapter
+    async testIndexedDBAdapter() {
+        console.log('\n--- Testing IndexedDB storage adapter ---');
+
+        // 非同期の書き込みの完了を待つ
+        const flush = () => new Promise(resolve => setTimeout(resolve, 10));
+
+        // ローカルストレージに保存されている従来のデータ（バージョン導入前の形式）
+        localStorage.clear();
+        localStorage.setItem('reading-tasks', JSON.stringify([
+            { id: 'legacy-idb', bookTitle: '移行する本', author: '', status: 'active', createdAt: '2024-01-01T00:00:00.000Z', completedAt: null }
+        ]));
+
+        const factory = new MockIndexedDB();
+        const storageManager = new StorageManager(new IndexedDBStorageAdapter({ indexedDB: factory }));
+        await storageManager.init();
+
+        this.assertEqual(storageManager.getStorageInfo().storageType, 'indexedDB', 'Should use IndexedDB');
+        const database = factory.databases.get('reading-declaration');
+        this.assertEqual(database.version, 2, 'Should open database at current version');
+        this.assertEqual(database.stores.has('tasks') && database.stores.has('meta'), true, 'Should create task and meta stores on upgrade');
+        this.assertNull(localStorage.getItem('reading-tasks'), 'Should remove migrated localStorage data');
+
+        const migrated = storageManager.loadTasks();
+        this.assertArrayLength(migrated, 1, 'Should migrate tasks from localStorage');
+        this.assertEqual(migrated[0].startedAt.getTime(), new Date('2024-01-01T00:00:00.000Z').getTime(), 'Should migrate legacy schema while moving');
+        this.assertArrayLength(factory.getRecords('reading-declaration', 'tasks'), 1, 'Should write migrated tasks to IndexedDB');
+        const versionRecord = factory.getRecords('reading-declaration', 'meta').find(record => record.key === 'schemaVersion');
+        this.assertEqual(versionRecord.value, StorageManager.SCHEMA_VERSION, 'Should record schema version in meta store');
+
+        // 書き込み後の読み込み直し（他のタブ）
+        const taskManager = new TaskManager(storageManager, { enableLogging: false });
+        const otherTabStorage = new StorageManager(new IndexedDBStorageAdapter({ indexedDB: factory }));
+        await otherTabStorage.init();
+
+        const added = taskManager.addTask('IndexedDBに追加した本');
+        taskManager.updateProgress(added.id, 12);
+        taskManager.deleteTask('legacy-idb');
+        this.assertEqual(storageManager.loadTasks().map(task => task.id).join(','), added.id, 'Should keep memory in sync with writes');
+        await flush();
+
+        const records = factory.getRecords('reading-declaration', 'tasks');
+        this.assertArrayLength(records, 1, 'Should write only remaining tasks');
+        this.assertEqual(records[0].currentPage, 12, 'Should write updated task');
+        this.assertArrayLength(otherTabStorage.loadTasks(), 1, 'Should be stale before reload');
+        await otherTabStorage.handleExternalChange({ type: 'tasks-changed', taskIds: [added.id] });
+        const reloaded = otherTabStorage.loadTasks();
+        this.assertEqual(reloaded.length === 1 && reloaded[0].id === added.id, true, 'Should read written tasks after reload');
+        this.assertEqual(reloaded[0].currentPage, 12, 'Should read updated fields after reload');
+
+        // 統合インポートは追加するタスクだけを書き込み、既存のレコードを消さない
+        const writes = [];
+        const idbAdapter = storageManager.adapter;
+        const replaceAll = idbAdapter.replaceAll.bind(idbAdapter);
+        idbAdapter.replaceAll = (tasks) => { writes.push('replaceAll'); return replaceAll(tasks); };
+        const putMany = idbAdapter.putMany.bind(idbAdapter);
+        idbAdapter.putMany = (tasks) => { writes.push(`putMany:${tasks.length}`); return putMany(tasks); };
+
+        const importedTask = new Task('統合で取り込む本').toJSON();
+        const mergeResult = taskManager.importTasks([taskManager.getTask(added.id), importedTask], 'merge');
+        this.assertEqual(mergeResult.imported, 1, 'Should import only new tasks when merging');
+        this.assertEqual(writes.join(','), 'putMany:1', 'Should write only new tasks in one batch when merging');
+        this.assertNull(taskManager.importTasks([{ ...new Task('不正な本').toJSON(), status: 'unknown' }], 'merge'), 'Should reject merge with invalid task');
+        await flush();
+        this.assertEqual(writes.join(','), 'putMany:1', 'Should not write when merge has invalid task');
+        this.assertArrayLength(factory.getRecords('reading-declaration', 'tasks'), 2, 'Should keep existing records when merging');
+
+        taskManager.importTasks([importedTask], 'replace');
+        this.assertEqual(writes[writes.length - 1], 'replaceAll', 'Should replace all records only in replace mode');
+        await flush();
+        this.assertArrayLength(factory.getRecords('reading-declaration', 'tasks'), 1, 'Should replace records in replace mode');
+
+        // 書き込みの失敗はonPersistErrorに通知する
+        const persistErrors = [];
+        storageManager.onPersistError = (error) => persistErrors.push(error);
+        factory.failWrites = true;
+        this.assertNotNull(taskManager.addTask('保存に失敗する本'), 'Should accept write before transaction fails');
+        await flush();
+        this.assertArrayLength(persistErrors, 1, 'Should report failed transaction to onPersistError');
+        this.assertEqual(persistErrors[0].message, 'QuotaExceededError', 'Should pass transaction error');
+
+        // 他のタブが使用中で開けない場合はローカルストレージを使用
+        factory.blockOpen = true;
+        const blockedStorage = new StorageManager(new IndexedDBStorageAdapter({ indexedDB: factory, databaseName: 'blocked' }));
+        await blockedStorage.init();
+        this.assertEqual(blockedStorage.getStorageInfo().storageType, 'localStorage', 'Should fall back to localStorage when blocked');
+
+        localStorage.clear();
+    }
+
+    // Test: Versioned storage schema and migrations
+    async testStorageMigrations() {
+        console.log('\n--- Testing storage schema migrations ---');
+        
+        // バージョン導入前の形式（タスクの配列）で保存されたデータ
+        localStorage.clear();
+        localStorage.setItem('reading-tasks', JSON.stringify([
+            { id: 'legacy-1', bookTitle: '旧形式の本', author: '', status: 'active', createdAt: '2024-01-01T00:00:00.000Z', completedAt: null }
+        ]));
+
+        const storageManager = new StorageManager();
+        this.assertEqual(storageManager.getStoredVersion(), 1, 'Should treat bare array as version 1');
+
+        const tasks = storageManager.loadTasks();
+        this.assertArrayLength(tasks, 1, 'Should load legacy tasks');
+        this.assertEqual(tasks[0].startedAt.getTime(), new Date('2024-01-01T00:00:00.000Z').getTime(), 'Should migrate startedAt from createdAt');
+        this.assertArrayLength(tasks[0].notes, 0, 'Should add default fields');
+
+        // マイグレーションの保存
+        this.assertEqual(await storageManager.runMigrations(), true, 'Should resolve true when migration succeeds');
+        const payload = JSON.parse(localStorage.getItem('reading-tasks'));
+        this.assertEqual(payload.version, StorageManager.SCHEMA_VERSION, 'Should save versioned envelope');
+        this.assertArrayLength(payload.tasks, 1, 'Should keep tasks in envelope');
+
+        // マイグレーションの順序
+        const order = [];
+        storageManager.migrations = [
+            { version: 3, migrate: (t) => { order.push(3); return t; } },
+            { version: 4, migrate: (t) => { order.push(4); return t; } }
+        ];
+        const result = storageManager.migrateTasks([], 2);
+        this.assertEqual(order.join(','), '3,4', 'Should run migrations in version order');
+        this.assertEqual(result.version, 4, 'Should return last migrated version');
+
+        // マイグレーション失敗時はバックアップを残す
+        localStorage.setItem('reading-tasks', JSON.stringify({ version: 1, tasks: [{ id: 'legacy-2' }] }));
+        await storageManager.adapter.reload();
+        storageManager.migrations = [
+            { version: 2, migrate: () => { throw new Error('変換エラー'); } }
+        ];
+        this.assertEqual(await storageManager.runMigrations(), false, 'Should resolve false when migration fails');
+        const backup = JSON.parse(localStorage.getItem('reading-tasks-backup-v1'));
+        this.assertNotNull(backup, 'Should leave backup when migration fails');
+        this.assertEqual(backup.tasks[0].id, 'legacy-2', 'Should back up original tasks');
+        this.assertEqual(JSON.parse(localStorage.getItem('reading-tasks')).version, 1, 'Should keep original data on failure');
+
+        localStorage.clear();
+    }
+
+    // Test: Cross-tab synchronization
+    testCrossTabSync() {
+        console.log('\n--- Testing cross-tab synchronization ---');
+        
+        localStorage.clear();
+        const storageManager = new StorageManager();
+        const taskManager = new TaskManager(storageManager, { enableLogging: false });
+        const notifications = [];
+        storageManager.startSync(taskIds => {
+            notifications.push(taskIds);
+            taskManager.refresh();
+        });
+
+        // 他のタブがlocalStorageに書き込んだ状態を再現
+        const otherTabStorage = new StorageManager();
+        const otherTabTaskManager = new TaskManager(otherTabStorage, { enableLogging: false });
+        otherTabTaskManager.addTask('別タブで追加した本');
+        this.assertArrayLength(taskManager.getAllTasks(), 0, 'Should be stale before storage event');
+
+        storageManager.handleStorageEvent({ key: 'reading-tasks' });
+        this.assertArrayLength(notifications, 1, 'Should notify listeners on storage event');
+        this.assertArrayLength(taskManager.getAllTasks(), 1, 'Should reload tasks written by other tab');
+
+        storageManager.handleStorageEvent({ key: 'unrelated-key' });
+        this.assertArrayLength(notifications, 1, 'Should ignore unrelated storage keys');
+
+        // 自分のタブの書き込みは他のタブの内容を上書きしない
+        taskManager.addTask('このタブで追加した本');
+        otherTabStorage.handleStorageEvent({ key: 'reading-tasks' });
+        this.assertArrayLength(otherTabStorage.loadTasks(), 2, 'Should keep tasks written by other tab');
+
+        storageManager.stopSync();
+        this.assertArrayLength(storageManager.changeListeners, 0, 'Should remove listeners on stopSync');
+        localStorage.clear();
+    }
+
+    // Test: JSON library export and import
+    testLibraryExportImport() {
+        console.log('\n--- Testing JSON library export and import ---');
+        
+        localStorage.clear();
+        const storageManager = new StorageManager();
+        const taskManager = new TaskManager(storageManager, { enableLogging: false });
+        const kept = taskManager.addTask('残す本', '著者A');
+        const trashed = taskManager.addTask('ゴミ箱の本');
+        taskManager.trashTask(trashed.id);
+
+        // エクスポートにはスキーマバージョンとゴミ箱のタスクを含める
+        const exported = JSON.parse(JSON.stringify(storageManager.exportLibrary()));
+        this.assertEqual(exported.format, StorageManager.EXPORT_FORMAT, 'Should include export format');
+        this.assertEqual(exported.version, StorageManager.SCHEMA_VERSION, 'Should include schema version');
+        this.assertArrayLength(exported.tasks, 2, 'Should export trashed tasks too');
+
+        // 不正なレコードは除外して報告
+        exported.tasks.push({ id: 'broken', bookTitle: '', status: 'active', createdAt: '2024-01-01' });
+        exported.tasks.push({ id: 'bad-date', bookTitle: '日付不正', status: 'active', createdAt: 'not-a-date' });
+        const parsed = storageManager.parseLibraryImport(exported);
+        this.assertArrayLength(parsed.tasks, 2, 'Should accept valid tasks');
+        this.assertArrayLength(parsed.rejected, 2, 'Should reject invalid tasks');
+        this.assertEqual(parsed.rejected[1].bookTitle, '日付不正', 'Should report rejected title');
+        this.assertEqual(parsed.rejected[1].reason, '登録日が不正です', 'Should report rejection reason');
+
+        // メモ・セッション・過去の読書の要素が不正なレコードだけを除外する
+        const base = { bookTitle: '要素の確認', status: 'active', createdAt: '2024-01-01T00:00:00.000Z', completedAt: null };
+        const nested = storageManager.parseLibraryImport({
+            format: StorageManager.EXPORT_FORMAT,
+            version: StorageManager.SCHEMA_VERSION,
+            tasks: [
+                { ...base, id: 'null-note', notes: [null] },
+                { ...base, id: 'bad-session', sessions: [{ id: 's1', startedAt: '2024-01-01T00:00:00.000Z' }, 'session'] },
+                { ...base, id: 'bad-read', reads: [{ startedAt: '2024-01-01T00:00:00.000Z' }] },
+                { ...base, id: 'future-field', notes: [{ id: 'n1', type: 'quote', text: '引用', page: 3, createdAt: '2024-01-02T00:00:00.000Z' }], unknownField: 'x' }
+            ]
+        });
+        this.assertArrayLength(nested.tasks, 1, 'Should keep record with valid nested elements');
+        this.assertArrayLength(nested.rejected, 3, 'Should reject only records with invalid nested elements');
+        this.assertEqual(nested.rejected[0].reason, 'メモ・引用の1件目が不正です', 'Should report invalid note');
+        this.assertEqual(nested.rejected[1].reason, '読書セッションの2件目が不正です', 'Should report invalid session');
+        this.assertEqual(nested.rejected[2].reason, '過去の読書記録の1件目が不正です', 'Should report invalid read');
+        this.assertEqual(nested.tasks[0].notes[0].text, '引用', 'Should keep valid notes');
+        // どのスキーマにもない項目は取り込まない
+        this.assertEqual('unknownField' in nested.tasks[0], false, 'Should drop fields unknown to the schema');
+
+        // 統合: 登録済みのIDはスキップ
+        taskManager.addTask('新しい端末の本');
+        const merged = taskManager.importTasks(parsed.tasks, 'merge');
+        this.assertEqual(merged.imported, 0, 'Should not import existing tasks when merging');
+        this.assertEqual(merged.skipped, 2, 'Should report skipped tasks');
+        this.assertArrayLength(taskManager.getAllTasks(), 2, 'Should keep current tasks when merging');
+
+        // 置き換え
+        const replaced = taskManager.importTasks(parsed.tasks, 'replace');
+        this.assertEqual(replaced.imported, 2, 'Should import all tasks when replacing');
+        this.assertArrayLength(taskManager.getAllTasks(), 1, 'Should replace current tasks');
+        this.assertEqual(taskManager.getAllTasks()[0].id, kept.id, 'Should keep original ID');
+        this.assertArrayLength(taskManager.getTrashedTasks(), 1, 'Should restore trashed tasks');
+
+        // 複数行のメモや感想は、エクスポートして取り込んだ後も改行を残す
+        const multiline = taskManager.addTask('複数行の本');
+        taskManager.addNote(multiline.id, '引用の一行目\n  引用の二行目', { type: 'quote', page: 10 });
+        taskManager.completeTask(multiline.id, { rating: 5, review: '感想の一行目\n感想の二行目' });
+        const multilineExport = JSON.parse(JSON.stringify(storageManager.exportLibrary()));
+        localStorage.clear();
+        const restoredStorage = new StorageManager();
+        const restoredManager = new TaskManager(restoredStorage, { enableLogging: false });
+        restoredManager.importTasks(restoredStorage.parseLibraryImport(multilineExport).tasks, 'replace');
+        const restored = restoredManager.getTask(multiline.id);
+        this.assertEqual(restored.notes[0].text.split('\n').length, 2, 'Should keep line breaks in notes after round trip');
+        this.assertEqual(restored.notes[0].text, '引用の一行目\n  引用の二行目', 'Should keep note text after round trip');
+        this.assertEqual(restored.review, '感想の一行目\n感想の二行目', 'Should keep line breaks in review after round trip');
+        const restoredMarkdown = new ExportManager(new InputValidator()).generateMarkdown(restoredManager.getTask(multiline.id));
+        this.assert(restoredMarkdown.includes('> 引用の一行目\n>   引用の二行目'), 'Should export restored quote as multiple lines');
+        this.assertEqual(restoredStorage.sanitizeMultilineString('一行目\u0000\r\n<b>二行目</b>'), '一行目\r\n二行目', 'Should strip control characters and tags but keep line breaks');
+
+        // 旧形式（タスクの配列）はマイグレーションしてから取り込む
+        const legacy = storageManager.parseLibraryImport([
+            { id: 'legacy-1', bookTitle: '旧形式の本', author: '', status: 'active', createdAt: '2024-01-01T00:00:00.000Z', completedAt: null }
+        ]);
+        this.assertArrayLength(legacy.tasks[0].notes, 0, 'Should migrate legacy export');
+
+        // 新しいスキーマや形式の異なるファイルは読み込まない
+        let error = null;
+        try {
+            storageManager.parseLibraryImport({ ...exported, version: StorageManager.SCHEMA_VERSION + 1 });
+        } catch (e) {
+            error = e;
+        }
+        this.assertNotNull(error, 'Should reject newer schema version');
+
+        error = null;
+        try {
+            storageManager.parseLibraryImport({ tasks: [] });
+        } catch (e) {
+            error = e;
+        }
+        this.assertNotNull(error, 'Should reject unknown format');
+
+        this.assertNull(taskManager.importTasks(parsed.tasks, 'overwrite'), 'Should reject invalid import mode');
+        localStorage.clear();
+    }
+
+    // Test: CSV export
+    testCsvExport() {
+        console.log('\n--- Testing CSV export ---');
+        
+        localStorage.clear();
+        const storageManager = new StorageManager();
+        const taskManager = new TaskManager(storageManager, { enableLogging: false });
+        const task = taskManager.addTask('=危険なタイトル', '著者A', { totalPages: 200 });
+        taskManager.completeTask(task.id, { rating: 4 });
+        taskManager.addTask('読みたい本', '', { status: 'want-to-read' });
+
+        // sanitizeForCsvの呼び出しを記録する（実際のInputValidatorの処理を使う）
+        const inputValidator = new InputValidator();
+        const sanitizedValues = [];
+        const sanitizeForCsv = inputValidator.sanitizeForCsv.bind(inputValidator);
+        inputValidator.sanitizeForCsv = (value) => {
+            sanitizedValues.push(value);
+            return sanitizeForCsv(value);
+        };
+        const exportManager = new ExportManager(inputValidator);
+
+        const tasks = taskManager.sortTasksByDate(taskManager.getAllTasks(), 'asc');
+        const csv = exportManager.generateCsv(tasks);
+        this.assert(csv.startsWith('\uFEFF'), 'Should start with UTF-8 BOM');
+
+        const lines = csv.slice(1).split('\r\n');
+        this.assertEqual(lines[0], 'タイトル,著者,ステータス,開始日,読了日', 'Should use default columns');
+        this.assertEqual(lines[1].split(',')[0], "'=危険なタイトル", 'Should neutralize formula values');
+        this.assertEqual(lines[1].split(',')[2], '読了', 'Should output status label');
+        this.assertEqual(lines[1].split(',')[4], ExportManager.formatDate(new Date()), 'Should output completion date');
+        this.assertEqual(lines[2].split(',')[3], '', 'Should leave start date empty for want-to-read');
+        this.assertEqual(lines.length, 4, 'Should output header and every task');
+        this.assertEqual(sanitizedValues.length, 15, 'Should sanitize header and every value with sanitizeForCsv');
+
+        // 保存時のエスケープを重ねずに元の文字で出力する
+        const specialTask = taskManager.addTask('C/C++ "入門" Tom\'s, 2nd & More', "O'Reilly");
+        const specialCsv = exportManager.generateCsv([taskManager.getTask(specialTask.id)], ['bookTitle', 'author']);
+        this.assertEqual(specialCsv.slice(1).split('\r\n')[1], '"C/C++ ""入門"" Tom\'s, 2nd & More",O\'Reilly', 'Should not double escape text');
+        taskManager.deleteTask(specialTask.id);
+
+        // 列の並び順の設定
+        this.assert(exportManager.saveCsvColumns(['rating', 'bookTitle']), 'Should save column order');
+        this.assertEqual(exportManager.getCsvColumns().join(','), 'rating,bookTitle', 'Should load saved column order');
+        this.assertEqual(exportManager.generateCsv(tasks).slice(1).split('\r\n')[1], "4,'=危険なタイトル", 'Should follow column order');
+
+        this.assert(!exportManager.saveCsvColumns([]), 'Should reject empty columns');
+        this.assert(!exportManager.saveCsvColumns(['unknown']), 'Should reject unknown columns');
+
+        localStorage.setItem('reading-csv-columns', 'not json');
+        this.assertEqual(exportManager.getCsvColumns().join(','), ExportManager.DEFAULT_CSV_COLUMNS.join(','), 'Should fall back to default columns');
+        localStorage.clear();
+    }
+
+    // Test: Goodreads CSV import
+    testGoodreadsImport() {
+        console.log('\n--- Testing Goodreads CSV import ---');
+        
+        localStorage.clear();
+        const storageManager = new StorageManager();
+        const taskManager = new TaskManager(storageManager, { enableLogging: false });
+        taskManager.addTask('ＤＵＮＥ', 'Frank Herbert');
+
+        const importManager = new ImportManager();
+        const csv = [
+            'Book Id,Title,Author,My Rating,Number of Pages,Date Read,Date Added,Bookshelves,Exclusive Shelf',
+            '1,"Clean Code: A Handbook, 1st",Robert C. Martin,5,464,2023/05/14,2023/04/01,"favorites, read",read',
+            '2,Dune,Frank Herbert,0,,,2024/01/10,,currently-reading',
+            '3,"The ""Pragmatic"" Programmer",Andy Hunt,0,,,2024/02/01,,to-read',
+            `4,${'長'.repeat(101)},著者,0,,,2024/02/01,,to-read`,
+            '5,Unknown Shelf,著者,0,,,2024/02/01,,wishlist',
+            ''
+        ].join('\r\n');
+
+        const result = importManager.parseGoodreadsCsv(csv);
+        this.assertArrayLength(result.tasks, 3, 'Should convert supported rows');
+        this.assertArrayLength(result.rejected, 2, 'Should report rejected rows');
+        this.assertEqual(result.rejected[0].row, 5, 'Should report file row number');
+
+        const [completed, active, wantToRead] = result.tasks;
+        this.assertEqual(completed.bookTitle, 'Clean Code: A Handbook, 1st', 'Should parse quoted titles');
+        this.assertEqual(completed.status, 'completed', 'Should map read shelf to completed');
+        this.assertEqual(completed.completedAt.getTime(), new Date(2023, 4, 14).getTime(), 'Should use Date Read as completion date');
+        this.assertEqual(completed.createdAt.getTime(), new Date(2023, 3, 1).getTime(), 'Should use Date Added as creation date');
+        this.assertEqual(completed.rating, 5, 'Should import rating');
+        this.assertEqual(completed.totalPages, 464, 'Should import page count');
+        this.assertEqual(completed.tags.join(','), 'favorites', 'Should import custom shelves as tags');
+        this.assertEqual(active.status, 'active', 'Should map currently-reading to active');
+        this.assertNull(active.rating, 'Should treat rating 0 as unrated');
+        this.assertEqual(wantToRead.status, 'want-to-read', 'Should map to-read to want-to-read');
+        this.assertNull(wantToRead.startedAt, 'Should not set start date for want-to-read');
+
+        // 重複の検出（全角・大文字小文字の違いを無視）
+        this.assertNotNull(taskManager.findTaskByBook(active.bookTitle, active.author), 'Should detect duplicate book');
+        this.assertNull(taskManager.findTaskByBook(active.bookTitle, 'Brian Herbert'), 'Should distinguish different authors');
+        this.assertNull(taskManager.findTaskByBook(completed.bookTitle, completed.author), 'Should not flag new books');
+
+        const imported = taskManager.importTasks([completed, wantToRead], 'merge');
+        this.assertEqual(imported.imported, 2, 'Should import selected tasks');
+        this.assertArrayLength(taskManager.getCompletedTasks(), 1, 'Should store completed task');
+
+        let error = null;
+        try {
+            importManager.parseGoodreadsCsv('タイトル,著者\r\n本,著者\r\n');
+        } catch (e) {
+            error = e;
+        }
+        this.assertNotNull(error, 'Should reject non-Goodreads CSV');
+        localStorage.clear();
+    }
+
+    // Test: Bookmeter import
+    testBookmeterImport() {
+        console.log('\n--- Testing Bookmeter import ---');
+        
+        const importManager = new ImportManager();
+
+        // CSV形式
+        const csv = [
+            '書籍名,著者名,ページ数,読了日,感想',
+            'リーダブルコード,Dustin Boswell,260,2023/05/14,読みやすい',
+            `${'長'.repeat(101)},著者,100,2023/05/15,`,
+            `短い本,${'著'.repeat(51)},100,2023年5月16日,`,
+            'ＳＱＬアンチパターン,Bill Karwin,,日付不明,'
+        ].join('\n');
+
+        const csvResult = importManager.parseBookmeter(csv);
+        this.assertArrayLength(csvResult.tasks, 2, 'Should import valid CSV rows');
+        this.assertArrayLength(csvResult.rejected, 2, 'Should report rows exceeding length limits');
+        this.assertEqual(csvResult.rejected[0].row, 3, 'Should report rejected row number');
+        this.assert(csvResult.rejected[0].reason.includes('100文字'), 'Should report title length reason');
+        this.assert(csvResult.rejected[1].reason.includes('50文字'), 'Should report author length reason');
+
+        const [readable, unknownDate] = csvResult.tasks;
+        this.assertEqual(readable.status, 'completed', 'Should import as completed');
+        this.assertEqual(readable.completedAt.getTime(), new Date(2023, 4, 14).getTime(), 'Should keep original completion date');
+        this.assertEqual(readable.currentPage, 260, 'Should mark completed book as fully read');
+        this.assertEqual(readable.review, '読みやすい', 'Should import review');
+        this.assertNotNull(unknownDate.completedAt, 'Should import books with unknown date');
+
+        // エスケープ後に500文字を超える感想は取り込まずに理由を報告する
+        const quotedReview = `${'あ'.repeat(480)}${"'".repeat(10)}`;
+        const escapedResult = importManager.parseBookmeter([
+            '書籍名,著者名,ページ数,読了日,感想',
+            `記号の多い感想,著者,100,2023/05/17,${quotedReview}`,
+            `ちょうどの感想,著者,100,2023/05/17,${'い'.repeat(500)}`
+        ].join('\n'));
+        this.assertArrayLength(escapedResult.tasks, 1, 'Should import review within limit');
+        this.assertArrayLength(escapedResult.rejected, 1, 'Should reject review exceeding limit after escaping');
+        this.assertEqual(escapedResult.rejected[0].row, 2, 'Should report row of escaped review');
+        this.assert(escapedResult.rejected[0].reason.includes('500文字'), 'Should report review length reason');
+        this.assert(new StorageManager().validateTaskData(escapedResult.tasks[0]), 'Imported review should pass storage validation');
+
+        // まとめのテキスト形式
+        const text = [
+            '2023年12月の読書メーター',
+            '読んだ本の数：2冊',
+            '',
+            '■ハッカーと画家',
+            '何度読んでも面白い。',
+            '読了日：12月03日 著者：ポール グレアム',
+            'https://bookmeter.com/books/1',
+            '',
+            `■${'長'.repeat(101)}`,
+            '読了日：12月10日 著者：著者'
+        ].join('\n');
+
+        const textResult = importManager.parseBookmeter(text);
+        this.assertArrayLength(textResult.tasks, 1, 'Should import summary text');
+        this.assertEqual(textResult.tasks[0].author, 'ポール グレアム', 'Should parse author from summary');
+        this.assertEqual(textResult.tasks[0].completedAt.getTime(), new Date(2023, 11, 3).getTime(), 'Should use year from heading');
+        this.assertEqual(textResult.tasks[0].review, '何度読んでも面白い。', 'Should parse review from summary');
+        this.assertArrayLength(textResult.rejected, 1, 'Should report rejected summary entries');
+        this.assertEqual(textResult.rejected[0].row, 9, 'Should report summary line number');
+
+        let error = null;
+        try {
+            importManager.parseBookmeter('Title,Author\nBook,Author\n');
+        } catch (e) {
+            error = e;
+        }
+        this.assertNotNull(error, 'Should reject CSV without title column');
+    }
+
+    // Test: Kindle My Clippings.txt import
+    testKindleClippings() {
+        console.log('\n--- Testing Kindle clippings import ---');
+        
+        const importManager = new ImportManager();
+        const text = [
+            '\uFEFFClean Code (Martin, Robert C.)',
+            '- Your Highlight on page 12 | Location 170-172 | Added on Monday, January 2, 2023 10:00:00 PM',
+            '',
+            'Leave the campground cleaner.',
+            '==========',
+            'リーダブルコード （Dustin Boswell）',
+            '- 12ページ|位置No. 170-172のハイライト |作成日: 2023年1月2日月曜日 22:00:00',
+            '',
+            '名前に情報を詰め込む',
+            '==========',
+            'リーダブルコード （Dustin Boswell）',
+            '- 13ページ|位置No. 180のメモ |作成日: 2023年1月3日火曜日 8:05:00',
+            '',
+            '大事',
+            '==========',
+            'リーダブルコード （Dustin Boswell）',
+            '- 14ページ|位置No. 190のブックマーク |作成日: 2023年1月3日火曜日 8:10:00',
+            '',
+            '',
+            '==========',
+            'リーダブルコード （Dustin Boswell）',
+            '- 15ページ|位置No. 200のハイライト |作成日: 2023年1月3日火曜日 8:15:00',
+            '',
+            '',
+            '=========='
+        ].join('\r\n');
+
+        const result = importManager.parseKindleClippings(text);
+        this.assertArrayLength(result.books, 2, 'Should group clippings by book');
+        this.assertArrayLength(result.rejected, 1, 'Should report highlights without text');
+        this.assertEqual(result.rejected[0].reason, '本文がありません', 'Should report missing text reason');
+
+        const [cleanCode, readable] = result.books;
+        this.assertEqual(cleanCode.task.author, 'Martin, Robert C.', 'Should parse author from English entry');
+        this.assertEqual(cleanCode.clippings[0].type, 'quote', 'Should import highlight as quote');
+        this.assertEqual(cleanCode.clippings[0].page, 12, 'Should parse English page number');
+        this.assertEqual(cleanCode.clippings[0].createdAt.getTime(), new Date(2023, 0, 2, 22, 0, 0).getTime(), 'Should parse English date');
+        this.assertEqual(readable.task.author, 'Dustin Boswell', 'Should parse author in full-width parentheses');
+        this.assertArrayLength(readable.clippings, 2, 'Should skip bookmarks');
+        this.assertEqual(readable.clippings[1].type, 'note', 'Should import note');
+        this.assertEqual(readable.clippings[1].page, 13, 'Should parse Japanese page number');
+        this.assertEqual(readable.task.status, 'active', 'Should create new books as active');
+        this.assertEqual(readable.task.createdAt.getTime(), new Date(2023, 0, 2, 22, 0, 0).getTime(), 'Should start book at earliest clipping');
+
+        // 既存タスクに追加し、2回目の取り込みでは重複を追加しない
+        const task = this.taskManager.addTask('リーダブルコード', 'Dustin Boswell');
+        const firstImport = this.taskManager.importNotes(task.id, readable.clippings);
+        this.assertEqual(firstImport.added, 2, 'Should attach clippings to task');
+        const secondImport = this.taskManager.importNotes(task.id, readable.clippings);
+        this.assertEqual(secondImport.added, 0, 'Should not add duplicate clippings');
+        this.assertEqual(secondImport.skipped, 2, 'Should report skipped duplicates');
+
+        const savedTask = this.taskManager.getTask(task.id);
+        this.assertArrayLength(savedTask.notes, 2, 'Should persist imported notes');
+        this.assertEqual(new Date(savedTask.notes[0].createdAt).getTime(), new Date(2023, 0, 2, 22, 0, 0).getTime(), 'Should keep clipping date');
+        this.assertEqual(this.taskManager.importNotes('missing', readable.clippings), null, 'Should return null for unknown task');
+    }
+
+    // Test: Calibre library metadata import
+    testCalibreImport() {
+        console.log('\n--- Testing Calibre import ---');
+        
+        const importManager = new ImportManager();
+
+        // ISBNの正規化とチェックディジットの検証
+        this.assertEqual(TaskValidator.normalizeIsbn('978-4-87311-565-8'), '9784873115658', 'Should strip hyphens from ISBN-13');
+        this.assertEqual(TaskValidator.normalizeIsbn('urn:isbn:4873115655'), '4873115655', 'Should accept ISBN-10 with urn prefix');
+        this.assertEqual(TaskValidator.normalizeIsbn('9784873115659'), '', 'Should reject wrong check digit');
+
+        // カタログのCSV
+        const csv = [
+            'authors,identifiers,isbn,series,series_index,tags,timestamp,title',
+            '"Dustin Boswell & Trevor Foucher","isbn:9784873115658,amazon:4873115655",,,1.0,"技術書, プログラミング",2023-01-15T10:20:30+09:00,リーダブルコード',
+            `著者,,,${'長'.repeat(101)},1.0,,,長いシリーズの本`,
+            `著者,,,,,,,${'長'.repeat(101)}`
+        ].join('\n');
+
+        const csvResult = importManager.parseCalibre([{ name: 'catalog.csv', text: csv }]);
+        this.assertArrayLength(csvResult.tasks, 2, 'Should import valid CSV rows');
+        this.assertArrayLength(csvResult.rejected, 1, 'Should report rows exceeding length limits');
+        this.assertEqual(csvResult.rejected[0].row, 4, 'Should report rejected row number');
+
+        const [readable, longSeries] = csvResult.tasks;
+        this.assertEqual(readable.author, 'Dustin Boswell、Trevor Foucher', 'Should join multiple authors');
+        this.assertEqual(readable.isbn, '9784873115658', 'Should read ISBN from identifiers');
+        this.assertEqual(readable.tags.join(','), '技術書,プログラミング', 'Should import tags');
+        this.assertEqual(readable.status, 'want-to-read', 'Should import as want-to-read');
+        this.assertEqual(readable.series, '', 'Should ignore series index without series');
+        this.assertEqual(longSeries.series, '', 'Should drop series exceeding length limit');
+
+        // metadata.opf
+        const opf = [
+            '<?xml version="1.0" encoding="utf-8"?>',
+            '<package xmlns="http://www.idpf.org/2007/opf" version="2.0">',
+            '  <metadata xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:opf="http://www.idpf.org/2007/opf">',
+            '    <dc:identifier opf:scheme="calibre">12</dc:identifier>',
+            '    <dc:identifier opf:scheme="ISBN">978-4-87311-565-8</dc:identifier>',
+            '    <dc:title>Clean Code &amp; More</dc:title>',
+            '    <dc:creator opf:role="aut">Robert C. Martin</dc:creator>',
+            '    <dc:creator opf:role="trl">訳者</dc:creator>',
+            '    <dc:subject>Programming</dc:subject>',
+            '    <meta name="calibre:series" content="Robert C. Martin Series"/>',
+            '    <meta name="calibre:series_index" content="3.0"/>',
+            '  </metadata>',
+            '</package>'
+        ].join('\n');
+
+        const opfResult = importManager.parseCalibre([
+            { name: 'metadata.opf', text: opf },
+            { name: 'broken.opf', text: '<package></package>' }
+        ]);
+        this.assertArrayLength(opfResult.tasks, 1, 'Should import metadata.opf');
+        const cleanCode = opfResult.tasks[0];
+        this.assertEqual(cleanCode.bookTitle, 'Clean Code & More', 'Should decode XML entities in title');
+        this.assertEqual(cleanCode.author, 'Robert C. Martin', 'Should import only authors');
+        this.assertEqual(cleanCode.series, 'Robert C. Martin Series', 'Should import series');
+        this.assertEqual(cleanCode.seriesIndex, 3, 'Should import series index');
+        this.assertEqual(cleanCode.isbn, '9784873115658', 'Should import ISBN');
+        this.assertEqual(opfResult.rejected[0].fileName, 'broken.opf', 'Should report rejected file name');
+
+        // 保存・読み込みとマイグレーション
+        localStorage.clear();
+        const storageManager = new StorageManager();
+        const taskManager = new TaskManager(storageManager, { enableLogging: false });
+        const result = taskManager.importTasks([cleanCode], 'merge');
+        this.assertEqual(result.imported, 1, 'Should save imported book');
+        const saved = taskManager.getTask(cleanCode.id);
+        this.assertEqual(saved.series, 'Robert C. Martin Series', 'Should persist series');
+        this.assertEqual(saved.isbn, '9784873115658', 'Should persist ISBN');
+
+        const migrated = storageManager.migrateTasks([{ id: 'v2-task', bookTitle: '本', status: 'active', createdAt: '2024-01-01T00:00:00.000Z' }], 2);
+        this.assertEqual(migrated.tasks[0].series, '', 'Should add series on migration');
+        this.assertEqual(migrated.tasks[0].isbn, '', 'Should add ISBN on migration');
+        this.assertEqual(storageManager.validateTaskData({ ...saved, isbn: '12345' }), false, 'Should reject invalid ISBN');
+
+        localStorage.clear();
+    }
+
+    // Test: Markdown (Obsidian) reading-note export
+    testMarkdownExport() {
+        console.log('\n--- Testing Markdown export ---');
+        
+        localStorage.clear();
+        const storageManager = new StorageManager();
+        const taskManager = new TaskManager(storageManager, { enableLogging: false });
+        const task = taskManager.addTask('Clean Code: "改訂版"', 'Robert C. Martin', { tags: ['技術 書'] });
+        taskManager.addNote(task.id, '名前に<情報>を詰め込む', { page: 12, type: 'quote' });
+        taskManager.addNote(task.id, '大事なところ', { type: 'note' });
+        taskManager.completeTask(task.id, { rating: 4, review: '良い本' });
+        taskManager.addTask('Clean Code: "改訂版"', '別の著者');
+
+        const exportManager = new ExportManager({});
+        const completed = taskManager.getCompletedTasks();
+        const markdown = exportManager.generateMarkdown(completed[0]);
+        const [, frontMatter, body] = markdown.split('---\n');
+
+        this.assert(markdown.startsWith('---\n'), 'Should start with YAML front-matter');
+        this.assert(frontMatter.includes('title: "Clean Code: \\"改訂版\\""'), 'Should decode and quote title in YAML');
+        this.assert(frontMatter.includes('status: completed'), 'Should include status');
+        this.assert(frontMatter.includes(`completed: ${ExportManager.formatDate(completed[0].completedAt)}`), 'Should include completion date');
+        this.assert(frontMatter.includes('rating: 4'), 'Should include rating');
+        this.assert(frontMatter.includes('  - "技術-書"'), 'Should replace spaces in tags for Obsidian');
+        this.assert(body.includes('> 名前に&lt;情報>を詰め込む'), 'Should export quotes as blockquotes without HTML tags');
+        this.assert(body.includes('p.12'), 'Should include quote page');
+        this.assert(body.includes('- 大事なところ'), 'Should export notes as list');
+        this.assert(body.includes('★★★★☆'), 'Should include rating stars');
+
+        const combined = exportManager.generateCombinedMarkdown(taskManager.getAllTasks());
+        this.assert(combined.includes('books: 2'), 'Should count books in combined file');
+        this.assertEqual((combined.match(/```yaml/g) || []).length, 2, 'Should include metadata block per book');
+
+        const files = exportManager.createMarkdownFiles(taskManager.getAllTasks());
+        this.assertEqual(files[0].name, 'Clean Code 改訂版.md', 'Should remove characters invalid in file names');
+        this.assertEqual(files[1].name, 'Clean Code 改訂版 (2).md', 'Should number duplicate file names');
+
+        // zip（無圧縮）の構造
+        const zip = exportManager.createZip(files, new Date(2024, 0, 2, 3, 4, 6));
+        const view = new DataView(zip.buffer);
+        const endOffset = zip.length - 22;
+        this.assertEqual(view.getUint32(0, true), 0x04034b50, 'Should start with local file header');
+        this.assertEqual(view.getUint32(endOffset, true), 0x06054b50, 'Should end with end of central directory');
+        this.assertEqual(view.getUint16(endOffset + 10, true), 2, 'Should record file count');
+        this.assertEqual(view.getUint16(6, true) & 0x0800, 0x0800, 'Should mark file names as UTF-8');
+        this.assertEqual(ExportManager.crc32(new TextEncoder().encode('123456789')), 0xCBF43926, 'Should calculate CRC-32');
+
+        localStorage.clear();
+    }
+
+    // Test: iCalendar export of reading periods
+    testIcsExport() {
+        console.log('\n--- Testing iCalendar export ---');
+        
+        const exportManager = new ExportManager({});
+        const now = new Date(2024, 1, 15, 12, 0, 0);
+
+        const active = new Task('読書中の本; 上巻', '著者A, 著者B');
+        active.createdAt = new Date(2023, 11, 1);
+        active.startedAt = new Date(2024, 0, 30, 20, 0, 0);
+        active.tags = ['技術書'];
+        const completed = new Task('読了した本');
+        completed.startedAt = new Date(2024, 0, 1);
+        completed.complete();
+        completed.completedAt = new Date(2024, 0, 10, 23, 0, 0);
+        const wantToRead = new Task('読みたい本');
+        wantToRead.markAsWantToRead();
+        const longTitle = new Task('長'.repeat(40));
+
+        const ics = exportManager.generateIcs(
+            [active.toJSON(), completed.toJSON(), wantToRead.toJSON(), longTitle.toJSON()],
+            { now, reminderDays: 30 }
+        );
+        const lines = ics.split('\r\n');
+
+        this.assert(ics.startsWith('BEGIN:VCALENDAR\r\n'), 'Should start with VCALENDAR');
+        this.assert(ics.endsWith('END:VCALENDAR\r\n'), 'Should end with CRLF');
+        this.assertEqual((ics.match(/BEGIN:VEVENT/g) || []).length, 3, 'Should skip want-to-read books');
+        this.assert(ics.includes(`UID:${active.id}@reading-declaration`), 'Should use task id as UID');
+        this.assert(ics.includes('DTSTART;VALUE=DATE:20240130\r\nDTEND;VALUE=DATE:20240216'), 'Should end active book today (exclusive end date)');
+        this.assert(ics.includes('DTSTART;VALUE=DATE:20240101\r\nDTEND;VALUE=DATE:20240111'), 'Should end completed book on completion date');
+        this.assert(ics.includes('SUMMARY:📚 読書中の本\\; 上巻'), 'Should escape semicolons');
+        this.assert(ics.includes('著者: 著者A\\, 著者B\\nステータス: 読書中'), 'Should escape commas and newlines in description');
+        this.assert(ics.includes('CATEGORIES:技術書'), 'Should export tags as categories');
+        this.assertEqual((ics.match(/BEGIN:VALARM/g) || []).length, 2, 'Should add alarms only to unfinished books');
+        this.assert(ics.includes(`TRIGGER;VALUE=DATE-TIME:${ExportManager.formatIcsDateTime(new Date(2024, 1, 29, 9, 0, 0))}`), 'Should trigger alarm on deadline');
+        this.assert(lines.every(line => new TextEncoder().encode(line).length <= 75), 'Should fold lines at 75 bytes');
+        this.assert(lines.some(line => line.startsWith(' 長')), 'Should continue folded lines with a space');
+
+        const withoutReminder = exportManager.generateIcs([active.toJSON()], { now });
+        this.assert(!withoutReminder.includes('VALARM'), 'Should not add alarms without reminder option');
+
+        // 期間は登録日（createdAt）ではなく読み始めた日（startedAt）から
+        this.assert(!ics.includes('DTSTART;VALUE=DATE:20231201'), 'Should not start period on createdAt');
+        const withoutStartDate = exportManager.generateIcs([{ ...completed.toJSON(), startedAt: null, createdAt: new Date(2023, 11, 20) }], { now });
+        this.assert(withoutStartDate.includes('DTSTART;VALUE=DATE:20231220'), 'Should fall back to createdAt without startedAt');
+    }
+
+    // Test: X weighted character counting for share text
+    testWeightedShareLength() {
+        console.log('\n--- Testing X weighted character counting ---');
+        
+        const shareManager = new ShareManager();
+
+        // twitter-text互換の数え方
+        this.assertEqual(shareManager.getWeightedLength('abc'), 3, 'Should count Latin characters as 1');
+        this.assertEqual(shareManager.getWeightedLength('読書'), 4, 'Should count CJK characters as 2');
+        this.assertEqual(shareManager.getWeightedLength('📚'), 2, 'Should count emoji as 2');
+        this.assertEqual(shareManager.getWeightedLength('👨‍👩‍👧'), 2, 'Should count ZWJ emoji sequence as one emoji');
+        this.assertEqual(shareManager.getWeightedLength('🇯🇵'), 2, 'Should count flag as one emoji');
+        this.assertEqual(shareManager.getWeightedLength('“—”'), 3, 'Should count general punctuation as 1');
+        this.assertEqual(shareManager.getWeightedLength('é'), 1, 'Should count NFC normalized text');
+        this.assertEqual(shareManager.getWeightedLength('https://example.com/' + 'a'.repeat(100)), 23, 'Should count URLs as 23');
+
+        // 絵文字の途中で区切らない
+        this.assertEqual(shareManager.truncateToWeightedLength('ab👨‍👩‍👧cd', 5), 'ab...', 'Should not split emoji sequence');
+        this.assertEqual(shareManager.truncateToWeightedLength('本', 2), '本', 'Should keep text within limit');
+
+        // 280文字（日本語140文字）以内に短縮
+        const declaration = shareManager.generateDeclarationText('読'.repeat(150), '著者');
+        this.assert(shareManager.getWeightedLength(declaration) <= 280, 'Should truncate declaration by weighted length');
+        this.assert(declaration.includes('...」'), 'Should truncate long Japanese title');
+        this.assertEqual(shareManager.generateDeclarationText('短い本').includes('...'), false, 'Should keep short title');
+
+        const completion = shareManager.generateCompletionText('本', '著者', { rating: 5, review: '感想'.repeat(100) });
+        this.assert(shareManager.getWeightedLength(completion) <= 280, 'Should truncate review by weighted length');
+        this.assert(completion.includes('感想: 感想'), 'Should keep part of the review');
+        this.assert(completion.endsWith('#読書記録'), 'Should keep hashtag after truncated review');
+
+        const quote = shareManager.generateQuoteText('引用'.repeat(200), '本');
+        this.assert(shareManager.getWeightedLength(quote) <= 280, 'Should truncate quote by weighted length');
+
+        let error = null;
+        try {
+            shareManager.generateShareUrl('あ'.repeat(141));
+        } catch (e) {
+            error = e;
+        }
+        this.assertNotNull(error, 'Should reject text exceeding weighted limit');
+        this.assert(error.message.includes('282文字'), 'Should report weighted length');
+        this.assert(shareManager.generateShareUrl('あ'.repeat(140)).startsWith('https://x.com/intent/post?text='), 'Should accept 140 Japanese characters');
+    }
+
+    // Test: Share message templates
+    testShareTemplates() {
+        console.log('\n--- Testing share message templates ---');
+        
+        localStorage.clear();
+        const shareManager = new ShareManager();
+
+        // 差し込みと、差し込み項目が全て空になる行の省略
+        const rendered = shareManager.renderTemplate('「{title}」\n著者: {author}\n{days}日で読了', { title: '本', author: '', days: 3 });
+        this.assertEqual(rendered, '「本」\n3日で読了', 'Should drop line whose placeholders are all empty');
+
+        // 初期設定のテンプレートは従来の文面と同じ
+        this.assertEqual(shareManager.generateDeclarationText('本', '著者'), '# 読書宣言\n\n「本」\n著者: 著者\n\n読書開始！📚', 'Should keep default declaration text');
+        this.assertEqual(shareManager.generateCompletionText('本'), '📖 読了報告\n\n「本」\n\n読み終わりました！✨\n\n#読書記録', 'Should drop empty lines from default completion text');
+
+        // バリデーション
+        this.assertEqual(shareManager.validateTemplate('').isValid, false, 'Should reject empty template');
+        this.assertEqual(shareManager.validateTemplate('{author}を読む').isValid, false, 'Should require {title}');
+        this.assertEqual(shareManager.validateTemplate('{title} {unknown}').isValid, false, 'Should reject unknown placeholder');
+        this.assertEqual(shareManager.validateTemplate('{title} {pages}ページ').isValid, true, 'Should accept known placeholders');
+
+        // 保存・読み込み・初期化
+        const saved = shareManager.saveTemplates({
+            declaration: '{title}を読み始めます（{pages}ページ）\r\n',
+            completion: '{title}を{days}日で読了 {rating}\n{review}'
+        });
+        this.assert(saved, 'Should save templates');
+        this.assertEqual(new ShareManager().getTemplates().declaration, '{title}を読み始めます（{pages}ページ）', 'Should normalize and persist template');
+        this.assertEqual(shareManager.generateDeclarationText('本', '', { pages: 200 }), '本を読み始めます（200ページ）', 'Should use saved template');
+        this.assertEqual(shareManager.generateCompletionText('本', '', { days: 5, rating: 3 }), '本を5日で読了 ★★★☆☆', 'Should fill days and rating');
+        this.assertEqual(shareManager.saveTemplates({ declaration: '{author}', completion: '{title}' }), false, 'Should not save invalid template');
+
+        // 長い感想は上限に収める
+        const completion = shareManager.generateCompletionText('本', '', { days: 5, review: '感想'.repeat(200) });
+        this.assert(shareManager.getWeightedLength(completion) <= 280, 'Should fit custom template within weighted limit');
+
+        this.assert(shareManager.resetTemplates(), 'Should reset templates');
+        this.assertEqual(shareManager.getTemplates().declaration, ShareManager.DEFAULT_TEMPLATES.declaration, 'Should restore default template');
+
+        // 読了までの日数（開始日と読了日を含む）
+        const task = new Task('本');
+        task.markAsWantToRead();
+        this.assertEqual(task.getReadingDays(), null, 'Should return null before starting');
+        task.startedAt = '2026-01-01T09:00:00';
+        task.completedAt = '2026-01-03T21:00:00';
+        this.assertEqual(task.getReadingDays(), 3, 'Should count reading days inclusively');
+
+        localStorage.clear();
+    }
+
+    // Test: Bluesky share target
+    testBlueskyShare() {
+        console.log('\n--- Testing Bluesky share target ---');
+        
+        localStorage.clear();
+        const shareManager = new ShareManager();
+
+        // 書記素の数で数える
+        this.assertEqual(shareManager.getTextLength('読書abc', 'bluesky'), 5, 'Should count Japanese characters as 1 grapheme');
+        this.assertEqual(shareManager.getTextLength('\u{1F468}\u200D\u{1F469}\u200D\u{1F467}', 'bluesky'), 1, 'Should count ZWJ emoji sequence as 1 grapheme');
+        this.assertEqual(shareManager.getTextLength('https://example.com/abc', 'bluesky'), 23, 'Should count URL by its graphemes');
+        this.assertEqual(shareManager.truncateToLength('あいうえお', 3, 'bluesky'), 'あい…', 'Should truncate with single-grapheme ellipsis');
+        this.assertEqual(shareManager.truncateToLength('ab https://example.com/', 5, 'bluesky'), 'ab …', 'Should not split URL');
+
+        // 300書記素（日本語300文字）まで
+        const declaration = shareManager.generateDeclarationText('読'.repeat(400), '', { platform: 'bluesky' });
+        this.assertEqual(shareManager.getTextLength(declaration, 'bluesky'), 300, 'Should fit declaration into 300 graphemes');
+        this.assert(declaration.includes('…」'), 'Should truncate long title for Bluesky');
+        const completion = shareManager.generateCompletionText('本', '', { review: '感'.repeat(250), platform: 'bluesky' });
+        this.assert(completion.includes('感'.repeat(200)), 'Should keep longer review than X');
+
+        const url = shareManager.generateShareUrl('あ'.repeat(300), 'bluesky');
+        this.assert(url.startsWith('https://bsky.app/intent/compose?text='), 'Should generate Bluesky intent URL');
+        let error = null;
+        try {
+            shareManager.generateShareUrl('あ'.repeat(301), 'bluesky');
+        } catch (e) {
+            error = e;
+        }
+        this.assertNotNull(error, 'Should reject text exceeding 300 graphemes');
+
+        // シェア先の保存
+        this.assertEqual(shareManager.getSharePlatform(), 'x', 'Should default to X');
+        this.assertEqual(shareManager.saveSharePlatform('unknown'), false, 'Should reject unknown platform');
+        this.assert(shareManager.saveSharePlatform('bluesky'), 'Should save Bluesky as share platform');
+        this.assertEqual(new ShareManager().getSharePlatform(), 'bluesky', 'Should persist share platform');
+        const quote = shareManager.generateQuoteText('引'.repeat(400), '本');
+        this.assert(shareManager.getTextLength(quote, 'bluesky') <= 300, 'Should use saved platform limit for quote');
+        this.assert(shareManager.getWeightedLength(quote) > 280, 'Should not apply X limit when sharing to Bluesky');
+
+        localStorage.clear();
+    }
+
+    // Test: Mastodon / Misskey share target
+    testFediverseShare() {
+        console.log('\n--- Testing Mastodon / Misskey share target ---');
+        
+        localStorage.clear();
+        const shareManager = new ShareManager();
+
+        // インスタンスのURL
+        this.assertEqual(shareManager.normalizeInstanceUrl('misskey.io'), 'https://misskey.io', 'Should add https scheme to domain');
+        this.assertEqual(shareManager.normalizeInstanceUrl('https://mstdn.jp/@user/'), 'https://mstdn.jp', 'Should keep only origin');
+        this.assertEqual(shareManager.normalizeInstanceUrl('http://mstdn.jp'), '', 'Should reject http');
+        this.assertEqual(shareManager.normalizeInstanceUrl('javascript:alert(1)'), '', 'Should reject non-URL');
+
+        // バリデーション
+        this.assertEqual(shareManager.validateFediverseSettings({ software: 'pleroma', instanceUrl: 'mstdn.jp', maxLength: 500 }).isValid, false, 'Should reject unknown software');
+        this.assertEqual(shareManager.validateFediverseSettings({ software: 'mastodon', instanceUrl: 'mstdn.jp', maxLength: 50 }).isValid, false, 'Should reject too small limit');
+
+        // 設定前はシェア先に選べない
+        this.assertEqual(shareManager.getFediverseSettings(), null, 'Should have no instance by default');
+        this.assertEqual(shareManager.saveSharePlatform('fediverse'), false, 'Should not select Fediverse without instance');
+        this.assertEqual(shareManager.getAvailablePlatforms().length, 2, 'Should list X and Bluesky only');
+
+        // Mastodon: URLは23文字
+        this.assert(shareManager.saveFediverseSettings({ software: 'mastodon', instanceUrl: 'mstdn.jp/', maxLength: 500 }), 'Should save Mastodon instance');
+        this.assert(shareManager.saveSharePlatform('fediverse'), 'Should select Fediverse');
+        this.assertEqual(shareManager.getPlatform('fediverse').label, 'Mastodon（mstdn.jp）', 'Should label with instance host');
+        this.assertEqual(shareManager.getTextLength('読書 https://example.com/' + 'a'.repeat(50), 'fediverse'), 26, 'Should count URL as 23 on Mastodon');
+        const declaration = shareManager.generateDeclarationText('読'.repeat(600));
+        this.assertEqual(shareManager.getTextLength(declaration, 'fediverse'), 500, 'Should fit text into instance limit');
+        this.assert(shareManager.generateShareUrl('本', 'fediverse').startsWith('https://mstdn.jp/share?text='), 'Should open Mastodon share page');
+
+        // Misskey: 上限を変更できる
+        this.assert(shareManager.saveFediverseSettings({ software: 'misskey', instanceUrl: 'https://misskey.io', maxLength: 1000 }), 'Should save Misskey instance');
+        this.assertEqual(shareManager.getPlatform('fediverse').maxLength, 1000, 'Should use configured limit');
+        this.assert(shareManager.generateShareUrl('本', 'fediverse').startsWith('https://misskey.io/share?text='), 'Should open Misskey share page');
+        this.assertEqual(shareManager.getAvailablePlatforms().map(p => p.id).join(','), 'x,bluesky,fediverse', 'Should list configured instance');
+
+        // 設定を削除するとXに戻る
+        this.assert(shareManager.clearFediverseSettings(), 'Should clear instance');
+        this.assertEqual(shareManager.getSharePlatform(), 'x', 'Should fall back to X after clearing instance');
+
+        localStorage.clear();
+    }
+
+    // Test: Web Share API on mobile
+    testWebShareDetection() {
+        console.log('\n--- Testing Web Share API detection ---');
+        
+        const shareManager = new ShareManager();
+        const share = () => Promise.resolve();
+        const iPhone = { userAgent: 'Mozilla/5.0 (iPhone; CPU iPhone OS 17_0 like Mac OS X) Mobile/15E148', share };
+        const iPad = { userAgent: 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7)', platform: 'MacIntel', maxTouchPoints: 5, share };
+        const desktop = { userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64)', platform: 'Win32', maxTouchPoints: 0, share };
+        const android = { userAgent: 'Mozilla/5.0 (Linux; Android 14)', userAgentData: { mobile: true }, share };
+
+        // モバイル端末の判定
+        this.assert(shareManager.isMobileDevice(iPhone), 'Should detect iPhone as mobile');
+        this.assert(shareManager.isMobileDevice(iPad), 'Should detect iPadOS as mobile');
+        this.assert(shareManager.isMobileDevice(android), 'Should detect mobile by userAgentData');
+        this.assertEqual(shareManager.isMobileDevice(desktop), false, 'Should not detect desktop as mobile');
+        this.assertEqual(shareManager.isMobileDevice(null), false, 'Should handle missing navigator');
+
+        // navigator.shareがあるモバイル端末のみWeb Share APIを使う
+        this.assert(shareManager.canUseWebShare('読書開始', iPhone), 'Should use Web Share API on mobile');
+        this.assertEqual(shareManager.canUseWebShare('読書開始', desktop), false, 'Should keep popup on desktop');
+        this.assertEqual(shareManager.canUseWebShare('読書開始', { userAgent: iPhone.userAgent }), false, 'Should fall back without navigator.share');
+        this.assertEqual(shareManager.canUseWebShare('読書開始', { ...iPhone, canShare: () => false }), false, 'Should respect canShare');
+        this.assertEqual(shareManager.canUseWebShare('読書開始', { ...iPhone, canShare: () => { throw new Error('unsupported'); } }), false, 'Should handle canShare errors');
+    }
+
     // Test: Error handling and edge cases
     testErrorHandling() {
         console.log('\n--- Testing Error Handling ---');
@@ -335,7 +1725,7 @@ class TaskManagerTestSuite {
     }
 
     // Run all tests
-    runAllTests() {
+    async runAllTests() {
         console.log('🧪 Starting TaskManager Unit Tests...\n');
         
         const tests = [
@@ -347,19 +1737,46 @@ class TaskManagerTestSuite {
             'testGetCompletedTasks',
             'testGetTask',
             'testGetTaskStats',
+            'testProgressTracking',
+            'testReadingSessions',
+            'testStatusTransitions',
+            'testCompletionReview',
+            'testNotes',
+            'testTags',
+            'testUpdateTaskInfo',
+            'testTrashAndUndo',
+            'testRereads',
+            'testStorageAdapter',
+            'testIndexedDBAdapter',
+            'testStorageMigrations',
+            'testCrossTabSync',
+            'testLibraryExportImport',
+            'testCsvExport',
+            'testGoodreadsImport',
+            'testBookmeterImport',
+            'testKindleClippings',
+            'testCalibreImport',
+            'testMarkdownExport',
+            'testIcsExport',
+            'testWeightedShareLength',
+            'testShareTemplates',
+            'testBlueskyShare',
+            'testFediverseShare',
+            'testWebShareDetection',
             'testErrorHandling'
         ];
 
-        tests.forEach(testName => {
+        // 非同期のテストは完了を待ってから次のテストを実行する
+        for (const testName of tests) {
             this.setUp();
             try {
-                this[testName]();
+                await this[testName]();
             } catch (error) {
                 console.error(`❌ Test ${testName} threw an error:`, error);
                 this.testResults.push({ status: 'ERROR', message: `${testName}: ${error.message}` });
             }
             this.tearDown();
-        });
+        }
 
         return this.printSummary();
     }
@@ -395,4 +1812,5 @@ class TaskManagerTestSuite {
 if (typeof global !== 'undefined') {
     global.TaskManagerTestSuite = TaskManagerTestSuite;
     global.MockStorageManager = MockStorageManager;
+    global.MockIndexedDB = MockIndexedDB;
 }
\ No newline at end of file
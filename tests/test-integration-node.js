@@ -90,11 +90,14 @@ try {
     // Load source files
     const sourceFiles = [
         'js/task-model.js',
+        'js/storage-adapters.js',
         'js/storage-manager.js',
         'js/share-manager.js',
         'js/task-manager.js',
         'js/notification-manager.js',
-        'js/input-validator.js'
+        'js/input-validator.js',
+        'js/export-manager.js',
+        'js/import-manager.js'
     ];
     
     sourceFiles.forEach(file => {